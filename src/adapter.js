@@ -0,0 +1,278 @@
+import { isDefined } from './util'
+
+const XMLSchemaString = 'http://www.w3.org/2001/XMLSchema#string'
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#'
+
+// Adapters are memoized so that every model built with the same RDF library
+// shares one adapter.
+const adapters = new WeakMap()
+
+/**
+ * An RDF adapter provides the few RDF operations modelld needs on top of a
+ * particular RDF library.  Terms and quads are expected to follow the RDFJS
+ * data model (`termType`, `value`, `language`, `datatype`, `graph`, etc.).
+ *
+ * @typedef {Object} Adapter
+ * @property {Function} namedNode - Creates a NamedNode from a URI.  RDF terms
+ * are returned as-is.
+ * @property {Function} blankNode - Creates a BlankNode, optionally with a
+ * label.
+ * @property {Function} literal - Creates a Literal from its lexical value and
+ * either a language tag or a datatype NamedNode.
+ * @property {Function} quad - Creates a quad from a subject, predicate, object,
+ * and optional graph.
+ * @property {Function} match - Returns an array of the quads in a graph which
+ * match a subject, predicate, object, and graph, any of which may be
+ * undefined to match anything.
+ */
+
+/**
+ * Creates an adapter for rdflib.js.  Collections parsed from Turtle's
+ * `( ... )` syntax are matched as the blank nodes and quads of RDF lists.
+ *
+ * @param {Object} rdflib - The rdflib.js module.
+ * @returns {Adapter} The adapter.
+ */
+export function rdflibAdapter (rdflib) {
+  // rdflib.js parses Turtle's `( ... )` lists into collection terms rather
+  // than the quads of RDF lists, so collections are expanded into blank nodes
+  // and `rdf:first`/`rdf:rest` quads once per graph
+  const expansions = new WeakMap()
+  const expansionOf = graph => {
+    if (!expansions.has(graph)) {
+      expansions.set(graph, {heads: new WeakMap(), cells: new Map()})
+    }
+    return expansions.get(graph)
+  }
+  const expand = (expansion, term, graph) => {
+    if (!isCollection(term)) {
+      return term
+    }
+    if (!expansion.heads.has(term)) {
+      const first = rdflib.NamedNode.fromValue(`${RDF}first`)
+      const rest = rdflib.NamedNode.fromValue(`${RDF}rest`)
+      const head = term.elements.reduceRight((next, element) => {
+        const cell = new rdflib.BlankNode()
+        expansion.cells.set(termToNT(cell), [
+          rdflib.quad(cell, first, expand(expansion, element, graph), graph),
+          rdflib.quad(cell, rest, next, graph)
+        ])
+        return cell
+      }, rdflib.NamedNode.fromValue(`${RDF}nil`))
+      expansion.heads.set(term, head)
+    }
+    return expansion.heads.get(term)
+  }
+  // The quads of the cells of an expanded list, including those of nested lists
+  const cellQuads = (expansion, node) => {
+    const quads = isCellOf(expansion, node) ? expansion.cells.get(termToNT(node)) : []
+    return quads.reduce((allQuads, quad) => [...allQuads, ...cellQuads(expansion, quad.object)], quads)
+  }
+  return {
+
+    namedNode: value => rdflib.NamedNode.fromValue(value),
+    blankNode: value => new rdflib.BlankNode(value),
+    literal: (value, languageOrDatatype) => {
+      if (typeof languageOrDatatype === 'string') {
+        return new rdflib.Literal(value, languageOrDatatype)
+      }
+      // rdflib.js literals are strings unless they say otherwise
+      return languageOrDatatype && languageOrDatatype.value !== XMLSchemaString
+        ? new rdflib.Literal(value, null, languageOrDatatype)
+        : new rdflib.Literal(value)
+    },
+    quad: (subject, predicate, object, graph) => {
+      return rdflib.quad(subject, predicate, object, graph)
+    },
+    match: (graph, subject, predicate, object, namedGraph) => {
+      const expansion = expansionOf(graph)
+      const isMatch = quad => [
+        [quad.subject, subject],
+        [quad.predicate, predicate],
+        [quad.object, object],
+        [quad.graph, namedGraph]
+      ].every(([term, pattern]) => !pattern || termToNT(term) === termToNT(pattern))
+      if (isCellOf(expansion, subject)) {
+        return expansion.cells.get(termToNT(subject)).filter(isMatch)
+      }
+      const objectPattern = isCellOf(expansion, object) ? undefined : object
+      return graph.statementsMatching(subject, predicate, objectPattern, namedGraph)
+        .reduce((quads, statement) => {
+          if (!isCollection(statement.subject) && !isCollection(statement.object)) {
+            return [...quads, statement]
+          }
+          const quad = rdflib.quad(
+            expand(expansion, statement.subject, statement.graph),
+            statement.predicate,
+            expand(expansion, statement.object, statement.graph),
+            statement.graph
+          )
+          return [
+            ...quads,
+            ...[
+              quad,
+              ...cellQuads(expansion, quad.subject),
+              ...cellQuads(expansion, quad.object)
+            ].filter(isMatch)
+          ]
+        }, [])
+    }
+  }
+}
+
+/**
+ * Creates an adapter for an RDFJS `DataFactory` whose graphs are RDFJS
+ * `DatasetCore` objects, such as N3.js and its `Store`.
+ *
+ * @param {Object} dataFactory - The RDFJS data factory.
+ * @returns {Adapter} The adapter.
+ */
+export function rdfjsAdapter (dataFactory) {
+  return {
+    namedNode: value => isTerm(value) ? value : dataFactory.namedNode(value),
+    blankNode: value => dataFactory.blankNode(value),
+    literal: (value, languageOrDatatype) => {
+      return dataFactory.literal(value, languageOrDatatype)
+    },
+    quad: (subject, predicate, object, graph) => {
+      return dataFactory.quad(subject, predicate, object, graph || dataFactory.defaultGraph())
+    },
+    match: (dataset, subject, predicate, object, graph) => {
+      return Array.from(dataset.match(subject, predicate, object, graph))
+    }
+  }
+}
+
+/**
+ * Returns the adapter for an RDF library.  Accepts adapters, the rdflib.js
+ * module, and RDFJS data factories.
+ *
+ * @param {Object} rdf - An adapter or an RDF library.
+ * @returns {Adapter} The adapter.
+ */
+export function toAdapter (rdf) {
+  if (typeof rdf.match === 'function') {
+    return rdf
+  }
+  if (!adapters.has(rdf)) {
+    adapters.set(rdf, isDefined(rdf.IndexedFormula)
+      ? rdflibAdapter(rdf)
+      : rdfjsAdapter(rdf))
+  }
+  return adapters.get(rdf)
+}
+
+/**
+ * Serializes an RDF term in N-Triples syntax.
+ *
+ * @param {Object} term - The RDF term.
+ * @returns {String} The N-Triples representation of the term.
+ */
+export function termToNT (term) {
+  if (term.termType === 'NamedNode') {
+    // Characters which may not appear in IRIs are written as escape sequences
+    const iri = term.value.replace(/[\u0000-\u0020<>"{}|^`\\]/g, char => {
+      const hex = char.charCodeAt(0).toString(16).toUpperCase()
+      return `\\u${'0000'.slice(hex.length)}${hex}`
+    })
+    return `<${iri}>`
+  }
+  if (term.termType === 'BlankNode') {
+    return `_:${blankNodeLabel(term)}`
+  }
+  const value = term.value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+  if (term.language) {
+    return `"${value}"@${term.language}`
+  }
+  return term.datatype && term.datatype.value !== XMLSchemaString
+    ? `"${value}"^^<${term.datatype.value}>`
+    : `"${value}"`
+}
+
+/**
+ * Serializes the triple of an RDF quad in N-Triples syntax.  The graph is
+ * left out.
+ *
+ * @param {Object} quad - The RDF quad.
+ * @returns {String} The N-Triples statement for the quad.
+ */
+export function quadToNT (quad) {
+  return `${termToNT(quad.subject)} ${termToNT(quad.predicate)} ${termToNT(quad.object)} .`
+}
+
+/**
+ * Determines whether two RDF quads are the same, including their graphs.
+ *
+ * @param {Object} quad - An RDF quad.
+ * @param {Object} otherQuad - Another RDF quad.
+ * @returns {Boolean} true if the quads are the same, false otherwise.
+ */
+export function quadEquals (quad, otherQuad) {
+  return quadToNT(quad) === quadToNT(otherQuad) &&
+    graphURI(quad) === graphURI(otherQuad)
+}
+
+/**
+ * Returns the URI of a quad's graph, or an empty string for the default graph.
+ *
+ * @param {Object} quad - An RDF quad.
+ * @returns {String} The graph URI.
+ */
+export function graphURI (quad) {
+  return quad.graph ? quad.graph.value : ''
+}
+
+/**
+ * Returns a valid N-Triples label for a blank node.  Labels which are already
+ * valid are kept, but some libraries name blank nodes after the document they
+ * were parsed from (e.g. `https://example.com/#_g_L0C20`), so the characters
+ * of other labels are escaped as `_hex_` sequences.
+ *
+ * @param {Object} term - The blank node.
+ * @returns {String} The label.
+ */
+function blankNodeLabel (term) {
+  // rdflib.js keeps the formula of labelled blank nodes as their value
+  const label = typeof term.value === 'string' ? term.value : `n${term.id}`
+  if (/^[A-Za-z0-9_]([A-Za-z0-9_.-]*[A-Za-z0-9_-])?$/.test(label)) {
+    return label
+  }
+  return `x${label.replace(/[^A-Za-z0-9-]/g, char => `_${char.charCodeAt(0).toString(16)}_`)}`
+}
+
+/**
+ * Determines whether a value is an RDF term.
+ *
+ * @param value - The value to test.
+ * @returns {Boolean} true if the value is an RDF term.
+ */
+function isTerm (value) {
+  return Boolean(value) && isDefined(value.termType)
+}
+
+/**
+ * Determines whether a term is an rdflib.js collection.
+ *
+ * @param {Object} term - The RDF term.
+ * @returns {Boolean} true if the term is a collection.
+ */
+function isCollection (term) {
+  return Boolean(term) && term.termType === 'collection'
+}
+
+/**
+ * Determines whether a node is a cell of a collection which has been expanded
+ * into an RDF list.
+ *
+ * @param {Object} expansion - The expanded collections of a graph.
+ * @param {Object=} node - The node.
+ * @returns {Boolean} true if the node is an expanded cell.
+ */
+function isCellOf (expansion, node) {
+  return Boolean(node) && node.termType === 'BlankNode' &&
+    expansion.cells.has(termToNT(node))
+}
@@ -0,0 +1,164 @@
+import { diffModels, saveModels } from './model'
+
+/**
+ * A Collection is an ordered list of models, e.g. every contact in an address
+ * book, which can be filtered, sorted, diffed and saved as a whole.  Like
+ * models, collections are immutable; every operation returns a new collection.
+ *
+ * @typedef {Object} Collection
+ * @property {Model[]} models - The models, in order.
+ * @property {Number} length - The number of models.
+ */
+export class Collection {
+  /**
+   * Creates a collection.
+   *
+   * @constructor
+   * @param {Model[]=} models - The models, in order.
+   * @returns {Collection} the newly constructed collection.
+   */
+  constructor (models = []) {
+    this.models = models
+    this.length = models.length
+    Object.freeze(this)
+  }
+
+  /**
+   * Returns the model at a position.
+   *
+   * @param {Number} index - The position of the model.
+   * @returns {Model|undefined} The model, if there is one at that position.
+   */
+  get (index) {
+    return this.models[index]
+  }
+
+  /**
+   * Looks up a model by its subject.
+   *
+   * @param {String} subjectURI - The URI of the model's subject.
+   * @returns {Model|undefined} The first model of that subject.
+   */
+  bySubject (subjectURI) {
+    return this.find(model => model.subject.value === subjectURI)
+  }
+
+  /**
+   * Finds the first model which satisfies a predicate function.
+   *
+   * @param {Function(Model, Number)} fn - The predicate function.
+   * @returns {Model|undefined} The first matching model.
+   */
+  find (fn) {
+    return this.models.find(fn)
+  }
+
+  /**
+   * Keeps the models which satisfy a predicate function.
+   *
+   * @param {Function(Model, Number)} fn - The predicate function.
+   * @returns {Collection} A collection of the matching models.
+   */
+  filter (fn) {
+    return new Collection(this.models.filter(fn))
+  }
+
+  /**
+   * Sorts the models.
+   *
+   * @param {Function(Model, Model)} compare - A comparison function, as for
+   * `Array.prototype.sort`.
+   * @returns {Collection} A collection of the sorted models.
+   */
+  sort (compare) {
+    return new Collection([...this.models].sort(compare))
+  }
+
+  /**
+   * Edits every model.
+   *
+   * @param {Function(Model, Number)} fn - A function from a model to the
+   * edited model.
+   * @returns {Collection} A collection of the edited models.
+   */
+  map (fn) {
+    return new Collection(this.models.map(fn))
+  }
+
+  /**
+   * Replaces a model, e.g. after editing it.
+   *
+   * @param {Model} oldModel - The model to replace.
+   * @param {Model} newModel - The model to replace it with.
+   * @returns {Collection} The updated collection, or this collection if it
+   * doesn't hold the old model.
+   */
+  replace (oldModel, newModel) {
+    const index = this.models.indexOf(oldModel)
+    if (index < 0) {
+      return this
+    }
+    return new Collection([
+      ...this.models.slice(0, index),
+      newModel,
+      ...this.models.slice(index + 1)
+    ])
+  }
+
+  /**
+   * Returns the models as an array.
+   *
+   * @returns {Model[]} The models, in order.
+   */
+  toArray () {
+    return [...this.models]
+  }
+
+  /**
+   * Computes the combined diff of every model.  See `Model.diff`.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @returns {Object} The combined diff map.
+   */
+  diff (rdf) {
+    return diffModels(rdf, this.models)
+  }
+
+  /**
+   * Saves every model in one batch, merging their changes so that each
+   * resource is patched once.  See `Model.save` for the options.  Errors hold
+   * the updated collection as `collection` rather than `model`.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @param {Object} web - A web client library.
+   * @param {Object=} options - Options for saving.  With the `validate`
+   * option, the Promise rejects if any model is invalid, with an error whose
+   * `validationErrors` property maps the subject URIs of the invalid models to
+   * their validation errors.
+   * @returns {Promise<Collection>} The updated collection.
+   */
+  save (rdf, web, options = {}) {
+    if (options.validate) {
+      const validationErrors = this.models.reduce((errorMap, model) => {
+        const errors = model.validate()
+        return Object.keys(errors).length > 0
+          ? {...errorMap, [model.subject.value]: errors}
+          : errorMap
+      }, {})
+      if (Object.keys(validationErrors).length > 0) {
+        const err = new Error('Collection is invalid')
+        err.collection = this
+        err.validationErrors = validationErrors
+        return Promise.reject(err)
+      }
+    }
+    return saveModels(rdf, web, this.models, options)
+      .then(models => new Collection(models), err => {
+        if (err.models) {
+          err.collection = new Collection(err.models)
+          delete err.models
+        }
+        throw err
+      })
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * The error with which `Model.save` rejects when resources have changed on the
+ * server since the model was loaded, i.e. when the server refused a patch
+ * because the resource's ETag no longer matched.
+ *
+ * Besides the properties of other save errors (`model`, `diffMap`,
+ * `failedURIs`, etc.), a conflict error has the following properties:
+ *   - `conflictingURIs`: the set of URIs of the resources which changed.  These
+ *     aren't included in `failedURIs`.
+ *   - `conflicts`: a mapping from each of those URIs to the fields whose
+ *     changes couldn't be saved to it.
+ *
+ * Babel can't extend built-in classes like Error, so this is a plain
+ * constructor function inheriting from Error.
+ *
+ * @constructor
+ * @param {String} message - The error message.
+ */
+export function ConflictError (message) {
+  this.name = 'ConflictError'
+  this.message = message
+  this.stack = new Error(message).stack
+}
+
+ConflictError.prototype = Object.create(Error.prototype)
+ConflictError.prototype.constructor = ConflictError
@@ -1,8 +1,62 @@
-import clone from 'lodash/clone'
 import uuid from 'node-uuid'
-import rdf from 'rdflib'
 
-import { isDefined } from './util'
+import { quadEquals, termToNT, toAdapter } from './adapter'
+import { isBlankNode, isDefined, isPlainObject, isSameValue, termValue } from './util'
+
+const XMLSchema = 'http://www.w3.org/2001/XMLSchema#'
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#'
+const langString = `${RDF}langString`
+
+// The bounds of XML Schema's integer datatypes, as canonical lexical forms
+const integerRanges = {
+  integer: [],
+  nonPositiveInteger: [undefined, '0'],
+  negativeInteger: [undefined, '-1'],
+  nonNegativeInteger: ['0'],
+  positiveInteger: ['1'],
+  long: ['-9223372036854775808', '9223372036854775807'],
+  int: ['-2147483648', '2147483647'],
+  short: ['-32768', '32767'],
+  byte: ['-128', '127'],
+  unsignedLong: ['0', '18446744073709551615'],
+  unsignedInt: ['0', '4294967295'],
+  unsignedShort: ['0', '65535'],
+  unsignedByte: ['0', '255']
+}
+
+// The lexical forms of other XML Schema datatypes, whose values are written as
+// given once they match
+const year = '-?([1-9]\\d{4,}|\\d{4})'
+const month = '(0[1-9]|1[0-2])'
+const day = '(0[1-9]|[12]\\d|3[01])'
+const timezone = '(Z|[+-]((0\\d|1[0-3]):[0-5]\\d|14:00))?'
+const lexicalForms = {
+  date: `${year}-${month}-${day}${timezone}`,
+  time: `(([01]\\d|2[0-3]):[0-5]\\d:[0-5]\\d(\\.\\d+)?|24:00:00(\\.0+)?)${timezone}`,
+  gYear: `${year}${timezone}`,
+  gYearMonth: `${year}-${month}${timezone}`,
+  gMonth: `--${month}${timezone}`,
+  gMonthDay: `--${month}-${day}${timezone}`,
+  gDay: `---${day}${timezone}`,
+  duration: '-?P(?=\\d|T\\d)(\\d+Y)?(\\d+M)?(\\d+D)?(T(?=\\d)(\\d+H)?(\\d+M)?(\\d+(\\.\\d+)?S)?)?',
+  anyURI: '[^\\s<>"{}|\\\\^`]*',
+  language: '[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*',
+  normalizedString: '[^\\r\\n\\t]*',
+  token: '([^\\s]+( [^\\s]+)*)?',
+  hexBinary: '([0-9a-fA-F]{2})*',
+  base64Binary: '([A-Za-z0-9+/]{4})*([A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?'
+}
+
+// Dates are written in UTC for the XML Schema datatypes which hold their parts
+const dateFormats = {
+  date: iso => iso.slice(0, 10),
+  time: iso => iso.slice(11).replace(/\.000Z$/, 'Z'),
+  gYear: iso => iso.slice(0, 4),
+  gYearMonth: iso => iso.slice(0, 7),
+  gMonth: iso => `--${iso.slice(5, 7)}`,
+  gMonthDay: iso => `--${iso.slice(5, 10)}`,
+  gDay: iso => `---${iso.slice(8, 10)}`
+}
 
 /**
  * A Field represents, for an implicit subject, a predicate and a value.
@@ -12,8 +66,43 @@ import { isDefined } from './util'
  * constructed from.  A field either has a quad or a predicate.
  * @property {Object=} predicate- The RDF predicate which this field represents.
  * A field either has a quad or a predicate.
- * @property {String} id - A UUID.
+ * @property {String} id - A UUID which identifies the field across edits and
+ * saves.
  * @property value - The value of this field.
+ * @property {Boolean=} relation - Whether this field's value is a nested model
+ * whose subject is the RDF object of this field.
+ * @property {Boolean=} inverse - Whether this field represents an incoming
+ * edge, i.e. its value is the RDF subject of a quad whose object is the
+ * implicit subject.
+ * @property {Object[]=} via - For fields reached through a property path, the
+ * steps from the implicit subject to the node which holds this field's quad.
+ * Each step has a `predicate`, an `inverse` flag, the `node` it leads to and
+ * the `graph` of its quad.
+ * @property {Boolean=} list - Whether this field's value is an array of the
+ * items of an RDF list (`rdf:first`/`rdf:rest`), whose head is the RDF object
+ * of this field.
+ * @property {Object[]=} cells - For list fields, the blank nodes of the list
+ * cells holding each item of the value.  Cells keep their nodes when items are
+ * inserted, moved or removed, so that only the links which change are diffed.
+ * @property {Object[]=} originalCells - For list fields, the cells of the
+ * original list, each with its `node` and its `item` node.
+ * @property {Object=} compound - For compound fields, the properties of their
+ * values, each with a `predicate` and optionally a `datatype` or `namedNode`
+ * flag, keyed by property name.  The value is an object of property values,
+ * held by a blank node's own quads.
+ * @property {Object=} node - For compound fields, the blank node holding the
+ * value, which is the RDF object of the field.  Values are edited in place, so
+ * the node never changes.
+ * @property {Object[]=} originalProperties - For compound fields, the
+ * original quads of the node, each as the property `name` and its `object`.
+ * @property {Function=} parse - A function which turns the JS value read from
+ * the RDF object into this field's value, e.g. a `mailto:` URI into an email
+ * address.  List fields parse each item.
+ * @property {Function=} serialize - The inverse of `parse`, which turns this
+ * field's value back into a JS value to write as the RDF object.
+ * @property {NamedNode=} datatype - The declared datatype used to serialize the
+ * value of this field.
+ * @property {String=} lang - The language tag of this field's value.
  * @param {NamedNode} namedGraph - The URI of a named graph which will be used
  * to hold new fields.
  */
@@ -21,30 +110,140 @@ import { isDefined } from './util'
 /**
  * Generates a factory for creating fields.
  *
- * @param {String|NamedNode} namedGraph - The URI of a named graph which will be
- * used to hold new fields.
+ * @param {NamedNode} predicate - The RDF predicate for fields created by this
+ * factory.
+ * @param {Object=} options - Options shared by every field from this factory.
+ * @param {Boolean=} options.relation - Whether the fields' values are nested
+ * models rather than plain values.
+ * @param {String|NamedNode=} options.datatype - The datatype which values are
+ * serialized to.
+ * @param {Boolean=} options.namedNode - Whether the fields are NamedNodes
+ * unless specified otherwise when creating a field.
+ * @param {Boolean=} options.inverse - Whether the fields represent incoming
+ * edges.  Their quads are built with the implicit subject as the object.
+ * @param {Object[]=} options.via - The intermediate steps of a property path,
+ * each with a `predicate` and an `inverse` flag.  New fields get a new blank
+ * node for every step.
+ * @param {Boolean=} options.list - Whether the fields' values are arrays held
+ * in RDF lists.
+ * @param {Object=} options.compound - The properties of compound values, keyed
+ * by property name.  See the `compound` property of fields.
+ * @param {Function=} options.parse - A function turning JS values read from
+ * RDF into field values.  See the `parse` property of fields.
+ * @param {Function=} options.serialize - The inverse of `parse`.
+ * @param {Object=} options.rdf - An RDF adapter or library used to build the
+ * fields' named graphs and datatypes.
  * @returns {Function} A factory function of one argument, an RDF predicate,
  * which in turn returns a fully configured field object.  The return function
  * also has a `fromQuad` method, which can construct a fully configured field
- * from an RDF quad object.
+ * from an RDF quad object, and a `fromJSON` method, which rebuilds a field
+ * from the result of `Field.toJSON`.  `fromQuad` takes the route of property
+ * paths (`via` and `inverse`), the `cells` of lists and the `properties` of
+ * compound values as a third argument.  `fromJSON`, list fields, compound
+ * fields and fields with `via` steps require the `rdf` option.
  */
-export function fieldFactory (predicate) {
+export function fieldFactory (predicate, { relation = false, datatype, namedNode, inverse = false, via = [], list = false, compound, parse, serialize, rdf } = {}) {
   const fieldCreator = (value, namedGraph, options = {}) => {
     return new Field({
       predicate,
       value,
-      namedNode: options.namedNode,
-      namedGraph
+      namedNode: isDefined(options.namedNode) ? options.namedNode : namedNode,
+      namedGraph,
+      relation,
+      datatype,
+      lang: options.lang,
+      inverse,
+      via: via.map(step => ({
+        predicate: step.predicate,
+        inverse: Boolean(step.inverse),
+        node: toAdapter(rdf).blankNode(),
+        graph: namedGraph
+      })),
+      list,
+      compound,
+      parse,
+      serialize,
+      rdf
     })
   }
-  fieldCreator.fromQuad = quad => {
+  // Quads reached through another route of a property path pass its steps
+  fieldCreator.fromQuad = (quad, value, options = {}) => {
+    const isInverse = isDefined(options.inverse) ? options.inverse : inverse
     return new Field({
       predicate: quad.predicate,
-      originalObject: quad.object,
-      originalNamedGraph: quad.graph
+      originalObject: isInverse ? quad.subject : quad.object,
+      originalNamedGraph: quad.graph,
+      value,
+      namedNode,
+      relation,
+      datatype,
+      inverse: isInverse,
+      via: options.via,
+      list,
+      originalCells: options.cells,
+      compound,
+      originalProperties: options.properties,
+      // Relation fields read from the graph are given their nested model
+      originalModel: relation ? value : undefined,
+      parse,
+      serialize,
+      rdf
+    })
+  }
+  fieldCreator.fromJSON = (json, value, originalModel) => {
+    const adapter = toAdapter(rdf)
+    return new Field({
+      predicate: adapter.namedNode(json.predicate),
+      originalObject: isDefined(json.originalObject)
+        ? termFromJSON(adapter, json.originalObject)
+        : undefined,
+      originalNamedGraph: json.originalNamedGraph,
+      namedGraph: json.namedGraph,
+      value: isDefined(value) ? value : valueFromJSON(json, parse),
+      namedNode: isDefined(json.namedNode) ? json.namedNode : namedNode,
+      relation,
+      datatype,
+      lang: json.lang,
+      inverse: Boolean(json.inverse),
+      via: (json.via || []).map(step => ({
+        predicate: adapter.namedNode(step.predicate),
+        inverse: step.inverse,
+        node: termFromJSON(adapter, step.node),
+        graph: step.graph
+      })),
+      list,
+      cells: isDefined(json.cells)
+        ? json.cells.map(cell => termFromJSON(adapter, cell))
+        : undefined,
+      originalCells: isDefined(json.originalCells)
+        ? json.originalCells.map(cell => ({
+          node: termFromJSON(adapter, cell.node),
+          item: termFromJSON(adapter, cell.item)
+        }))
+        : undefined,
+      compound,
+      node: isDefined(json.node) ? termFromJSON(adapter, json.node) : undefined,
+      originalProperties: isDefined(json.originalProperties)
+        ? json.originalProperties.map(property => ({
+          name: property.name,
+          object: termFromJSON(adapter, property.object)
+        }))
+        : undefined,
+      originalModel,
+      parse,
+      serialize,
+      rdf,
+      id: json.id
     })
   }
   fieldCreator.predicate = predicate
+  fieldCreator.relation = relation
+  fieldCreator.inverse = inverse
+  fieldCreator.via = via
+  fieldCreator.list = list
+  fieldCreator.compound = compound
+  fieldCreator.parse = parse
+  fieldCreator.serialize = serialize
   return fieldCreator
 }
 
@@ -63,6 +262,7 @@ export class Field {
    * @param {Object} options - An options object specifying named parameters.
    * @param {Object=} options.originalObject - The original RDF object node that
    * this field represents if it is being constructed from an existing quad.
+   * For inverse fields, this is the subject node of the quad.
    * @param {Object=} options.predicate - The RDF predicate which this field
    * represents.  Must either provide a quad or a predicate.
    * @param options.value - Optionally specifies the current value of this
@@ -72,76 +272,222 @@ export class Field {
    * NamedNode.
    * @param {String|NamedNode} options.namedGraph - The URI of the named graph
    * for this field.
+   * @param {Boolean=} options.relation - Whether the value of this field is a
+   * nested model.  Relation fields always point to a NamedNode, which is the
+   * subject of the nested model.
+   * @param {String|NamedNode=} options.datatype - The declared datatype of this
+   * field.  Values which can't be serialized to this datatype are rejected.
+   * @param {String=} options.lang - The language tag of this field's value.
+   * Defaults to the language tag of the original RDF object, and an empty
+   * string removes the language tag.
+   * @param {Boolean=} options.inverse - Whether this field represents an
+   * incoming edge.  Its value is then a NamedNode (or a nested model) linking to
+   * the implicit subject.
+   * @param {Object[]=} options.via - The steps of the property path from the
+   * implicit subject to the node which holds this field's quad.  See the
+   * `via` property.
+   * @param {Boolean=} options.list - Whether the value of this field is an
+   * array held in an RDF list.  The original value is read from
+   * `originalCells`.
+   * @param {Object[]=} options.cells - The cell nodes of a list field's value.
+   * Defaults to the original cells, or to new blank nodes for a new value.
+   * @param {Object[]=} options.originalCells - The cells of a list field's
+   * original list, each with its `node` and its `item` node.
+   * @param {Object=} options.compound - The properties of a compound field's
+   * value.  The original value is read from `originalProperties`.
+   * @param {Object=} options.node - The blank node holding a compound field's
+   * value.  Defaults to the original object, or to a new blank node.
+   * @param {Object[]=} options.originalProperties - The original quads of a
+   * compound field's node, each as the property `name` and its `object`.
+   * @param {Model=} options.originalModel - The nested model of a relation
+   * field's original object, which `revert` brings back.
+   * @param {Function=} options.parse - A function turning JS values read from
+   * RDF into field values.
+   * @param {Function=} options.serialize - The inverse of `parse`.
+   * @param {Object=} options.rdf - An RDF adapter or library.  When given, the
+   * named graphs and datatype of this field are converted to NamedNodes up
+   * front; otherwise they're kept as given until the field is converted to a
+   * quad.
+   * @param {String=} options.id - The id of the field which this field is a new
+   * state of.  Defaults to a new UUID.
    * @returns {Object} the newly constructed field.
    */
-  constructor ({ predicate, namedGraph, value, namedNode, originalObject, originalNamedGraph } = {}) {
+  constructor ({ predicate, namedGraph, value, namedNode, originalObject, originalNamedGraph, relation, datatype, lang, inverse, via, list, cells, originalCells, compound, node, originalProperties, originalModel, parse, serialize, rdf, id } = {}) {
     if (!(isDefined(predicate)) ||
         !(isDefined(value) && isDefined(namedGraph)) &&
         !(isDefined(originalObject) && isDefined(originalNamedGraph))) {
       throw new Error('Insufficient arguments.')
     }
+    const adapter = isDefined(rdf) ? toAdapter(rdf) : undefined
+    const toNamedNode = value => adapter ? adapter.namedNode(value) : value
     this.predicate = predicate
+    if (isDefined(parse)) {
+      this.parse = parse
+    }
+    if (isDefined(serialize)) {
+      this.serialize = serialize
+    }
     // Set default value from the original RDF quad's object and source
     // properties.  This may be overridden by the current value of 'value'.
     if (isDefined(originalObject)) {
       this.originalObject = originalObject
-      this.value = rdfToJs(originalObject)
+      this.value = readValue(this, originalObject)
+      if (originalObject.language) {
+        this.lang = originalObject.language
+      }
     }
     if (isDefined(originalNamedGraph)) {
-      this.originalNamedGraph = rdf.NamedNode.fromValue(originalNamedGraph)
+      this.originalNamedGraph = toNamedNode(originalNamedGraph)
       this.namedGraph = this.originalNamedGraph
     }
     if (isDefined(namedGraph)) {
-      this.namedGraph = rdf.NamedNode.fromValue(namedGraph)
+      this.namedGraph = toNamedNode(namedGraph)
     }
     if (isDefined(value)) {
       this.value = value
     }
+    if (isDefined(lang) && lang !== null) {
+      this.lang = lang
+    }
     if (isDefined(namedNode)) {
       this.namedNode = namedNode || false
     }
-    this.id = uuid.v4()
+    if (relation) {
+      this.relation = true
+      if (isDefined(originalModel)) {
+        this.originalModel = originalModel
+      }
+    }
+    if (inverse) {
+      this.inverse = true
+    }
+    if (isDefined(via) && via.length > 0) {
+      this.via = via.map(step => ({
+        ...step,
+        graph: isDefined(step.graph) ? toNamedNode(step.graph) : step.graph
+      }))
+    }
+    if (list) {
+      if (isDefined(value) && !Array.isArray(value)) {
+        throw new Error(`List fields hold arrays.  Given value [${value}].`)
+      }
+      this.list = true
+      if (isDefined(originalCells)) {
+        this.originalCells = originalCells
+      }
+      const listCells = originalCells || []
+      this.value = isDefined(value)
+        ? [...value]
+        : listCells.map(cell => readValue(this, cell.item))
+      if (isDefined(cells)) {
+        this.cells = cells
+      } else {
+        this.cells = isDefined(value)
+          ? value.map(() => adapter.blankNode())
+          : listCells.map(cell => cell.node)
+      }
+    }
+    if (isDefined(compound)) {
+      if (isDefined(value) && !isPlainObject(value)) {
+        throw new Error(`Compound fields hold objects.  Given value [${value}].`)
+      }
+      this.compound = compound
+      if (isDefined(originalProperties)) {
+        this.originalProperties = originalProperties
+      }
+      this.value = isDefined(value)
+        ? {...value}
+        : propertiesValue(originalProperties || [])
+      this.node = isDefined(node)
+        ? node
+        : isDefined(originalObject) ? originalObject : adapter.blankNode()
+      if (isDefined(value)) {
+        Object.keys(value).forEach(name => {
+          const property = compound[name]
+          if (!isDefined(property)) {
+            throw new Error(`Unknown property [${name}] of compound field.`)
+          }
+          propertyValues(value, name).forEach(propertyValue => assertValue(property, propertyValue))
+        })
+      }
+    }
+    // List items are checked one by one, as they'll be written
+    const newValues = isDefined(value) && !isDefined(compound)
+      ? (list ? value : [value]).map(newValue => writeValue(this, newValue))
+      : []
+    if (isDefined(datatype)) {
+      this.datatype = toNamedNode(datatype)
+      // Reject values which can't be written as the declared datatype
+      newValues.forEach(newValue => jsToRdf(newValue, termValue(this.datatype)))
+    } else if ((this.namedNode || this.inverse) && !relation) {
+      newValues.forEach(assertURI)
+    } else if (isDefined(originalObject) && originalObject.termType === 'Literal' && !this.lang && !list) {
+      // Otherwise values keep the datatype of the original object
+      newValues.forEach(newValue => jsToRdf(newValue, originalObject.datatype.value))
+    }
+    this.id = isDefined(id) ? id : uuid.v4()
+    // The adapter isn't part of the field's state, so keep it out of sight
+    Object.defineProperty(this, 'rdf', {value: adapter})
     Object.freeze(this)
   }
 
   /**
-   * Generates an RDF quad representing this field's current state.
+   * Generates an RDF quad representing this field's current state.  The quads
+   * of inverse fields have the implicit subject as their object.
    *
-   * @param {Object} rdf - An RDF library, currently assumed to be rdflib.js
+   * @param {Object} rdf - An RDF adapter or library.
    * @param {Object} subject - The implicit subject for this field.
-   * Particularly, an RDF subject, currently assumed to be an rdflib.js subject.
+   * Particularly, an RDF subject term.
    * @returns {Object} An RDF quad representing the current state of this field.
    */
   toQuad (rdf, subject) {
-    let object
-    if (isDefined(this.originalObject)) {
-      object = clone(this.originalObject)
-      // Convert the native JS value back to the corresponding RDF string value
-      object.value = this.originalObject.constructor.fromValue(this.value).value
-      if (isDefined(object.uri)) {
-        object.uri = this.value
-      }
-    } else {
-      object = this.namedNode
-        ? rdf.NamedNode.fromValue(this.value)
-        : rdf.Literal.fromValue(this.value)
-    }
+    const adapter = toAdapter(rdf)
+    const namedGraph = this.namedGraph || this.originalNamedGraph
+    return linkQuad(adapter, this, anchorNode(this, subject), this.toObject(adapter), namedGraph && adapter.namedNode(namedGraph))
+  }
 
-    return rdf.quad(
-      subject,
-      this.predicate,
-      object,
-      this.namedGraph || this.originalNamedGraph
-    )
+  /**
+   * Generates the RDF object node representing this field's current value.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @returns {Object} An RDF node for the current value of this field.
+   */
+  toObject (rdf) {
+    return buildTerm(toAdapter(rdf), describeObject(this))
+  }
+
+  /**
+   * Generates the RDF nodes of the items of a list field's current value.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @returns {Object[]} The RDF nodes, in list order.  Other fields have none.
+   */
+  toItems (rdf) {
+    const adapter = toAdapter(rdf)
+    return this.list
+      ? this.cells.map((node, index) => itemTerm(adapter, this, index))
+      : []
+  }
+
+  /**
+   * Returns the RDF term type of this field's current object.
+   *
+   * @returns {String} The term type, e.g. 'NamedNode' or 'Literal'.
+   */
+  termType () {
+    const object = describeObject(this)
+    return isDefined(object.term)
+      ? object.term.termType
+      : object.termType
   }
 
   /**
    * Returns the quad that a field was constructed from or null if it's an
    * ad-hoc field.
    *
-   * @param {Object} rdf - An RDF library, currently assumed to be rdflib.js
+   * @param {Object} rdf - An RDF adapter or library.
    * @param {Object} subject - The implicit subject for this field.
-   * Particularly, an RDF subject, currently assumed to be an rdflib.js subject.
+   * Particularly, an RDF subject term.
    * @returns {Object} An RDF quad representing the original state of this
    * field.
    */
@@ -149,32 +495,392 @@ export class Field {
     if (!isDefined(this.originalObject) && !(isDefined(this.originalNamedGraph))) {
       return null
     }
-    return rdf.quad(
-      subject,
-      this.predicate,
-      this.originalObject,
-      this.originalNamedGraph
-    )
+    const adapter = toAdapter(rdf)
+    return linkQuad(adapter, this, anchorNode(this, subject), this.originalObject, adapter.namedNode(this.originalNamedGraph))
+  }
+
+  /**
+   * Generates the RDF quads which lead from the implicit subject through the
+   * `via` steps of a property path to the node which holds this field's quad.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @param {Object} subject - The implicit subject for this field.
+   * Particularly, an RDF subject term.
+   * @returns {Object[]} The RDF quads, in path order.  Fields without `via`
+   * steps have none.
+   */
+  linkQuads (rdf, subject) {
+    const adapter = toAdapter(rdf)
+    return (this.via || []).map((step, index) => {
+      const from = index > 0 ? this.via[index - 1].node : subject
+      return linkQuad(adapter, step, from, step.node, step.graph && adapter.namedNode(step.graph))
+    })
+  }
+
+  /**
+   * Generates the original RDF quads which identify the existing blank nodes
+   * of this field, i.e. those of its property path, its list cells and its
+   * compound node.  Blank nodes can't be named in updates, so updates which
+   * touch them have to find them through these quads, starting from the
+   * implicit subject.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @param {Object} subject - The implicit subject for this field.
+   * Particularly, an RDF subject term.
+   * @returns {Object[]} The RDF quads which involve blank nodes.  New fields
+   * have none.
+   */
+  bindingQuads (rdf, subject) {
+    if (this.isNew()) {
+      return []
+    }
+    return [
+      ...this.linkQuads(rdf, subject),
+      this.originalQuad(rdf, subject),
+      ...this.originalStructureQuads(rdf)
+    ].filter(quad => [quad.subject, quad.object].some(isBlankNode))
+  }
+
+  /**
+   * Generates the RDF quads of a compound field's node for its current value,
+   * one for each property value.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @returns {Object[]} The RDF quads, in the order of the properties.  Other
+   * fields have none.
+   */
+  compoundQuads (rdf) {
+    if (!isDefined(this.compound)) {
+      return []
+    }
+    const adapter = toAdapter(rdf)
+    const namedGraph = this.namedGraph || this.originalNamedGraph
+    const graph = namedGraph && adapter.namedNode(namedGraph)
+    return Object.keys(this.compound).reduce((quads, name) => {
+      const property = this.compound[name]
+      const originalObjects = (this.originalProperties || [])
+        .filter(originalProperty => originalProperty.name === name)
+        .map(originalProperty => originalProperty.object)
+      return [
+        ...quads,
+        ...propertyValues(this.value, name).map((propertyValue, index) => {
+          const original = originalObjects[index]
+          // Changed values keep the language tag of the original object
+          const description = describeValue({...property, lang: original && original.language}, propertyValue, original)
+          return adapter.quad(this.node, property.predicate, buildTerm(adapter, description), graph)
+        })
+      ]
+    }, [])
+  }
+
+  /**
+   * Generates the RDF quads of a compound field's node for its original value.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @returns {Object[]} The RDF quads.  New fields and other fields have none.
+   */
+  originalCompoundQuads (rdf) {
+    if (!isDefined(this.compound) || !isDefined(this.originalProperties)) {
+      return []
+    }
+    const adapter = toAdapter(rdf)
+    const graph = adapter.namedNode(this.originalNamedGraph)
+    return this.originalProperties.map(property => {
+      return adapter.quad(this.originalObject, this.compound[property.name].predicate, property.object, graph)
+    })
+  }
+
+  /**
+   * Generates the RDF quads of the blank nodes which belong to this field's
+   * current value, i.e. the cells of lists and the nodes of compound values.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @returns {Object[]} The RDF quads.
+   */
+  structureQuads (rdf) {
+    return [...this.listQuads(rdf), ...this.compoundQuads(rdf)]
+  }
+
+  /**
+   * Generates the RDF quads of the blank nodes which belonged to this field's
+   * original value.  See `structureQuads`.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @returns {Object[]} The RDF quads.
+   */
+  originalStructureQuads (rdf) {
+    return [...this.originalListQuads(rdf), ...this.originalCompoundQuads(rdf)]
   }
 
   /**
-   * Returns a field with the specified state.
+   * Generates the RDF quads of the cells of a list field's current value, i.e.
+   * the `rdf:first` and `rdf:rest` quads of every cell.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @returns {Object[]} The RDF quads, in list order.  Other fields have none.
+   */
+  listQuads (rdf) {
+    const adapter = toAdapter(rdf)
+    const namedGraph = this.namedGraph || this.originalNamedGraph
+    const items = this.toItems(adapter)
+    const cells = items.map((item, index) => ({node: this.cells[index], item}))
+    return cellQuads(adapter, cells, namedGraph && adapter.namedNode(namedGraph))
+  }
+
+  /**
+   * Generates the RDF quads of the cells of a list field's original list.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @returns {Object[]} The RDF quads, in list order.  New fields and other
+   * fields have none.
+   */
+  originalListQuads (rdf) {
+    if (!this.list || !isDefined(this.originalCells)) {
+      return []
+    }
+    const adapter = toAdapter(rdf)
+    return cellQuads(adapter, this.originalCells, adapter.namedNode(this.originalNamedGraph))
+  }
+
+  /**
+   * Returns a list field with an item inserted into its value.  The item gets
+   * a new cell, and the other items keep theirs.
+   *
+   * @param {Number} index - The position of the new item, from 0 to the
+   * length of the list.
+   * @param value - The new item.
+   * @returns {Field} A field with the item inserted.
+   */
+  insertItem (index, value) {
+    assertIndex(this, index, this.value.length)
+    return withItems(this,
+      [...this.value.slice(0, index), value, ...this.value.slice(index)],
+      [...this.cells.slice(0, index), this.rdf.blankNode(), ...this.cells.slice(index)])
+  }
+
+  /**
+   * Returns a list field with an item of its value moved to another position.
+   * The item keeps its cell.
+   *
+   * @param {Number} from - The current position of the item.
+   * @param {Number} to - The new position of the item.
+   * @returns {Field} A field with the item moved.
+   */
+  moveItem (from, to) {
+    assertIndex(this, from, this.value.length - 1)
+    assertIndex(this, to, this.value.length - 1)
+    const move = items => {
+      const moved = items.filter((item, index) => index !== from)
+      return [...moved.slice(0, to), items[from], ...moved.slice(to)]
+    }
+    return withItems(this, move(this.value), move(this.cells))
+  }
+
+  /**
+   * Returns a list field with an item removed from its value, along with its
+   * cell.
+   *
+   * @param {Number} index - The position of the item.
+   * @returns {Field} A field with the item removed.
+   */
+  removeItem (index) {
+    assertIndex(this, index, this.value.length - 1)
+    const remove = items => items.filter((item, position) => position !== index)
+    return withItems(this, remove(this.value), remove(this.cells))
+  }
+
+  /**
+   * Determines whether this is an ad-hoc field, i.e. one which doesn't track an
+   * original quad.
+   *
+   * @returns {Boolean} true if the field is new.
+   */
+  isNew () {
+    return !isDefined(this.originalObject)
+  }
+
+  /**
+   * Determines whether the value or named graph of this field differs from its
+   * original quad.  Changes within the nested model of a relation field don't
+   * count, as they don't change the field's own quad, whereas changes to the
+   * cells of a list field or to the node of a compound field do.
+   *
+   * @returns {Boolean} true if the field tracks an original quad and has been
+   * modified.
+   */
+  isModified () {
+    if (this.isNew()) {
+      return false
+    }
+    if (this.list || isDefined(this.compound)) {
+      const structureQuads = this.structureQuads(this.rdf)
+      const originalStructureQuads = this.originalStructureQuads(this.rdf)
+      return termToNT(this.toObject(this.rdf)) !== termToNT(this.originalObject) ||
+        termValue(this.namedGraph) !== termValue(this.originalNamedGraph) ||
+        structureQuads.length !== originalStructureQuads.length ||
+        structureQuads.some((quad, index) => !quadEquals(quad, originalStructureQuads[index]))
+    }
+    return !isDefined(describeObject(this).term) ||
+      termValue(this.namedGraph) !== termValue(this.originalNamedGraph)
+  }
+
+  /**
+   * Returns a field with the state of its original quad.  Nested models of
+   * relation fields are kept if they're still about the original object, and
+   * otherwise replaced by the original nested model.
+   *
+   * @returns {Field} The reverted field, or this field if it's new.
+   */
+  revert () {
+    if (this.isNew()) {
+      return this
+    }
+    const keepsNestedModel = this.relation && isDefined(this.value.subject) &&
+      this.value.subject.value === this.originalObject.value
+    return new Field({
+      predicate: this.predicate,
+      originalObject: this.originalObject,
+      originalNamedGraph: this.originalNamedGraph,
+      value: keepsNestedModel ? this.value : this.originalModel,
+      namedNode: this.namedNode,
+      relation: this.relation,
+      datatype: this.datatype,
+      inverse: this.inverse,
+      via: this.via,
+      list: this.list,
+      originalCells: this.originalCells,
+      compound: this.compound,
+      originalProperties: this.originalProperties,
+      originalModel: this.originalModel,
+      parse: this.parse,
+      serialize: this.serialize,
+      rdf: this.rdf,
+      id: this.id
+    })
+  }
+
+  /**
+   * Returns a field with the specified state.  The returned field keeps this
+   * field's id.
    *
    * @param {Object} options - An options object specifying named parameters.
-   * @param options.value - The new field value.
+   * @param options.value - The new field value.  New values of list fields
+   * reuse the current cells position by position, and new values of compound
+   * fields replace the whole value on the same node.
+   * @param {String=} options.lang - The new language tag.  Defaults to the
+   * current language tag, and an empty string removes it.
    * @returns {Field} A field with the specified state.
    */
-  set ({ value = null, namedGraph = null, namedNode = false }) {
+  set ({ value = null, namedGraph = null, namedNode = this.namedNode || false, lang = this.lang }) {
+    const cells = this.list && Array.isArray(value)
+      ? value.map((item, index) => this.cells[index] || this.rdf.blankNode())
+      : this.cells
     return new Field({
       originalObject: this.originalObject,
       originalNamedGraph: this.originalNamedGraph,
       namedGraph: namedGraph || this.namedGraph,
       predicate: this.predicate,
       value: value !== null ? value : this.value,
-      namedNode
+      namedNode,
+      relation: this.relation,
+      datatype: this.datatype,
+      lang,
+      inverse: this.inverse,
+      via: this.via,
+      list: this.list,
+      cells,
+      originalCells: this.originalCells,
+      compound: this.compound,
+      node: this.node,
+      originalProperties: this.originalProperties,
+      originalModel: this.originalModel,
+      parse: this.parse,
+      serialize: this.serialize,
+      rdf: this.rdf,
+      id: this.id
     })
   }
 
+  /**
+   * Serializes this field as a plain object which survives `JSON.stringify`.
+   * RDF terms are written as `{termType, value, language, datatype}` objects,
+   * dates as ISO strings, tagged in `valueType` even within list items and
+   * compound properties, and nested models with `Model.toJSON`.  Values of
+   * fields with a `serialize` function are written serialized, and parsed
+   * again by `fromJSON`.
+   *
+   * @returns {Object} The JSON representation of this field.
+   */
+  toJSON () {
+    const json = {
+      id: this.id,
+      predicate: termValue(this.predicate),
+      namedGraph: termValue(this.namedGraph)
+    }
+    if (!this.isNew()) {
+      json.originalObject = termToJSON(this.originalObject)
+      json.originalNamedGraph = termValue(this.originalNamedGraph)
+    }
+    const value = this.list
+      ? this.value.map(item => writeValue(this, item))
+      : writeValue(this, this.value)
+    if (this.relation && isDefined(value.subject)) {
+      json.value = value.toJSON()
+      json.valueType = 'model'
+    } else {
+      json.value = dateStrings(value)
+      // Dates are tagged wherever they are, e.g. in list items or properties
+      const valueType = dateTypes(value)
+      if (valueType !== null) {
+        json.valueType = valueType
+      }
+    }
+    // The original nested model is only written once it's been replaced
+    if (isDefined(this.originalModel) && !(isDefined(value.subject) &&
+        value.subject.value === this.originalModel.subject.value)) {
+      json.originalModel = this.originalModel.toJSON()
+    }
+    if (isDefined(this.serialize)) {
+      json.serialized = true
+    }
+    if (isDefined(this.namedNode)) {
+      json.namedNode = this.namedNode
+    }
+    if (isDefined(this.lang)) {
+      json.lang = this.lang
+    }
+    if (this.inverse) {
+      json.inverse = true
+    }
+    if (isDefined(this.via)) {
+      json.via = this.via.map(step => ({
+        predicate: termValue(step.predicate),
+        inverse: step.inverse,
+        node: termToJSON(step.node),
+        graph: termValue(step.graph)
+      }))
+    }
+    if (this.list) {
+      json.cells = this.cells.map(termToJSON)
+      if (isDefined(this.originalCells)) {
+        json.originalCells = this.originalCells.map(cell => ({
+          node: termToJSON(cell.node),
+          item: termToJSON(cell.item)
+        }))
+      }
+    }
+    if (isDefined(this.compound)) {
+      json.node = termToJSON(this.node)
+      if (isDefined(this.originalProperties)) {
+        json.originalProperties = this.originalProperties.map(property => ({
+          name: property.name,
+          object: termToJSON(property.object)
+        }))
+      }
+    }
+    return json
+  }
+
   /**
    * Updpates a field such that it starts tracking its current state rather than
    * its past state.
@@ -185,48 +891,342 @@ export class Field {
    * you toggle listed again it won't return to the original graph but rather
    * the default.
    *
-   * @param {Object} rdf - An RDF library, currently assumed to be rdflib.js
+   * @param {Object} rdf - An RDF adapter or library.
    * @param {Object} subject - The implicit subject for this field.  Particularly,
-   * an RDF subject, currently assumed to be an rdflib.js subject.
+   * an RDF subject term.
    * @param {Field} field - This field to be rebuilt from its current state.
    * @returns {Field} A new field tracking the provided field's state as its
-   * original state.
+   * original state.  It keeps this field's id.
    */
   fromCurrentState (rdf, subject) {
     const currentQuad = this.toQuad(rdf, subject)
+    const originalCells = this.list
+      ? this.toItems(rdf).map((item, index) => ({node: this.cells[index], item}))
+      : undefined
+    const propertyNames = Object.keys(this.compound || {})
+    const originalProperties = isDefined(this.compound)
+      ? this.compoundQuads(rdf).map(quad => ({
+        name: propertyNames.find(name => this.compound[name].predicate.value === quad.predicate.value),
+        object: quad.object
+      }))
+      : undefined
     return new Field({
       predicate: this.predicate,
-      originalObject: currentQuad.object,
+      originalObject: this.inverse ? currentQuad.subject : currentQuad.object,
       originalNamedGraph: currentQuad.graph,
-      namedNode: this.namedNode
+      namedNode: this.namedNode,
+      // Nested models can't be recovered from the quad, so keep the current one
+      value: this.relation ? this.value : undefined,
+      relation: this.relation,
+      datatype: this.datatype,
+      inverse: this.inverse,
+      via: this.via,
+      list: this.list,
+      originalCells,
+      compound: this.compound,
+      originalProperties,
+      originalModel: this.relation && isDefined(this.value.subject) ? this.value : undefined,
+      parse: this.parse,
+      serialize: this.serialize,
+      rdf,
+      id: this.id
     })
   }
 }
 
+/**
+ * Describes the RDF object node for the current value of a field without
+ * building it, so that it can be built with any RDF library.  Unchanged values
+ * are described by their original object node, and lists by their head.
+ *
+ * @param {Field} field - The field.
+ * @returns {Object} Either `{term}` holding the original object node, or the
+ * `termType` and lexical `value` of a new node along with its `language` or
+ * `datatype` URI.
+ */
+function describeObject (field) {
+  if (isDefined(field.compound)) {
+    return {term: field.node}
+  }
+  if (field.list) {
+    return field.cells.length > 0
+      ? {term: field.cells[0]}
+      : {termType: 'NamedNode', value: `${RDF}nil`}
+  }
+  // Relation fields may hold either a nested model or the URI of its subject
+  const value = field.relation && isDefined(field.value.subject)
+    ? field.value.subject.value
+    : writeValue(field, field.value)
+  return describeValue(field, value, field.originalObject)
+}
+
+/**
+ * Describes the RDF node for a value of a field, i.e. its value or an item of
+ * its list.
+ *
+ * @param {Field} field - The field.
+ * @param value - The value.
+ * @param {Object=} original - The original RDF node for the value.
+ * @returns {Object} A description of the node, as for `describeObject`.
+ */
+function describeValue (field, value, original) {
+  if (isDefined(original) && isSameValue(value, rdfToJs(original)) &&
+      (original.language || '') === (field.lang || '')) {
+    // Unchanged values keep their original lexical form
+    return {term: original}
+  }
+  if (field.lang) {
+    return {termType: 'Literal', value: jsToRdf(value, langString), language: field.lang}
+  }
+  if (isDefined(field.datatype)) {
+    const datatype = termValue(field.datatype)
+    return {termType: 'Literal', value: jsToRdf(value, datatype), datatype}
+  }
+  if (isDefined(original) && !original.language) {
+    // Keep the kind of node and the datatype of the original object, which new
+    // values must fit
+    return original.termType === 'Literal'
+      ? {termType: 'Literal', value: jsToRdf(value, original.datatype.value), datatype: original.datatype.value}
+      : {termType: 'NamedNode', value}
+  }
+  return field.namedNode || field.relation || field.inverse
+    ? {termType: 'NamedNode', value}
+    : {termType: 'Literal', ...inferLiteral(value)}
+}
+
+/**
+ * Builds the RDF node described by `describeObject` or `describeValue`.
+ *
+ * @param {Adapter} adapter - The RDF adapter.
+ * @param {Object} description - The description of the node.
+ * @returns {Object} The RDF node.
+ */
+function buildTerm (adapter, description) {
+  if (isDefined(description.term)) {
+    return description.term
+  }
+  return description.termType === 'NamedNode'
+    ? adapter.namedNode(description.value)
+    : adapter.literal(description.value, description.language || adapter.namedNode(description.datatype))
+}
+
+/**
+ * Builds the RDF node for an item of a list field.  Items which are unchanged
+ * in their original cell keep their original node.
+ *
+ * @param {Adapter} adapter - The RDF adapter.
+ * @param {Field} field - The list field.
+ * @param {Number} index - The position of the item.
+ * @returns {Object} The RDF node.
+ */
+function itemTerm (adapter, field, index) {
+  const node = field.cells[index]
+  const originalCell = (field.originalCells || []).find(cell => termToNT(cell.node) === termToNT(node))
+  return buildTerm(adapter, describeValue(field, writeValue(field, field.value[index]), originalCell && originalCell.item))
+}
+
+/**
+ * Builds the `rdf:first` and `rdf:rest` quads of the cells of a list.
+ *
+ * @param {Adapter} adapter - The RDF adapter.
+ * @param {Object[]} cells - The cells, each with its `node` and `item` node.
+ * @param {Object=} graph - The named graph node.
+ * @returns {Object[]} The RDF quads, in list order.
+ */
+function cellQuads (adapter, cells, graph) {
+  const first = adapter.namedNode(`${RDF}first`)
+  const rest = adapter.namedNode(`${RDF}rest`)
+  return cells.reduce((quads, cell, index) => {
+    const next = index < cells.length - 1
+      ? cells[index + 1].node
+      : adapter.namedNode(`${RDF}nil`)
+    return [
+      ...quads,
+      adapter.quad(cell.node, first, cell.item, graph),
+      adapter.quad(cell.node, rest, next, graph)
+    ]
+  }, [])
+}
+
+/**
+ * Returns a list field with new items and cells.
+ *
+ * @param {Field} field - The list field.
+ * @param {Array} value - The new items.
+ * @param {Object[]} cells - The cell nodes of the new items.
+ * @returns {Field} The new state of the field.
+ */
+function withItems (field, value, cells) {
+  return new Field({
+    predicate: field.predicate,
+    originalObject: field.originalObject,
+    originalNamedGraph: field.originalNamedGraph,
+    namedGraph: field.namedGraph,
+    value,
+    namedNode: field.namedNode,
+    datatype: field.datatype,
+    lang: field.lang,
+    inverse: field.inverse,
+    via: field.via,
+    list: true,
+    cells,
+    originalCells: field.originalCells,
+    parse: field.parse,
+    serialize: field.serialize,
+    rdf: field.rdf,
+    id: field.id
+  })
+}
+
+/**
+ * Reads the value of a field, or an item of a list field, from an RDF node.
+ *
+ * @param {Field} field - The field.
+ * @param {Object} node - The RDF node.
+ * @returns The value, parsed by the field's `parse` function if it has one.
+ */
+function readValue (field, node) {
+  const value = rdfToJs(node)
+  return isDefined(field.parse) ? field.parse(value) : value
+}
+
+/**
+ * Prepares the value of a field, or an item of a list field, to be written as
+ * an RDF node.  This is the inverse of `readValue`.
+ *
+ * @param {Field} field - The field.
+ * @param value - The value.
+ * @returns The value, serialized by the field's `serialize` function if it has
+ * one.
+ */
+function writeValue (field, value) {
+  return isDefined(field.serialize) ? field.serialize(value) : value
+}
+
+/**
+ * Reads the value of a compound field from the quads of its node.  Properties
+ * with one value hold it directly, and properties with several hold an array.
+ *
+ * @param {Object[]} properties - The quads of the node, each as the property
+ * `name` and its `object`.
+ * @returns {Object} The value.
+ */
+function propertiesValue (properties) {
+  return properties.reduce((value, property) => {
+    const propertyValue = rdfToJs(property.object)
+    return {
+      ...value,
+      [property.name]: value.hasOwnProperty(property.name)
+        ? [].concat(value[property.name], propertyValue)
+        : propertyValue
+    }
+  }, {})
+}
+
+/**
+ * Lists the values of a property of a compound value.  Missing and null
+ * properties have none.
+ *
+ * @param {Object} value - The compound value.
+ * @param {String} name - The property name.
+ * @returns {Array} The property values.
+ */
+function propertyValues (value, name) {
+  return [].concat(value[name]).filter(propertyValue => isDefined(propertyValue) && propertyValue !== null)
+}
+
+/**
+ * Asserts that a new value suits a field or a property of a compound value,
+ * i.e. that it can be serialized to its declared datatype or used as the URI
+ * of a NamedNode.
+ *
+ * @param {Object} spec - The field or property, with its `datatype` and
+ * `namedNode` flag.
+ * @param value - The new value.
+ */
+function assertValue (spec, value) {
+  if (isDefined(spec.datatype)) {
+    jsToRdf(value, termValue(spec.datatype))
+  } else if (spec.namedNode) {
+    assertURI(value)
+  }
+}
+
+/**
+ * Asserts that a field is a list field and that a position is within its
+ * bounds.
+ *
+ * @param {Field} field - The field.
+ * @param {Number} index - The position.
+ * @param {Number} max - The greatest valid position.
+ */
+function assertIndex (field, index, max) {
+  if (!field.list) {
+    throw new Error('Only list fields have items.')
+  }
+  if (!Number.isInteger(index) || index < 0 || index > max) {
+    throw new Error(`List index out of range.  Given index [${index}].`)
+  }
+}
+
+/**
+ * Builds the quad linking a node to another along a predicate, in the
+ * direction of a field or of a step of its property path.
+ *
+ * @param {Adapter} adapter - The RDF adapter.
+ * @param {Object} link - The field or step, with a `predicate` and an
+ * `inverse` flag.
+ * @param {Object} subject - The node the link starts from, e.g. the implicit
+ * subject of the field.
+ * @param {Object} node - The node the link leads to, e.g. the node holding the
+ * field's value.
+ * @param {Object=} graph - The named graph node.
+ * @returns {Object} The RDF quad.
+ */
+function linkQuad (adapter, link, subject, node, graph) {
+  return link.inverse
+    ? adapter.quad(node, link.predicate, subject, graph)
+    : adapter.quad(subject, link.predicate, node, graph)
+}
+
+/**
+ * Returns the node which holds a field's quad, i.e. the last node of its
+ * property path, or the implicit subject.
+ *
+ * @param {Field} field - The field.
+ * @param {Object} subject - The implicit subject for the field.
+ * @returns {Object} The RDF node.
+ */
+function anchorNode (field, subject) {
+  return isDefined(field.via)
+    ? field.via[field.via.length - 1].node
+    : subject
+}
+
 /**
  * Extracts the value of an rdf node into the native JS representation of that
  * node's type/value.  For example, it will extract booleans from a node with a
- * datatype of xsd:boolean and a value of '0' or '1'.
+ * datatype of xsd:boolean and a value of '0' or '1'.  Language-tagged strings
+ * are extracted as plain strings; fields keep track of the language tag.
  *
  * @param {Object} node - The rdf node object.
  * @returns The value of that node.
  */
-function rdfToJs (node) {
+export function rdfToJs (node) {
   let value
   const rdfVal = node.value
   const datatype = node.datatype
   const throwError = () => {
     throw new Error(
-      `Cannot parse rdf type/value to JS value.  Given value [${rdfVal}] of type [${datatype}].`
+      `Cannot parse rdf type/value to JS value.  Given value [${rdfVal}] of type [${datatype.value}].`
     )
   }
   if (datatype) {
-    const XMLSchema = 'http://www.w3.org/2001/XMLSchema#'
     switch (datatype.value) {
       case `${XMLSchema}boolean`:
-        if (rdfVal === '1') {
+        if (rdfVal === '1' || rdfVal === 'true') {
           value = true
-        } else if (rdfVal === '0') {
+        } else if (rdfVal === '0' || rdfVal === 'false') {
           value = false
         } else {
           throwError()
@@ -238,12 +1238,13 @@ function rdfToJs (node) {
         break
       case `${XMLSchema}decimal`:
       case `${XMLSchema}double`:
+      case `${XMLSchema}float`:
         value = Number.parseFloat(rdfVal)
         break
       case `${XMLSchema}integer`:
         value = Number.parseInt(rdfVal)
         break
-      case 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString':
+      case langString:
       case `${XMLSchema}string`:
       default:
         value = rdfVal
@@ -255,3 +1256,292 @@ function rdfToJs (node) {
   }
   return value
 }
+
+/**
+ * Serializes a native JS value into the lexical form of an RDF datatype.  This
+ * is the inverse of `rdfToJs`.  For example, it will serialize `true` to '1'
+ * for a datatype of xsd:boolean.  Values of the integer datatypes must be in
+ * their ranges, dates are formatted for the datatypes which hold their parts,
+ * like xsd:date, and values of the other XML Schema datatypes must match their
+ * lexical forms.
+ *
+ * @param value - The JS value.
+ * @param {String} datatype - The URI of the RDF datatype to serialize to.
+ * @returns {String} The lexical form of the value.
+ */
+function jsToRdf (value, datatype) {
+  const type = typeof value
+  const isNumeric = Number.isFinite(value) ||
+    (type === 'string' && value.trim() !== '' && Number.isFinite(Number(value)))
+  const date = value instanceof Date ? value : new Date(value)
+  const isDate = (value instanceof Date || type === 'string' || type === 'number') &&
+    !Number.isNaN(date.getTime())
+  const isPrimitive = type === 'string' || type === 'number' || type === 'boolean'
+  const xsdType = datatype.indexOf(XMLSchema) === 0
+    ? datatype.slice(XMLSchema.length)
+    : undefined
+  let rdfVal
+  switch (datatype) {
+    case `${XMLSchema}boolean`:
+      if (type === 'boolean') {
+        rdfVal = value ? '1' : '0'
+      }
+      break
+    case `${XMLSchema}dateTime`:
+      if (isDate) {
+        rdfVal = date.toISOString().replace(/\.000Z$/, 'Z')
+      }
+      break
+    case `${XMLSchema}decimal`:
+    case `${XMLSchema}double`:
+    case `${XMLSchema}float`:
+      if (isNumeric) {
+        rdfVal = `${Number(value)}`
+      }
+      break
+    default:
+      if (isDefined(integerRanges[xsdType])) {
+        rdfVal = integerLexicalForm(value, integerRanges[xsdType])
+      } else if (value instanceof Date && isDefined(dateFormats[xsdType])) {
+        rdfVal = isDate ? dateFormats[xsdType](date.toISOString()) : undefined
+      } else if (isPrimitive && isDefined(lexicalForms[xsdType])) {
+        const lexicalForm = `${value}`
+        const matches = new RegExp(`^${lexicalForms[xsdType]}$`).test(lexicalForm)
+        rdfVal = matches && (xsdType !== 'date' || isCalendarDate(lexicalForm))
+          ? lexicalForm
+          : undefined
+      } else if (isPrimitive) {
+        rdfVal = `${value}`
+      }
+      break
+  }
+  if (!isDefined(rdfVal)) {
+    throw new Error(
+      `Cannot serialize JS value to rdf type/value.  Given value [${value}] for type [${datatype}].`
+    )
+  }
+  return rdfVal
+}
+
+/**
+ * Writes an integer in the canonical lexical form of XML Schema's integer
+ * datatypes, if it's within a range.
+ *
+ * @param value - The integer, as a number or a numeric string.
+ * @param {String[]} range - The canonical lexical forms of the smallest and
+ * largest integers allowed, either of which may be undefined.
+ * @returns {String|undefined} The lexical form, or undefined if the value isn't
+ * an integer in the range.
+ */
+function integerLexicalForm (value, [min, max]) {
+  let lexicalForm
+  if (typeof value === 'string' && /^\s*[+-]?\d+\s*$/.test(value)) {
+    // Strings of digits are read exactly, whatever their size
+    const digits = value.trim().replace(/^[+-]/, '').replace(/^0+(?=\d)/, '')
+    lexicalForm = value.trim()[0] === '-' && digits !== '0' ? `-${digits}` : digits
+  } else if (Number.isFinite(value) || (typeof value === 'string' && value.trim() !== '')) {
+    // Larger numbers are written with exponents
+    const number = Number(value)
+    lexicalForm = Number.isInteger(number) && Math.abs(number) < 1e21
+      ? `${number}`
+      : undefined
+  }
+  const inRange = isDefined(lexicalForm) &&
+    (!isDefined(min) || compareIntegers(lexicalForm, min) >= 0) &&
+    (!isDefined(max) || compareIntegers(lexicalForm, max) <= 0)
+  return inRange ? lexicalForm : undefined
+}
+
+/**
+ * Compares integers written in canonical lexical form, which may be too large
+ * to be compared as numbers.
+ *
+ * @param {String} a - The first integer.
+ * @param {String} b - The second integer.
+ * @returns {Number} A negative number if a < b, a positive number if a > b,
+ * and 0 if they're equal.
+ */
+function compareIntegers (a, b) {
+  const isNegative = a[0] === '-'
+  if (isNegative !== (b[0] === '-')) {
+    return isNegative ? -1 : 1
+  }
+  const [digitsA, digitsB] = [a, b].map(integer => integer.replace(/^-/, ''))
+  const magnitude = digitsA.length !== digitsB.length
+    ? digitsA.length - digitsB.length
+    : (digitsA > digitsB) - (digitsA < digitsB)
+  return isNegative ? -magnitude : magnitude
+}
+
+/**
+ * Determines whether an xsd:date names a day of the calendar, e.g. not the
+ * 30th of February.
+ *
+ * @param {String} lexicalForm - The xsd:date, which matches its lexical form.
+ * @returns {Boolean} true if the month has the day.
+ */
+function isCalendarDate (lexicalForm) {
+  const [, yearDigits, monthDigits, dayDigits] = /^-?(\d+)-(\d{2})-(\d{2})/.exec(lexicalForm)
+  const yearNumber = Number(yearDigits)
+  const isLeapYear = yearNumber % 4 === 0 && (yearNumber % 100 !== 0 || yearNumber % 400 === 0)
+  const monthLengths = [31, isLeapYear ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]
+  return Number(dayDigits) <= monthLengths[Number(monthDigits) - 1]
+}
+
+/**
+ * Infers the lexical form and datatype of a literal from a native JS value.
+ * Booleans, numbers and dates get the corresponding XML Schema datatypes, and
+ * anything else is a string.
+ *
+ * @param value - The JS value.
+ * @returns {Object} The lexical `value` and `datatype` URI of the literal.
+ */
+function inferLiteral (value) {
+  let datatype = `${XMLSchema}string`
+  if (typeof value === 'boolean') {
+    datatype = `${XMLSchema}boolean`
+  } else if (value instanceof Date) {
+    datatype = `${XMLSchema}dateTime`
+  } else if (typeof value === 'number') {
+    const str = `${value}`
+    if (str.indexOf('e') >= 0) {
+      datatype = `${XMLSchema}float`
+    } else if (str.indexOf('.') >= 0) {
+      datatype = `${XMLSchema}decimal`
+    } else {
+      datatype = `${XMLSchema}integer`
+    }
+  }
+  return {value: jsToRdf(value, datatype), datatype}
+}
+
+/**
+ * Serializes an RDF term as a plain object.
+ *
+ * @param {Object} term - The RDF term.
+ * @returns {Object} The term's `termType` and `value`, along with the
+ * `language` or `datatype` URI of literals.
+ */
+function termToJSON (term) {
+  const json = {termType: term.termType, value: term.value}
+  if (term.language) {
+    json.language = term.language
+  } else if (term.termType === 'Literal' && term.datatype) {
+    json.datatype = term.datatype.value
+  }
+  return json
+}
+
+/**
+ * Rebuilds an RDF term from the result of `termToJSON`.
+ *
+ * @param {Adapter} adapter - The RDF adapter.
+ * @param {Object} json - The serialized term.
+ * @returns {Object} The RDF term.
+ */
+function termFromJSON (adapter, json) {
+  switch (json.termType) {
+    case 'NamedNode':
+      return adapter.namedNode(json.value)
+    case 'BlankNode':
+      return adapter.blankNode(json.value)
+    default:
+      return adapter.literal(json.value, json.language ||
+        (json.datatype ? adapter.namedNode(json.datatype) : undefined))
+  }
+}
+
+/**
+ * Rebuilds the value of a field from the result of `Field.toJSON`.  Nested
+ * models are left to the caller.
+ *
+ * @param {Object} json - The serialized field.
+ * @param {Function=} parse - The field's `parse` function, for serialized
+ * values.
+ * @returns The field value.
+ */
+function valueFromJSON (json, parse) {
+  const value = withDates(json.value, json.valueType)
+  if (!json.serialized || !isDefined(parse)) {
+    return value
+  }
+  return Array.isArray(value) ? value.map(item => parse(item)) : parse(value)
+}
+
+/**
+ * Writes the dates of a field value, including those of list items and compound
+ * properties, as ISO strings.
+ *
+ * @param value - The field value.
+ * @returns The value without dates.
+ */
+function dateStrings (value) {
+  if (value instanceof Date) {
+    return value.toISOString()
+  }
+  if (Array.isArray(value)) {
+    return value.map(dateStrings)
+  }
+  if (isPlainObject(value)) {
+    return Object.keys(value).reduce((json, name) => ({...json, [name]: dateStrings(value[name])}), {})
+  }
+  return value
+}
+
+/**
+ * Describes where the dates of a field value are, so that they can be read
+ * back from their ISO strings.
+ *
+ * @param value - The field value.
+ * @returns {String|Array|Object|null} 'date' for dates, the types of the items
+ * of arrays or of the properties of objects which hold dates, and null for
+ * values without dates.
+ */
+function dateTypes (value) {
+  if (value instanceof Date) {
+    return 'date'
+  }
+  if (Array.isArray(value)) {
+    const itemTypes = value.map(dateTypes)
+    return itemTypes.some(type => type !== null) ? itemTypes : null
+  }
+  if (isPlainObject(value)) {
+    const names = Object.keys(value).filter(name => dateTypes(value[name]) !== null)
+    return names.length > 0
+      ? names.reduce((types, name) => ({...types, [name]: dateTypes(value[name])}), {})
+      : null
+  }
+  return null
+}
+
+/**
+ * Reads the dates of a value written by `dateStrings` back.
+ *
+ * @param value - The value without dates.
+ * @param {String|Array|Object=} valueType - Where the dates are.  See
+ * `dateTypes`.
+ * @returns The value with its dates.
+ */
+function withDates (value, valueType) {
+  if (valueType === 'date') {
+    return new Date(value)
+  }
+  if (Array.isArray(valueType)) {
+    return value.map((item, index) => withDates(item, valueType[index]))
+  }
+  if (isPlainObject(valueType)) {
+    return Object.keys(value).reduce((withTypes, name) => ({...withTypes, [name]: withDates(value[name], valueType[name])}), {})
+  }
+  return value
+}
+
+/**
+ * Asserts that a value can be used as the URI of a NamedNode.
+ *
+ * @param value - The value to test.
+ */
+function assertURI (value) {
+  if (typeof value !== 'string' || value.indexOf(':') < 0) {
+    throw new Error(`Cannot use value as a NamedNode URI.  Given value [${value}].`)
+  }
+}
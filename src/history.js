@@ -0,0 +1,202 @@
+import { fieldKey } from './model'
+
+/**
+ * A History wraps a model and records every edit made through it, so that
+ * edits can be undone and redone.  Like models, histories are immutable;
+ * every edit, undo and redo returns a new history.
+ *
+ * Each step of the history holds a label and the model from before (for steps
+ * which can be undone) or after (for steps which can be redone) the step.
+ * Models are immutable, so these snapshots are cheap, and since they all track
+ * the same original quads, the current model's diff is always correct.
+ *
+ * @typedef {Object} History
+ * @property {Model} model - The current model.
+ * @property {Number} limit - The maximum number of steps which can be undone.
+ * @property {Object[]} past - The steps which can be undone, oldest first.
+ * @property {Object[]} future - The steps which can be redone, next first.
+ */
+export class History {
+  /**
+   * Creates a history.
+   *
+   * @constructor
+   * @param {Model} model - The current model.
+   * @param {Object=} options - Options for the history.
+   * @param {Number=} options.limit - The maximum number of steps which can be
+   * undone.  Older steps are forgotten.  Defaults to 100.
+   * @param {Object[]=} options.past - The steps which can be undone.
+   * @param {Object[]=} options.future - The steps which can be redone.
+   * @returns {History} the newly constructed history.
+   */
+  constructor (model, { limit = 100, past = [], future = [] } = {}) {
+    this.model = model
+    this.limit = limit
+    this.past = past
+    this.future = future
+    Object.freeze(this)
+  }
+
+  /**
+   * Edits the model as one step.
+   *
+   * @param {String} label - A description of the step, e.g. for undo menus.
+   * @param {Function(Model)} fn - A function from the current model to the
+   * edited model.  It may make any number of edits.
+   * @returns {History} The updated history.  Steps which don't change the
+   * model aren't recorded.
+   */
+  apply (label, fn) {
+    const model = fn(this.model)
+    if (model === this.model) {
+      return this
+    }
+    const past = [...this.past, {label, model: this.model}]
+    return new History(model, {
+      limit: this.limit,
+      past: past.slice(Math.max(0, past.length - this.limit)),
+      future: []
+    })
+  }
+
+  /**
+   * Groups several edits made through a history into one step.
+   *
+   * @param {String} label - A description of the step.
+   * @param {Function(History)} fn - A function from a history of the current
+   * model to a history of the edited model.
+   * @returns {History} The updated history.
+   */
+  group (label, fn) {
+    const grouped = fn(new History(this.model, {limit: this.limit}))
+    return this.apply(label, () => grouped.model)
+  }
+
+  /**
+   * Adds a field as one step.  See `Model.add`.
+   *
+   * @param {String} key - the key of the fields to add to.
+   * @param fieldValue - the value of the field to add.
+   * @param {Object=} options - arguments to create the new field.
+   * @returns {History} The updated history.
+   */
+  add (key, fieldValue, options) {
+    return this.apply(`add ${key}`, model => model.add(key, fieldValue, options))
+  }
+
+  /**
+   * Removes a field as one step.  See `Model.remove`.
+   *
+   * @param {Field} field - the field to remove.
+   * @returns {History} The updated history.
+   */
+  remove (field) {
+    return this.apply(`remove ${fieldKey(this.model, field)}`, model => model.remove(field))
+  }
+
+  /**
+   * Modifies a field as one step.  See `Model.set`.
+   *
+   * @param {Field} oldField - the field which should be modified.
+   * @param newFieldValue - the new field's value.
+   * @param {Object=} newFieldOptions - arguments to create the new field.
+   * @returns {History} The updated history.
+   */
+  set (oldField, newFieldValue, newFieldOptions) {
+    return this.apply(
+      `set ${fieldKey(this.model, oldField)}`,
+      model => model.set(oldField, newFieldValue, newFieldOptions)
+    )
+  }
+
+  /**
+   * Modifies or adds a field by key as one step.  See `Model.setAny`.
+   *
+   * @param {String} key - the key of a field to replace.
+   * @param fieldValue - the new field value.
+   * @param {Object=} fieldOptions - arguments to create the new field.
+   * @returns {History} The updated history.
+   */
+  setAny (key, fieldValue, fieldOptions) {
+    return this.apply(`set ${key}`, model => model.setAny(key, fieldValue, fieldOptions))
+  }
+
+  /**
+   * Determines whether there's a step to undo.
+   *
+   * @returns {Boolean} true if a step can be undone.
+   */
+  canUndo () {
+    return this.past.length > 0
+  }
+
+  /**
+   * Determines whether there's a step to redo.
+   *
+   * @returns {Boolean} true if a step can be redone.
+   */
+  canRedo () {
+    return this.future.length > 0
+  }
+
+  /**
+   * Undoes the last step.
+   *
+   * @returns {History} The history before the last step, or this history if
+   * there's nothing to undo.
+   */
+  undo () {
+    if (!this.canUndo()) {
+      return this
+    }
+    const {label, model} = this.past[this.past.length - 1]
+    return new History(model, {
+      limit: this.limit,
+      past: this.past.slice(0, -1),
+      future: [{label, model: this.model}, ...this.future]
+    })
+  }
+
+  /**
+   * Redoes the last undone step.
+   *
+   * @returns {History} The history after the step, or this history if there's
+   * nothing to redo.
+   */
+  redo () {
+    if (!this.canRedo()) {
+      return this
+    }
+    const [{label, model}, ...future] = this.future
+    return new History(model, {
+      limit: this.limit,
+      past: [...this.past, {label, model: this.model}],
+      future
+    })
+  }
+
+  /**
+   * Computes the diff of the current model.  See `Model.diff`.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @returns {Object} The diff map of the current model.
+   */
+  diff (rdf) {
+    return this.model.diff(rdf)
+  }
+
+  /**
+   * Saves the current model.  See `Model.save`.  The models of earlier steps
+   * don't know what was saved, so saving starts a new history.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @param {Object} web - A web client library.
+   * @param {Object=} options - Options for saving.
+   * @returns {Promise<History>} A new history of the saved model.
+   */
+  save (rdf, web, options) {
+    return this.model
+      .save(rdf, web, options)
+      .then(model => new History(model, {limit: this.limit}))
+  }
+}
@@ -1,2 +1,8 @@
+export { rdflibAdapter, rdfjsAdapter } from './adapter'
+export { Collection } from './collection'
+export { ConflictError } from './errors'
 export { fieldFactory } from './field'
+export { History } from './history'
 export { modelFactory } from './model'
+export { n3Patch, n3Patches, sparqlUpdate, sparqlUpdates } from './patch'
+export { shapeFieldMap, shapeModelFactory } from './shacl'
@@ -1,7 +1,35 @@
 import Immutable from 'immutable'
 
-import { isDefined } from './util'
-import { fieldFactory } from './field'
+import { isBlankNode, isDefined, isSameValue, termValue } from './util'
+import { graphURI, quadEquals, quadToNT, termToNT, toAdapter } from './adapter'
+import { Collection } from './collection'
+import { ConflictError } from './errors'
+import { fieldFactory, rdfToJs } from './field'
+import { involvesBlankNodes, sparqlUpdate } from './patch'
+import { derivePrefixes, nQuads, turtle } from './serialize'
+import { validateFields } from './validation'
+
+const rdfType = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type'
+const rdfFirst = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#first'
+const rdfRest = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#rest'
+const rdfNil = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#nil'
+const xsdString = 'http://www.w3.org/2001/XMLSchema#string'
+
+// The HTTP status of patches whose If-Match header no longer matches
+const PreconditionFailed = 412
+
+// The values of computed keys, keyed by model and then by key
+const computedValueCache = new WeakMap()
+
+// By default, patches are sent all at once and never retried.  Retries wait
+// 100ms, doubling with every attempt.
+const defaultSavePolicy = {
+  maxAttempts: 1,
+  backoff: 100,
+  retryStatuses: [408, 429, 500, 502, 503, 504],
+  concurrency: Infinity,
+  signal: undefined
+}
 
 /**
  * A Model represents an RDF subgraph.  Specifically, it represents a number of
@@ -15,45 +43,491 @@ import { fieldFactory } from './field'
  * keyed by the field keys, which are user-specified aliases for RDF predicates.
  * @property {Array[Object]} graveyard - An array of RDF quads which have been
  * removed from the model.
+ * @property {Object} fieldSpecs - The field specs of this model keyed by the
+ * field keys.
+ * @property {Object} computedSpecs - The specs of this model's computed keys,
+ * keyed by key.
+ * @property {Object} attempts - The patch attempts made by the save which
+ * returned this model, keyed by URI.  See `Model.save`.
+ * @property {Object} versions - The versions (ETags) of the model's named
+ * graphs, keyed by graph URI.
  */
 
 /**
  * Generates a factory for creating models.
  *
- * @param {Object} rdf - An RDF library, currently assumed to be rdflib.js.
- * @param {Object} fieldMap - A mapping of predicate aliases to RDF predicate
- * nodes. For example: { 'name': '<http://xmlns.com/foaf/0.1/name>' }
- * @param {Object} fieldCreators - A mapping from field keys to field factory
- * functions.
+ * @param {Object} rdf - An RDF adapter (see `rdflibAdapter` and
+ * `rdfjsAdapter`), or an RDF library to create one for.  Both the rdflib.js
+ * module and RDFJS data factories are accepted.
+ * @param {Object} fieldMap - A mapping of predicate aliases to either RDF
+ * predicate nodes or field specs.  For example:
+ *   {
+ *     name: '<http://xmlns.com/foaf/0.1/name>',
+ *     friends: { predicate: '<http://xmlns.com/foaf/0.1/knows>', model: personModel }
+ *   }
+ * A field spec may contain the following properties:
+ *   - `predicate` (required unless there's a `path`): the RDF predicate node or
+ *     URI for the field.
+ *   - `path`: a property path to follow instead of a single predicate, in the
+ *     spirit of SPARQL property paths.  A path is either a predicate, an array
+ *     of paths to follow in sequence, `{alternative: [paths]}` to follow any of
+ *     several paths, or `{inverse: path}` to follow a path backwards.  For
+ *     example, `[vcard('hasTelephone'), vcard('value')]` reaches the phone
+ *     numbers of the subject through their intermediate nodes.  New values are
+ *     written through the first alternative, with a new blank node for every
+ *     intermediate step.  Removing a value also removes the statements leading
+ *     to its blank intermediate nodes, unless other values still use them.
+ *     Keys with paths are left out of JSON-LD documents.
+ *   - `model`: a model factory.  The field values become models of the field's
+ *     objects, built from the same graph.
+ *   - `datatype`: an RDF datatype node (e.g. xsd:integer).  New values are
+ *     serialized as literals of this datatype, and values which can't be
+ *     coerced to it are rejected.
+ *   - `namedNode`: whether new values are NamedNodes rather than literals.
+ *   - `inverse`: whether the field follows the predicate backwards, i.e. its
+ *     values are the subjects of quads whose object is the model's subject.
+ *     For example, `{predicate: foaf('knows'), inverse: true}` finds the people
+ *     who know the subject.  Inverse values are always NamedNodes or nested
+ *     models.
+ *   - `list`: whether the field's object is the head of an RDF list
+ *     (`rdf:first`/`rdf:rest`) whose items are the field's value, as an
+ *     array.  Items are literals, or NamedNodes with `namedNode`, and lists
+ *     are edited with `Model.insertItem`, `Model.moveItem` and
+ *     `Model.removeItem`.  The cells of lists are blank nodes, which belong to
+ *     their field: saving only changes the cells whose item or successor
+ *     changed, and removing a list removes all of its cells.
+ *   - `compound`: a mapping of property names to RDF predicates (or to specs
+ *     with a `predicate`, `datatype` and `namedNode`) for fields whose object
+ *     is a blank node with properties of its own, like a `vcard:hasAddress`
+ *     node with its street and locality.  The field's value is an object of
+ *     the properties' values, e.g. `{street: '1 Main St', locality: 'Ham'}`,
+ *     holding an array for properties with several values.  Values are edited
+ *     in place on the same blank node, which belongs to its field: removing
+ *     the field removes the node's quads as well.  Keys with compound values
+ *     are left out of JSON-LD documents.
+ *   - `parse` and `serialize`: functions which transform plain and list
+ *     values as they're read from RDF and written back, e.g. from a `tel:`
+ *     URI to a phone number object and back.  `parse` takes the JS value of
+ *     the RDF object, and `serialize` returns one to write in its place.
+ *   - `default`: the value which `Model.get` and `Model.any` return when the
+ *     key has no fields.  Defaults aren't fields, so they're only written if
+ *     they're set explicitly, e.g. with `Model.setAny`.
+ *   - `required`, `minCount`, `maxCount`, `nodeKind`, `pattern` and `validate`:
+ *     constraints checked by `Model.validate`.
+ * A key may instead be computed from the other keys of its model, e.g. a
+ * display name from a name or a given and family name, with a spec of:
+ *   - `compute` (required): a function from a model to the key's values, as an
+ *     array, a single value, or undefined or null for none.  Computed values
+ *     are read with `Model.get` and `Model.any` like stored ones, and are
+ *     computed once per model.
+ *   - `write`: a function from a new value and the model to an object of the
+ *     stored keys' new values, which makes the key writable with
+ *     `Model.setAny`.  For example, `name => ({name})`.  A value of `null`
+ *     removes every field of its stored key.
+ * Computed keys have no fields of their own, so they're left out of diffs,
+ * snapshots and JSON-LD documents.
  * @returns {Function} - A factory function for creating actual models.  The
- * factory takes three arguments - an RDF graph object as the data source, the
+ * factory takes three arguments - an RDF graph object (an rdflib.js graph or an
+ * RDFJS dataset, matching the adapter) as the data source, the
  * URI of the named graph which new fields are added to, and the subject of the
- * model as a string.
+ * model as a string.  A fourth, optional argument is an options object:
+ *   - `versions`: the versions (ETags) of the named graphs at the time the
+ *     graph was loaded, keyed by graph URI.  `Model.save` only patches those
+ *     graphs if their versions haven't changed since.
+ *   - `ancestors`: the subject URIs of the models currently being built.  This
+ *     is used internally to stop nested models from recursing through
+ *     reference cycles.
+ *   - `snapshot`: the result of `Model.toJSON`, to build the model from instead
+ *     of the graph.  This is used internally by `fromJSON`.
+ * The factory also has a `fromJSON` method, which rebuilds a model from the
+ * result of `Model.toJSON` or a JSON string of it, and an `all` method, which
+ * builds a `Collection` of models for every subject in a graph matching a
+ * pattern.  `all` takes the graph, the URI of the default named graph, and an
+ * options object:
+ *   - `type`: an RDF class (node or URI).  Subjects of this `rdf:type` match.
+ *   - `predicate` and `object`: a pattern of nodes or URIs, either of which may
+ *     be left out to match anything.  Subjects of matching statements match.
+ *     Literal objects must be given as RDF terms.  This is ignored if `type`
+ *     is given, and without either every subject in the graph matches.
+ *   - `versions`: the versions of the named graphs, as for single models.
+ * The models are ordered by subject URI.
  */
 export function modelFactory (rdf, fieldMap) {
-  return (graph, defaultNamedGraph, subjectStr) => {
+  const adapter = toAdapter(rdf)
+  const isComputed = fieldKey => isDefined(fieldMap[fieldKey].compute)
+  const fieldSpecs = Object.keys(fieldMap).filter(fieldKey => !isComputed(fieldKey)).reduce(
+    (specs, fieldKey) => ({...specs, [fieldKey]: fieldSpec(adapter, fieldKey, fieldMap[fieldKey])}), {}
+  )
+  const computedSpecs = Object.keys(fieldMap).filter(isComputed).reduce(
+    (specs, fieldKey) => ({...specs, [fieldKey]: fieldMap[fieldKey]}), {}
+  )
+  const factory = (graph, defaultNamedGraph, subjectStr, { versions = {}, ancestors = [], snapshot } = {}) => {
     const fieldCreators = {}
-    const subject = rdf.NamedNode.fromValue(subjectStr)
+    const subject = adapter.namedNode(subjectStr)
+    const lineage = [...ancestors, subject.value]
     const fields = Immutable.Map(
-      Object.keys(fieldMap).reduce((prevFields, fieldName) => {
-        const fieldPredicate = fieldMap[fieldName]
-        const matchingQuads = graph
-          .statementsMatching(subject, fieldPredicate)
-        const fieldCreator = fieldFactory(fieldPredicate)
+      Object.keys(fieldSpecs).reduce((prevFields, fieldName) => {
+        const spec = fieldSpecs[fieldName]
+        const fieldCreator = fieldFactory(spec.predicate, {
+          relation: isDefined(spec.model),
+          datatype: spec.datatype,
+          namedNode: spec.namedNode,
+          inverse: spec.inverse,
+          via: spec.routes[0].slice(0, -1),
+          list: spec.list,
+          compound: spec.compound,
+          ...valueTransformers(spec),
+          rdf: adapter
+        })
         fieldCreators[fieldName] = fieldCreator
-        const matchingFields = matchingQuads.map(
-          quad => fieldCreator.fromQuad(quad)
-        )
+        if (snapshot) {
+          const fieldsJSON = snapshot.fields[fieldName] || []
+          return {...prevFields, [fieldName]: fieldsJSON.map(json => fieldFromJSON(spec, fieldCreator, json))}
+        }
+        const matches = matchRoutes(adapter, graph, subject, spec.routes)
+        const matchingFields = matches.map(({quad, route}) => {
+          const node = linkedNode(quad, route)
+          // References back to a model being built are left as plain URIs
+          const isNested = fieldCreator.relation &&
+            node.termType === 'NamedNode' &&
+            lineage.indexOf(node.value) < 0
+          return isNested
+            ? fieldCreator.fromQuad(quad, spec.model(graph, defaultNamedGraph, node.value, {versions, ancestors: lineage}), route)
+            : fieldCreator.fromQuad(quad, undefined, withStructure(adapter, graph, spec, quad, route))
+        })
         return {...prevFields, ...{[fieldName]: matchingFields}}
       }, {})
     )
-    // By definition, all the predicates in `fieldMap` must be unique, hence
-    // inverting the map to have a (predicate -> fieldKey) mapping is safe.
-    const reverseFieldMap = Object.keys(fieldMap).reduce(
-      (rdxn, fieldKey) => { return {...rdxn, [fieldMap[fieldKey]]: fieldKey} }, {}
-    )
-    return new Model(subject, fields, defaultNamedGraph, [], fieldCreators, reverseFieldMap)
+    // By definition, all the predicates (or routes of property paths) in
+    // `fieldMap` must be unique in each direction, hence inverting the map to
+    // have a (route -> fieldKey) mapping is safe.  Routes are written like
+    // SPARQL property paths, so a plain predicate maps from its URI.
+    const reverseFieldMap = Object.keys(fieldSpecs).reduce((rdxn, fieldKey) => ({
+      ...rdxn,
+      ...fieldSpecs[fieldKey].routes.reduce((keys, route) => ({...keys, [routeKey(route)]: fieldKey}), {})
+    }), {})
+    if (snapshot) {
+      // Removed fields whose keys are no longer in the field map are dropped
+      const graveyard = snapshot.graveyard
+        .filter(json => isDefined(reverseFieldMap[routeKey(fieldRoute(json))]))
+        .map(json => {
+          const key = reverseFieldMap[routeKey(fieldRoute(json))]
+          return fieldFromJSON(fieldSpecs[key], fieldCreators[key], json)
+        })
+      return new Model(subject, fields, defaultNamedGraph, graveyard, fieldCreators, reverseFieldMap, fieldSpecs, {}, snapshot.versions, computedSpecs)
+    }
+    return new Model(subject, fields, defaultNamedGraph, [], fieldCreators, reverseFieldMap, fieldSpecs, {}, versions, computedSpecs)
+  }
+  factory.all = (graph, defaultNamedGraph, { type, predicate, object, versions } = {}) => {
+    const pattern = isDefined(type)
+      ? {predicate: rdfType, object: type}
+      : {predicate, object}
+    const subjects = adapter
+      .match(
+        graph,
+        undefined,
+        isDefined(pattern.predicate) ? adapter.namedNode(pattern.predicate) : undefined,
+        isDefined(pattern.object) ? adapter.namedNode(pattern.object) : undefined
+      )
+      // Models need NamedNode subjects
+      .filter(quad => quad.subject.termType === 'NamedNode')
+      .map(quad => quad.subject.value)
+      .filter((uri, index, uris) => uris.indexOf(uri) === index)
+      .sort()
+    return new Collection(subjects.map(uri => factory(graph, defaultNamedGraph, uri, {versions})))
+  }
+  factory.fromJSON = json => {
+    const snapshot = typeof json === 'string' ? JSON.parse(json) : json
+    return factory(null, snapshot.defaultNamedGraph, snapshot.subject, {snapshot})
+  }
+  return factory
+}
+
+/**
+ * Rebuilds a field from the result of `Field.toJSON`, along with its nested
+ * model.
+ *
+ * @param {Object} spec - The field spec of the field's key.
+ * @param {Function} fieldCreator - The field factory of the field's key.
+ * @param {Object} json - The serialized field.
+ * @returns {Field} The field.
+ */
+function fieldFromJSON (spec, fieldCreator, json) {
+  const modelFromJSON = modelJSON => spec.model(null, modelJSON.defaultNamedGraph, modelJSON.subject, {snapshot: modelJSON})
+  const nestedModel = json.valueType === 'model' ? modelFromJSON(json.value) : undefined
+  // The original nested model is only written once it's been replaced
+  const originalModel = isDefined(json.originalModel)
+    ? modelFromJSON(json.originalModel)
+    : isDefined(json.originalObject) ? nestedModel : undefined
+  return fieldCreator.fromJSON(json, nestedModel, originalModel)
+}
+
+/**
+ * Finds the quads of a field key for a subject by following each route of the
+ * key's property path.
+ *
+ * @param {Adapter} adapter - The RDF adapter.
+ * @param {Object} graph - The RDF graph.
+ * @param {Object} subject - The subject node.
+ * @param {Object[][]} routes - The routes of the key.  See `pathRoutes`.
+ * @returns {Object[]} The matches, each with the RDF `quad` of the last step
+ * and the `route` which reached it, i.e. the `via` steps leading to the quad
+ * and whether the last step is `inverse`.
+ */
+function matchRoutes (adapter, graph, subject, routes) {
+  const lastNode = via => via.length > 0 ? via[via.length - 1].node : subject
+  return routes.reduce((matches, route) => {
+    const lastStep = route[route.length - 1]
+    const vias = route.slice(0, -1).reduce((partialVias, step) => {
+      return partialVias.reduce((extendedVias, via) => [
+        ...extendedVias,
+        ...matchStep(adapter, graph, lastNode(via), step).map(quad => [...via, {
+          predicate: step.predicate,
+          inverse: step.inverse,
+          node: linkedNode(quad, step),
+          graph: quad.graph
+        }])
+      ], [])
+    }, [[]])
+    return vias.reduce((allMatches, via) => [
+      ...allMatches,
+      ...matchStep(adapter, graph, lastNode(via), lastStep)
+        .map(quad => ({quad, route: {via, inverse: lastStep.inverse}}))
+    ], matches)
+  }, [])
+}
+
+/**
+ * Finds the quads along one step of a property path.
+ *
+ * @param {Adapter} adapter - The RDF adapter.
+ * @param {Object} graph - The RDF graph.
+ * @param {Object} node - The node the step starts from.
+ * @param {Object} step - The step, with a `predicate` and an `inverse` flag.
+ * @returns {Object[]} The matching RDF quads.
+ */
+function matchStep (adapter, graph, node, step) {
+  return step.inverse
+    ? adapter.match(graph, undefined, step.predicate, node)
+    : adapter.match(graph, node, step.predicate)
+}
+
+/**
+ * Returns the node at the far end of a quad along a step, i.e. the one
+ * holding the value for the last step of a path.
+ *
+ * @param {Object} quad - The RDF quad.
+ * @param {Object} step - The step or route, with an `inverse` flag.
+ * @returns {Object} The object node, or the subject node for inverse steps.
+ */
+function linkedNode (quad, step) {
+  return step.inverse ? quad.subject : quad.object
+}
+
+/**
+ * Looks up the key of a field in a model by the route which reached the
+ * field, so that inverse fields and fields with property paths are found too.
+ *
+ * @param {Model} model - The model.
+ * @param {Field} field - The field.
+ * @returns {String|undefined} The key for the field's route.
+ */
+export function fieldKey (model, field) {
+  return model.reverseFieldMap[routeKey(fieldRoute(field))]
+}
+
+/**
+ * Builds the key of a route in a reverse field map.  Routes are written as
+ * SPARQL property paths, e.g. '^http://xmlns.com/foaf/0.1/knows' for an
+ * inverse predicate, and a route of one forward step is just its predicate's
+ * URI.
+ *
+ * @param {Object[]} route - The steps, each with a `predicate` (node or URI)
+ * and an `inverse` flag.
+ * @returns {String} The key.
+ */
+function routeKey (route) {
+  return route
+    .map(step => `${step.inverse ? '^' : ''}${termValue(step.predicate)}`)
+    .join('/')
+}
+
+/**
+ * Adds the blank nodes which belong to the value at the end of a route to the
+ * options for building a field from its quad, i.e. the cells of lists and the
+ * properties of compound values.
+ *
+ * @param {Adapter} adapter - The RDF adapter.
+ * @param {Object} graph - The RDF graph.
+ * @param {Object} spec - The field spec of the key.
+ * @param {Object} quad - The RDF quad of the field.
+ * @param {Object} route - The route which reached the quad.
+ * @returns {Object} The options for `fromQuad`.
+ */
+function withStructure (adapter, graph, spec, quad, route) {
+  if (spec.list) {
+    return {...route, cells: listCells(adapter, graph, linkedNode(quad, route), quad.graph)}
+  }
+  return isDefined(spec.compound)
+    ? {...route, properties: compoundProperties(adapter, graph, spec.compound, linkedNode(quad, route), quad.graph)}
+    : route
+}
+
+/**
+ * Reads the quads of the blank node holding a compound value.  The quads must
+ * be in the named graph of the quad leading to the node.
+ *
+ * @param {Adapter} adapter - The RDF adapter.
+ * @param {Object} graph - The RDF graph.
+ * @param {Object} compound - The properties of the compound value, keyed by
+ * property name.
+ * @param {Object} node - The node.
+ * @param {Object} namedGraph - The named graph node of the value.
+ * @returns {Object[]} The quads, each as the property `name` and its `object`.
+ * @throws {Error} If the node isn't a blank node.
+ */
+function compoundProperties (adapter, graph, compound, node, namedGraph) {
+  if (node.termType !== 'BlankNode') {
+    throw new Error(`Compound values must be blank nodes.  Given node [${node.value}].`)
+  }
+  return Object.keys(compound).reduce((properties, name) => [
+    ...properties,
+    ...adapter.match(graph, node, compound[name].predicate, undefined, namedGraph)
+      .map(quad => ({name, object: quad.object}))
+  ], [])
+}
+
+/**
+ * Reads the cells of an RDF list by following `rdf:rest` from its head to
+ * `rdf:nil`.  The cells must be in the named graph of the quad leading to the
+ * list.
+ *
+ * @param {Adapter} adapter - The RDF adapter.
+ * @param {Object} graph - The RDF graph.
+ * @param {Object} head - The head node of the list.
+ * @param {Object} namedGraph - The named graph node of the list.
+ * @returns {Object[]} The cells, each with its `node` and its `item` node.
+ * @throws {Error} If a cell isn't a blank node with one item and one rest, or
+ * the list loops back on itself.
+ */
+function listCells (adapter, graph, head, namedGraph) {
+  const cells = []
+  let node = head
+  while (node.termType !== 'NamedNode' || node.value !== rdfNil) {
+    const seen = cells.some(cell => termToNT(cell.node) === termToNT(node))
+    const firsts = adapter.match(graph, node, adapter.namedNode(rdfFirst), undefined, namedGraph)
+    const rests = adapter.match(graph, node, adapter.namedNode(rdfRest), undefined, namedGraph)
+    if (node.termType !== 'BlankNode' || seen || firsts.length !== 1 || rests.length !== 1) {
+      throw new Error(`Malformed RDF list at node [${node.value}].`)
+    }
+    cells.push({node, item: firsts[0].object})
+    node = rests[0].object
+  }
+  return cells
+}
+
+/**
+ * Returns the route which reached a field (or the result of `Field.toJSON`).
+ *
+ * @param {Field|Object} field - The field.
+ * @returns {Object[]} The field's `via` steps followed by its own step.
+ */
+function fieldRoute (field) {
+  return [...(field.via || []), field]
+}
+
+/**
+ * Normalizes an entry of a field map into a field spec.
+ *
+ * @param {Adapter} adapter - The RDF adapter.
+ * @param {String} key - The key of the entry.
+ * @param {Object} entry - Either an RDF predicate node or URI, or a field spec
+ * with a `predicate` or `path` property.
+ * @returns {Object} The field spec, with a predicate node, the `routes` of its
+ * path and the normalized properties of compound values.  The predicate and
+ * `inverse` flag of path specs are those of the last step of their first
+ * route.
+ * @throws {Error} If the path has an empty route.
+ */
+function fieldSpec (adapter, key, entry) {
+  const spec = isDefined(entry.path) || isDefined(entry.predicate)
+    ? entry
+    : {predicate: entry}
+  const compound = isDefined(spec.compound)
+    ? {compound: compoundSpec(adapter, spec.compound)}
+    : {}
+  if (isDefined(spec.path)) {
+    const routes = pathRoutes(adapter, spec.path)
+    if (routes.length === 0 || routes.some(route => route.length === 0)) {
+      throw new Error(`Empty property path for key [${key}].`)
+    }
+    const lastStep = routes[0][routes[0].length - 1]
+    return {...spec, ...compound, predicate: lastStep.predicate, inverse: lastStep.inverse, routes}
+  }
+  const predicate = adapter.namedNode(spec.predicate)
+  return {...spec, ...compound, predicate, routes: [[{predicate, inverse: Boolean(spec.inverse)}]]}
+}
+
+/**
+ * Picks the `parse` and `serialize` functions of a field spec.  They only
+ * apply to plain and list values, not to nested models or compound values.
+ *
+ * @param {Object} spec - The field spec.
+ * @returns {Object} The options for `fieldFactory`.
+ */
+function valueTransformers (spec) {
+  return isDefined(spec.model) || isDefined(spec.compound)
+    ? {}
+    : {parse: spec.parse, serialize: spec.serialize}
+}
+
+/**
+ * Normalizes the properties of a compound field spec.
+ *
+ * @param {Adapter} adapter - The RDF adapter.
+ * @param {Object} compound - A mapping of property names to RDF predicate
+ * nodes or URIs, or to specs with a `predicate`.
+ * @returns {Object} The properties, each with a predicate node, keyed by
+ * property name.
+ */
+function compoundSpec (adapter, compound) {
+  return Object.keys(compound).reduce((properties, name) => {
+    const entry = compound[name]
+    const property = isDefined(entry.predicate)
+      ? entry
+      : {predicate: entry}
+    return {...properties, [name]: {...property, predicate: adapter.namedNode(property.predicate)}}
+  }, {})
+}
+
+/**
+ * Expands a property path into the routes it can take.  Sequences combine
+ * the routes of their parts, alternatives collect the routes of each
+ * alternative, and inverse paths reverse their routes and flip every step.
+ *
+ * @param {Adapter} adapter - The RDF adapter.
+ * @param {*} path - The property path.  See `modelFactory`.
+ * @returns {Object[][]} The routes, each an array of steps with a `predicate`
+ * node and an `inverse` flag.
+ */
+function pathRoutes (adapter, path) {
+  if (Array.isArray(path)) {
+    return path.reduce((routes, part) => {
+      const partRoutes = pathRoutes(adapter, part)
+      return routes.reduce((combined, route) => [
+        ...combined,
+        ...partRoutes.map(partRoute => [...route, ...partRoute])
+      ], [])
+    }, [[]])
+  }
+  if (isDefined(path.alternative)) {
+    return path.alternative.reduce((routes, alternative) => [...routes, ...pathRoutes(adapter, alternative)], [])
   }
+  if (isDefined(path.inverse)) {
+    return pathRoutes(adapter, path.inverse)
+      .map(route => route.map(step => ({...step, inverse: !step.inverse})).reverse())
+  }
+  return [[{predicate: adapter.namedNode(path), inverse: false}]]
 }
 
 export class Model {
@@ -67,15 +541,30 @@ export class Model {
    * field objects.  Field keys are aliases for a particular RDF predicate.
    * @param {Field[]=} graveyard - An optional array of fields which have been
    * removed from the model.
+   * @param {Object=} fieldCreators - A mapping from field keys to field factory
+   * functions.
+   * @param {Object=} reverseFieldMap - A mapping from RDF predicates to field
+   * keys.
+   * @param {Object=} fieldSpecs - A mapping from field keys to field specs.
+   * @param {Object=} attempts - The patch attempts made by the save which
+   * returned this model, keyed by URI.
+   * @param {Object=} versions - The versions (ETags) of the model's named
+   * graphs, keyed by graph URI.
+   * @param {Object=} computedSpecs - A mapping from computed keys to their
+   * specs.
    * @returns {Model} the newly constructed model.
    */
-  constructor (subject, fields, defaultNamedGraph, graveyard = [], fieldCreators = {}, reverseFieldMap = {}) {
+  constructor (subject, fields, defaultNamedGraph, graveyard = [], fieldCreators = {}, reverseFieldMap = {}, fieldSpecs = {}, attempts = {}, versions = {}, computedSpecs = {}) {
     this.subject = subject
     this._fields = fields
     this.defaultNamedGraph = defaultNamedGraph
     this.fieldCreators = fieldCreators
     this.reverseFieldMap = reverseFieldMap
+    this.fieldSpecs = fieldSpecs
     this.graveyard = graveyard
+    this.attempts = attempts
+    this.versions = versions
+    this.computedSpecs = computedSpecs
     Object.freeze(this)
   }
 
@@ -84,29 +573,69 @@ export class Model {
     defaultNamedGraph = this.defaultNamedGraph,
     graveyard = this.graveyard,
     fieldCreators = this.fieldCreators,
-    reverseFieldMap = this.reverseFieldMap
+    reverseFieldMap = this.reverseFieldMap,
+    fieldSpecs = this.fieldSpecs,
+    // Save attempts only describe the model returned by a save
+    attempts = {},
+    versions = this.versions,
+    computedSpecs = this.computedSpecs
   }) {
-    return new Model(this.subject, fields, defaultNamedGraph, graveyard, fieldCreators, reverseFieldMap)
+    return new Model(this.subject, fields, defaultNamedGraph, graveyard, fieldCreators, reverseFieldMap, fieldSpecs, attempts, versions, computedSpecs)
   }
 
   /**
    * Get all the fields for a given key.
    *
+   * When given preferred languages, only the fields in the first preferred
+   * language which has any fields are returned.  If none of the preferred
+   * languages match, the fields without a language tag are returned, or all of
+   * the fields if every field has a language tag.
+   *
    * @param {String} key - the key of the fields to look up.
+   * @param {Object=} options - Options for looking up fields.
+   * @param {String|String[]=} options.lang - A preferred language tag, or a
+   * list of language tags in order of preference.  A language tag also matches
+   * its subtags, so 'en' matches 'en-US'.
    * @returns {Field[]} An array of fields for the given key.
    */
-  fields (key) {
-    return this._fields.get(key) || []
+  fields (key, { lang } = {}) {
+    const fields = this._fields.get(key) || []
+    if (!isDefined(lang)) {
+      return fields
+    }
+    const preferredFields = (Array.isArray(lang) ? lang : [lang])
+      .map(language => fields.filter(field => matchesLanguage(field.lang, language)))
+      .find(matchingFields => matchingFields.length > 0)
+    if (preferredFields) {
+      return preferredFields
+    }
+    const untaggedFields = fields.filter(field => !field.lang)
+    return untaggedFields.length > 0
+      ? untaggedFields
+      : fields
   }
 
   /**
-   * Get all the field values for a given key.
+   * Get all the field values for a given key.  The values of relation fields
+   * are nested models, and computed keys hold their computed values.  Keys
+   * without fields hold their default value, if their spec has one.
    *
    * @param {String} key - the key of the fields to look up.
+   * @param {Object=} options - Options for looking up fields.
+   * @param {String|String[]=} options.lang - Preferred language tags.  See
+   * `Model.fields`.
    * @returns {String[]} An array of field values for the given key.
    */
-  get (key) {
-    return this.fields(key).map(field => field.value)
+  get (key, options) {
+    if (this.computedSpecs.hasOwnProperty(key)) {
+      return computedValues(this, key)
+    }
+    const fields = this.fields(key, options)
+    const spec = this.fieldSpecs[key]
+    if (fields.length === 0 && isDefined(spec) && isDefined(spec.default)) {
+      return [spec.default]
+    }
+    return fields.map(field => field.value)
   }
 
   /**
@@ -114,21 +643,36 @@ export class Model {
    * field value, but order isn't guaranteed.
    *
    * @param {String} key - the key of the field to look up.
+   * @param {Object=} options - Options for looking up fields.
+   * @param {String|String[]=} options.lang - Preferred language tags.  See
+   * `Model.fields`.
    * @returns {String|undefined} The field value for the given key, or undefined
    * if none was found.
    */
-  any (key) {
-    return this.fields(key).map(field => field.value)[0]
+  any (key, options) {
+    return this.get(key, options)[0]
   }
 
   /**
    * Creates a model with an extra field.
    *
    * @param {String} key - the key of the fields to add to.
-   * @param fieldValue - the value of the field to add.
+   * @param fieldValue - the value of the field to add.  Relation fields take a
+   * nested model or the URI of its subject.
+   * @param {Object} options - arguments to create the new field.
+   * @param {String|NamedNode} options.namedGraph - the namedgraph in which to
+   * store this field, if different from the model's default named graph.
+   * @param {Boolean} options.namedNode - whether the new field is a named node
+   * or not.
+   * @param {String} options.lang - the language tag of the new field.
    * @returns {Model} - the updated model.
+   * @throws {Error} If the key is computed, or the value can't be serialized
+   * to the field's declared datatype.
    */
   add (key, fieldValue, options = {}) {
+    if (this.computedSpecs.hasOwnProperty(key)) {
+      throw new Error(`Cannot add fields to computed key [${key}].  Use setAny instead.`)
+    }
     const namedGraph = options.namedGraph || this.defaultNamedGraph
     return this.fromCurrentState({
       fields: this._fields.set(key, [
@@ -139,14 +683,16 @@ export class Model {
   }
 
   /**
-   * Adds a field from an RDF quad.
+   * Adds a field from an RDF quad.  Quads about other subjects are added to
+   * the inverse key of their predicate.
    *
    * @param {Object} quad - the RDF quad to be converted to a field and added to
    * this model.
    * @returns {Model} - the updated model.
    */
   addQuad (quad) {
-    const key = this.reverseFieldMap[quad.predicate]
+    const inverse = quad.subject.value !== this.subject.value
+    const key = this.reverseFieldMap[routeKey([{predicate: quad.predicate, inverse}])]
     return this.fromCurrentState({
       fields: this._fields.set(key, [
         ...this._fields.get(key),
@@ -179,7 +725,11 @@ export class Model {
    * graph.
    * @param {Boolean} newFieldOptions.namedNode - whether the new field is a
    * named node or not.
+   * @param {String} newFieldOptions.lang - the language tag of the new field.
+   * Defaults to the language tag of the old field.
    * @returns {Model} - the updated model.
+   * @throws {Error} If the value can't be serialized to the field's declared
+   * datatype.
    */
   set (oldField, newFieldValue, newFieldOptions) {
     return this.map(field => {
@@ -193,7 +743,8 @@ export class Model {
    * Creates a model with a modified field chosen by key.  This method should
    * only be called with keys for which only one field exists, as there are no
    * guarantees for how it picks a field.  A new field for the specified key if
-   * no existing field is found.
+   * no existing field is found.  Computed keys are set through the `write`
+   * function of their spec, on each stored key it returns.
    *
    * @param {String} key - the key of a field to replace.
    * @param fieldValue - the new field value.
@@ -202,23 +753,166 @@ export class Model {
    * to store this field, if different from the model's default named graph.
    * @param {Boolean} fieldOptions.namedNode - whether the new field is a named
    * node or not.
+   * @param {String} fieldOptions.lang - the language tag of the new field.
    * @returns {Model} - the updated model.
+   * @throws {Error} If the key is computed without a `write` function.
    */
   setAny (key, fieldValue, fieldOptions) {
+    if (this.computedSpecs.hasOwnProperty(key)) {
+      return writeComputed(this, key, fieldValue, fieldOptions)
+    }
     const firstField = this.fields(key)[0]
     return firstField
       ? this.set(firstField, fieldValue, fieldOptions)
       : this.add(key, fieldValue, fieldOptions)
   }
 
+  /**
+   * Creates a model with an item inserted into the list of a key.  This
+   * method, like `moveItem` and `removeItem`, edits the first list of the
+   * key, and is meant for keys with one list.  A new list is added if the key
+   * has none.
+   *
+   * @param {String} key - the key of a list field.
+   * @param {Number} index - the position of the new item, from 0 to the length
+   * of the list.
+   * @param value - the new item.
+   * @returns {Model} - the updated model.
+   * @throws {Error} If the key doesn't hold lists, the position is out of
+   * range, or the item can't be serialized to the field's declared datatype.
+   */
+  insertItem (key, index, value) {
+    const model = this.fields(key).length > 0
+      ? this
+      : this.add(key, [])
+    return mapFirstList(model, key, field => field.insertItem(index, value))
+  }
+
+  /**
+   * Creates a model with an item of the list of a key moved to another
+   * position.  See `insertItem`.
+   *
+   * @param {String} key - the key of a list field.
+   * @param {Number} from - the current position of the item.
+   * @param {Number} to - the new position of the item.
+   * @returns {Model} - the updated model.
+   * @throws {Error} If the key has no list or a position is out of range.
+   */
+  moveItem (key, from, to) {
+    return mapFirstList(this, key, field => field.moveItem(from, to))
+  }
+
+  /**
+   * Creates a model with an item removed from the list of a key.  See
+   * `insertItem`.
+   *
+   * @param {String} key - the key of a list field.
+   * @param {Number} index - the position of the item.
+   * @returns {Model} - the updated model.
+   * @throws {Error} If the key has no list or the position is out of range.
+   */
+  removeItem (key, index) {
+    return mapFirstList(this, key, field => field.removeItem(index))
+  }
+
+  /**
+   * Determines whether the model has pending edits, i.e. whether any fields
+   * were added, modified or removed, in this model or its nested models.
+   *
+   * @returns {Boolean} true if the model has been edited.
+   */
+  isDirty () {
+    return this.changedKeys().length > 0
+  }
+
+  /**
+   * Lists the keys with pending edits.  A relation key has pending edits if
+   * any of its nested models do.
+   *
+   * @returns {String[]} The keys whose fields were added, modified or removed.
+   */
+  changedKeys () {
+    const removedKeys = this.graveyard
+      .filter(field => !field.isNew())
+      .map(field => fieldKey(this, field))
+    return this._fields.keySeq().toArray().filter(key => {
+      return removedKeys.indexOf(key) >= 0 || this._fields.get(key).some(field => {
+        return field.isNew() || field.isModified() ||
+          (isNestedModel(field) && field.value.isDirty())
+      })
+    })
+  }
+
+  /**
+   * Creates a model with a field restored to its original state.  New fields
+   * have no original state, so they're dropped.
+   *
+   * @param {Field} field - the field to revert.
+   * @returns {Model} - the updated model.
+   */
+  revert (field) {
+    const currentField = this.find(f => f.id === field.id)
+    if (!currentField) {
+      return this
+    }
+    if (currentField.isNew()) {
+      return this.fromCurrentState({
+        fields: this._fields.map(fieldsArray => fieldsArray.filter(f => f.id !== field.id))
+      })
+    }
+    return this.map(f => f.id === field.id ? f.revert() : f)
+  }
+
+  /**
+   * Creates a model with a removed field brought back out of the graveyard.
+   *
+   * @param {Field} field - the removed field.
+   * @returns {Model} - the updated model.
+   */
+  restore (field) {
+    const removedField = this.graveyard.find(f => f.id === field.id)
+    if (!removedField) {
+      return this
+    }
+    const key = fieldKey(this, removedField)
+    return this.fromCurrentState({
+      fields: this._fields.set(key, [...this._fields.get(key), removedField]),
+      graveyard: this.graveyard.filter(f => f.id !== field.id)
+    })
+  }
+
+  /**
+   * Creates a model without any pending edits: removed fields are restored,
+   * new fields are dropped, and modified fields are reverted, in this model and
+   * its nested models.
+   *
+   * @returns {Model} - the reset model.
+   */
+  reset () {
+    const restoredModel = this.graveyard.reduce((model, field) => model.restore(field), this)
+    return restoredModel.fromCurrentState({
+      fields: restoredModel._fields.map(fieldsArray => fieldsArray
+        .filter(field => !field.isNew())
+        .map(field => {
+          const revertedField = field.revert()
+          return isNestedModel(revertedField)
+            ? revertedField.set({value: revertedField.value.reset()})
+            : revertedField
+        })),
+      graveyard: []
+    })
+  }
+
   /**
    * Compare the current state of the model with its original state and
    * determine, for each RDF named graph in the model, which fields should be
-   * removed and which should be inserted.
+   * removed and which should be inserted.  The diffs of nested models are
+   * included.
    *
-   * @param {Object} rdf - An RDF library, currently assumed to be rdflib.js.
+   * @param {Object} rdf - An RDF adapter or library.
    * @param {Model} model - the model.
-   * @returns {Object} A mapping from graph URIs to the RDF quads (as strings)
+   * @returns {Object} A mapping from graph URIs to the RDF quads (as N-Triples
+   * strings)
    * which should be inserted and deleted within those URIs.  For example:
    *   {
    *     'http://example.com/one-resource': {
@@ -230,82 +924,315 @@ export class Model {
    *       toDel: [ Field2 ],
    *     },
    *   }
+   * Blank nodes can't be named in updates, so graphs whose changes involve
+   * existing blank nodes also have the statements which lead to those nodes
+   * from named nodes as `where`, and graphs from which blank nodes are removed
+   * entirely have those nodes (as N-Triples terms) as `toClear`.  Both are
+   * left out when there's nothing to put in them.
    */
   diff (rdf) {
-    const diffMap = this._fields
-      .toArray()
-      .reduce((reduction, cur) => [...reduction, ...cur])
-      .reduce((previousMap, field) => {
-        const map = {...previousMap}
-        const newQuad = field.toQuad(rdf, this.subject)
-        const newSourceURI = newQuad.graph.value
-        const originalQuad = field.originalQuad(rdf, this.subject)
-        const originalSourceURI = originalQuad
-          ? originalQuad.graph.value
+    const quadDiffMap = diffQuads(rdf, this)
+    return Object.keys(quadDiffMap).reduce((diffMap, uri) => ({
+      ...diffMap,
+      [uri]: Object.keys(quadDiffMap[uri]).reduce((graphDiff, kind) => ({
+        ...graphDiff,
+        [kind]: quadDiffMap[uri][kind].map(kind === 'toClear' ? termToNT : quadToNT)
+      }), {})
+    }), {})
+  }
+
+  /**
+   * Brings newer data for the model's subject into the model without losing
+   * local edits.  The graph is treated as the latest remote state, and the
+   * model's original quads as the state both sides started from:
+   *   - Fields without local edits follow the graph, i.e. they're dropped if
+   *     their quads were removed from the graph, and quads added to the graph
+   *     become new fields.
+   *   - Local additions, edits, and removals are kept if the quads they replace
+   *     are still in the graph.
+   *   - Fields which were edited or removed locally while their quads were
+   *     removed or replaced in the graph are conflicts.  A conflicting edit is
+   *     paired with a quad for the same key and named graph which was added to
+   *     the graph, if there is one.
+   *   - Lists and compound values whose blank nodes were changed in the graph
+   *     follow the graph, unless they were edited locally too, which is a
+   *     conflict.
+   * Nested models are rebased as well.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @param {Object} graph - The RDF graph holding the latest data.
+   * @param {Object=} options - Options for rebasing.
+   * @param {String|Function=} options.resolve - How to resolve conflicts.
+   * Either 'local' to keep the local edit (the default), 'remote' to take the
+   * data from the graph, or a function of a conflict returning 'local' or
+   * 'remote'.
+   * @param {Object=} options.versions - The versions (ETags) of the named graphs
+   * in the graph, keyed by graph URI.  These replace the known versions of
+   * those graphs.
+   * @returns {Object} An object with the rebased model as `model`, and the
+   * conflicts as `conflicts`.  A conflict has the `subject` of the model it
+   * occurred in, the field `key`, the `local` field (null for removed fields),
+   * the `remote` field (null if it was removed from the graph), and the
+   * `resolution` which was applied.
+   * @throws {Error} If a resolution function returns an unknown resolution.
+   */
+  rebase (rdf, graph, options = {}) {
+    const adapter = toAdapter(rdf)
+    const resolve = options.resolve || 'local'
+    const strategy = typeof resolve === 'function'
+      ? resolve
+      : () => resolve
+    const versions = {...this.versions, ...options.versions}
+    const conflicts = []
+    const graveyard = []
+    const addConflict = conflict => {
+      const resolution = strategy(conflict)
+      if (resolution !== 'local' && resolution !== 'remote') {
+        throw new Error(`Unknown conflict resolution [${resolution}].`)
+      }
+      conflicts.push({...conflict, resolution})
+      return resolution
+    }
+    const fields = this._fields.keySeq().toArray().reduce((fieldMap, key) => {
+      const fieldCreator = this.fieldCreators[key]
+      const spec = this.fieldSpecs[key] || {}
+      const routes = spec.routes || [[...fieldCreator.via, fieldCreator]]
+      const remoteMatches = matchRoutes(adapter, graph, this.subject, routes)
+      const fromRemoteQuad = quad => {
+        const {route} = remoteMatches.find(match => match.quad === quad)
+        const node = linkedNode(quad, route)
+        const isNested = fieldCreator.relation && isDefined(spec.model) &&
+          node.termType === 'NamedNode'
+        return isNested
+          ? fieldCreator.fromQuad(quad, spec.model(graph, this.defaultNamedGraph, node.value, {
+            versions,
+            ancestors: [this.subject.value]
+          }), route)
+          : fieldCreator.fromQuad(quad, undefined, withStructure(adapter, graph, spec, quad, route))
+      }
+      const keyFields = this._fields.get(key)
+      const removedFields = this.graveyard
+        .filter(field => fieldKey(this, field) === key)
+      const originalQuads = [...keyFields, ...removedFields]
+        .map(field => field.originalQuad(rdf, this.subject))
+        .filter(quad => quad !== null)
+      const remoteQuads = remoteMatches.map(match => match.quad)
+      const isRemote = quad => remoteQuads.some(remoteQuad => quadEquals(remoteQuad, quad))
+      // Lists and compound values may change without changing their heads
+      const isRemoteStructure = field => field.originalStructureQuads(rdf).every(quad => {
+        return adapter.match(graph, quad.subject, quad.predicate, quad.object, quad.graph).length > 0
+      })
+      // Quads which were added to the graph since the model was loaded
+      const addedQuads = remoteQuads.filter(remoteQuad => {
+        return !originalQuads.some(quad => quadEquals(remoteQuad, quad))
+      })
+      const takeAddedQuad = matches => {
+        const index = addedQuads.findIndex(matches)
+        return index >= 0
+          ? addedQuads.splice(index, 1)[0]
           : null
-        const fieldHasChanged = (
-          !originalQuad || !newQuad.equals(originalQuad)
-        )
-        if (fieldHasChanged) {
-          if (originalQuad) {
-            if (!isDefined(map[originalSourceURI])) {
-              map[originalSourceURI] = {toDel: [], toIns: []}
+      }
+      const rebasedFields = []
+      keyFields.forEach(field => {
+        const originalQuad = field.originalQuad(rdf, this.subject)
+        const currentQuad = field.toQuad(rdf, this.subject)
+        if (!originalQuad) {
+          // Local additions which were also added remotely are no longer new
+          const addedQuad = takeAddedQuad(quad => quadEquals(quad, currentQuad))
+          rebasedFields.push(addedQuad ? fromRemoteQuad(addedQuad) : field)
+        } else if (isRemote(originalQuad) && isRemoteStructure(field)) {
+          rebasedFields.push(isNestedModel(field)
+            ? field.set({value: rebaseNestedModel(rdf, graph, field.value, options, conflicts)})
+            : field)
+        } else if (isRemote(originalQuad)) {
+          const remote = fromRemoteQuad(remoteQuads.find(quad => quadEquals(quad, originalQuad)))
+          if (!field.isModified() || addConflict({subject: this.subject, key, local: field, remote}) === 'remote') {
+            rebasedFields.push(remote)
+          } else {
+            rebasedFields.push(remote.set({value: field.value, namedGraph: field.namedGraph}))
+          }
+        } else if (!quadEquals(originalQuad, currentQuad) || (hasStructure(field) && field.isModified())) {
+          const addedQuad = takeAddedQuad(quad => graphURI(quad) === graphURI(originalQuad))
+          const remote = addedQuad && fromRemoteQuad(addedQuad)
+          if (addConflict({subject: this.subject, key, local: field, remote}) === 'remote') {
+            if (remote) {
+              rebasedFields.push(remote)
             }
-            map[originalSourceURI].toDel.push(originalQuad.toString())
+          } else {
+            rebasedFields.push(remote
+              ? remote.set({value: field.value, namedGraph: field.namedGraph, namedNode: field.namedNode, lang: field.lang || ''})
+              : fieldCreator(field.value, field.namedGraph, {namedNode: field.namedNode, lang: field.lang}))
           }
-          if (!isDefined(map[newSourceURI])) {
-            map[newSourceURI] = {toDel: [], toIns: []}
+        }
+      })
+      removedFields.forEach(field => {
+        const originalQuad = field.originalQuad(rdf, this.subject)
+        if (isRemote(originalQuad)) {
+          graveyard.push(field)
+          return
+        }
+        const addedQuad = takeAddedQuad(quad => graphURI(quad) === graphURI(originalQuad))
+        if (addedQuad) {
+          const remote = fromRemoteQuad(addedQuad)
+          if (addConflict({subject: this.subject, key, local: null, remote}) === 'remote') {
+            rebasedFields.push(remote)
+          } else {
+            graveyard.push(remote)
           }
-          map[newSourceURI].toIns.push(newQuad.toString())
         }
-        return map
-      }, {})
+      })
+      return {...fieldMap, [key]: [...rebasedFields, ...addedQuads.map(fromRemoteQuad)]}
+    }, {})
+    return {
+      model: this.fromCurrentState({fields: Immutable.Map(fields), graveyard, versions}),
+      conflicts
+    }
+  }
 
-    this.graveyard.forEach((field) => {
-      const quad = field.originalQuad(rdf, this.subject)
-      if (quad) {
-        const uri = quad.graph.uri
-        if (!isDefined(diffMap[uri])) {
-          diffMap[uri] = {toDel: [], toIns: []}
-        }
-        diffMap[uri].toDel.push(quad.toString())
-      }
-    }, diffMap)
+  /**
+   * Serializes this model as Turtle, e.g. for debugging or exports.  By
+   * default the current state of every field (including those of nested
+   * models) is written, in a section per named graph.  With the `changes`
+   * option, only the pending changes are written, as sections of statements to
+   * delete from and insert into each named graph.  Sections start with a
+   * comment naming their graph.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @param {Object=} options - Options for serializing the model.
+   * @param {Boolean=} options.changes - Whether to only write the pending
+   * changes.
+   * @param {Object=} options.prefixes - A mapping from prefixes to namespace
+   * URIs.  These are added to the prefixes derived from the field map.
+   * @returns {String} The Turtle document, which is empty if there are no
+   * statements to write.
+   */
+  toTurtle (rdf, { changes = false, prefixes = {} } = {}) {
+    const derivedPrefixes = derivePrefixes(fieldMapURIs(this))
+    // Given prefixes take precedence over derived ones for the same namespace
+    const namespaces = Object.keys(prefixes).map(prefix => prefixes[prefix])
+    const remainingPrefixes = Object.keys(derivedPrefixes)
+      .filter(prefix => namespaces.indexOf(derivedPrefixes[prefix]) < 0)
+      .reduce((remaining, prefix) => ({...remaining, [prefix]: derivedPrefixes[prefix]}), {})
+    return turtle(quadSections(rdf, this, changes), {...remainingPrefixes, ...prefixes})
+  }
 
-    return diffMap
+  /**
+   * Serializes this model as N-Quads.  See `Model.toTurtle`.  The current
+   * state is written without comments, since every statement names its graph.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @param {Object=} options - Options for serializing the model.
+   * @param {Boolean=} options.changes - Whether to only write the pending
+   * changes.
+   * @returns {String} The N-Quads document, which is empty if there are no
+   * statements to write.
+   */
+  toNQuads (rdf, { changes = false } = {}) {
+    const sections = quadSections(rdf, this, changes)
+    return nQuads(changes
+      ? sections
+      : sections.map(({quads}) => ({quads})))
   }
+
   /**
-   * Save model updates using an LDP web client.
+   * Check the fields of this model against the constraints declared in its
+   * field specs.  Nested models are validated too, and their errors are
+   * reported with the 'model' rule under the relation's key.
    *
-   * @param {Object} rdf - An RDF library, currently assumed to be rdflib.js.
+   * @returns {Object} A mapping from field keys to arrays of validation errors
+   * for the keys which have errors.  For example:
+   *   {
+   *     name: [
+   *       { rule: 'maxCount', message: 'Expected at most 1 value(s) but found 3.' }
+   *     ]
+   *   }
+   * An empty object means that the model is valid.
+   */
+  validate () {
+    return Object.keys(this.fieldSpecs).reduce((errorMap, key) => {
+      const fields = this.fields(key)
+      const nestedErrors = fields
+        .filter(isNestedModel)
+        .map(field => ({field, errors: field.value.validate()}))
+        .filter(({errors}) => Object.keys(errors).length > 0)
+        .map(({field, errors}) => ({
+          rule: 'model',
+          message: `Nested model [${field.value.subject.value}] is invalid.`,
+          field,
+          errors
+        }))
+      const errors = [...validateFields(fields, this.fieldSpecs[key]), ...nestedErrors]
+      return errors.length > 0
+        ? {...errorMap, [key]: errors}
+        : errorMap
+    }, {})
+  }
+
+  /**
+   * Save model updates using an LDP web client.  Updates to nested models are
+   * saved along with this model.
+   *
+   * Changes which involve existing blank nodes can't be sent as plain
+   * statements to delete and insert, so the web client's `patch` method also
+   * gets the SPARQL Update document of those changes (see `sparqlUpdate`) as
+   * the `query` option, which it should send instead.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
    * @param {Object} web - A web client library, currently assumed to be
    * solid-web-client.
-   * @param {Model} model - The model to save.
-   * @returns {Promise<Model>} The updated model.
-   */
-  save (rdf, web) {
-    const diffMap = this.diff(rdf)
-    const urisToPatch = Object.keys(diffMap)
-    if (urisToPatch.length === 0) {
-      return Promise.resolve(this)
-    }
-    return patchURIs(rdf, web, diffMap)
-      .then(patchedURIs => {
-        const updatedModel = this.map(
-          field => patchedURIs.has(field.namedGraph.value)
-            ? field.fromCurrentState(rdf, this.subject)
-            : field
-        ).clearGraveyard()
-        const allPatchesSucceded = patchedURIs.size === urisToPatch.length
-        if (allPatchesSucceded) {
-          return updatedModel
-        } else {
-          const err = new Error('Not all patches succeeded')
-          err.model = updatedModel
-          err.diffMap = diffMap
-          err.failedURIs = new Set(urisToPatch.filter(uri => !patchedURIs.has(uri)))
-          throw err
+   * @param {Object=} options - Options for saving.
+   * @param {Boolean=} options.validate - Whether to refuse to save the model
+   * if it's invalid.  The Promise then rejects with an error whose
+   * `validationErrors` property is the result of `Model.validate`.
+   * @param {Boolean=} options.atomic - Whether to undo the changes to every
+   * successfully patched resource if any patch fails.  The successful patches
+   * are reverted with inverse patches, and the Promise rejects with an error
+   * whose `rolledBackURIs` property is the set of URIs which were reverted and
+   * whose `rollbackFailedURIs` property is the set of URIs which couldn't be.
+   * Patches which remove blank nodes entirely (see `Model.diff`) can't be
+   * reverted, as the removed statements aren't known.  The error's model only
+   * tracks the changes to the resources which couldn't be reverted.
+   * @param {Object=} options.policy - How to send the patches.
+   * @param {Number=} options.policy.maxAttempts - The maximum number of times
+   * to try patching each resource.  Defaults to 1, i.e. no retries.
+   * @param {Number|Function=} options.policy.backoff - How long to wait before
+   * retrying.  Either a number of milliseconds which doubles after every
+   * attempt (100 by default), or a function from the number of attempts made so
+   * far to a number of milliseconds.
+   * @param {Number[]=} options.policy.retryStatuses - The HTTP status codes of
+   * failed patches which are retried.  Defaults to 408, 429, 500, 502, 503 and
+   * 504.  Patches which fail without a status, e.g. due to network errors, are
+   * always retried.
+   * @param {Number=} options.policy.concurrency - The maximum number of patches
+   * sent at once.  Unlimited by default.
+   * @param {AbortSignal=} options.policy.signal - A signal which cancels the
+   * save.  Once it is aborted, no more patches or retries are sent, and the
+   * Promise rejects with an error whose `aborted` property is true.  The signal
+   * is also passed to the web client as the `signal` option of `patch`, so
+   * clients which support it can cancel pending requests.  Atomic saves still
+   * roll back the successful patches.
+   * @returns {Promise<Model>} The updated model.  Its `attempts` property, and
+   * the `attempts` property of errors, map each URI to the list of attempts to
+   * patch it.  An attempt has a `succeeded` property and the HTTP `status` of
+   * the response, if any.
+   */
+  save (rdf, web, options = {}) {
+    if (options.validate) {
+      const validationErrors = this.validate()
+      if (Object.keys(validationErrors).length > 0) {
+        const err = new Error('Model is invalid')
+        err.model = this
+        err.validationErrors = validationErrors
+        return Promise.reject(err)
+      }
+    }
+    return saveModels(rdf, web, [this], options)
+      .then(([model]) => model, err => {
+        if (err.models) {
+          err.model = err.models[0]
+          delete err.models
         }
+        throw err
       })
   }
 
@@ -334,10 +1261,108 @@ export class Model {
    */
   find (fn) {
     return this._fields
-      .reduce((fields, curFieldsArray) => [...fields, ...curFieldsArray])
+      .reduce((fields, curFieldsArray) => [...fields, ...curFieldsArray], [])
       .find(field => fn(field))
   }
 
+  /**
+   * Serializes this model as a plain object which survives `JSON.stringify`,
+   * e.g. to keep unsaved edits in application state or local storage.  The
+   * factory's `fromJSON` method rebuilds the model, including its graveyard,
+   * the original state of its fields and the versions of its named graphs, so
+   * the rebuilt model has the same diff.  Save attempts aren't kept.
+   *
+   * @returns {Object} The JSON representation of this model.
+   */
+  toJSON () {
+    return {
+      subject: this.subject.value,
+      defaultNamedGraph: termValue(this.defaultNamedGraph),
+      fields: this._fields.map(fields => fields.map(field => field.toJSON())).toObject(),
+      graveyard: this.graveyard.map(field => field.toJSON()),
+      versions: this.versions
+    }
+  }
+
+  /**
+   * Serializes this model as a compacted JSON-LD node object.  The field map
+   * becomes the `@context`: each key is a term for its predicate, with a type
+   * mapping of `@id` for relations and NamedNode fields or of the declared
+   * datatype, inverse keys are `@reverse` terms and list keys have a `@list`
+   * container.  Values of `rdf:type` fields are written as `@type`.  Nested
+   * models are embedded as node objects, with a context of their own if they
+   * come from another model factory.  Keys without values, with property paths
+   * or with compound values are left out, and keys with a single value hold it
+   * directly rather than in an array.
+   *
+   * @param {Object} rdf - An RDF adapter or library.
+   * @returns {Object} The JSON-LD node object.
+   */
+  toJSONLD (rdf) {
+    return jsonLDNode(rdf, this)
+  }
+
+  /**
+   * Applies a JSON-LD node object, e.g. from a REST client, to this model.
+   * Every key of the document replaces the values of a field key: values which
+   * the model already holds are kept, changed values are set on the remaining
+   * fields (so they keep their ids), extra values are added and the fields
+   * left over are removed.  Keys which aren't in the document are left alone,
+   * and `null` or `[]` removes every value.  The values of list keys are
+   * whole lists, so `[]` is an empty list for them.
+   *
+   * Documents are read with this model's context (see `toJSONLD`); their own
+   * `@context` is ignored.  Properties may be field keys or full predicate
+   * URIs, and unknown properties and keys with compound values are ignored.
+   * Node objects with properties are applied to nested models, or become new
+   * nested models.
+   *
+   * @param {Object} doc - The JSON-LD node object.
+   * @returns {Model} The updated model, or this model if nothing changed.
+   * @throws {Error} If the document is about another subject or holds values
+   * which can't be applied.
+   */
+  applyJSONLD (doc) {
+    if (isDefined(doc['@id']) && doc['@id'] !== this.subject.value) {
+      throw new Error(`Cannot apply a JSON-LD document about [${doc['@id']}] to a model of [${this.subject.value}].`)
+    }
+    return Object.keys(doc).reduce((model, property) => {
+      const key = property === '@type'
+        ? this.reverseFieldMap[rdfType]
+        : this.fieldSpecs.hasOwnProperty(property)
+          ? property
+          : this.reverseFieldMap[property]
+      return isDefined(key) && !isDefined(this.fieldSpecs[key].compound)
+        ? applyJSONLDValues(model, key, doc[property])
+        : model
+    }, this)
+  }
+
+  /**
+   * Looks up a field by its id.  Fields keep their ids when they're modified
+   * with `set` and when the model is saved, so a field can be found again in
+   * any later version of the model.
+   *
+   * @param {String} id - The id of the field.
+   * @returns {Field|undefined} The field with that id, if it's still in the
+   * model.
+   */
+  fieldById (id) {
+    return this.find(field => field.id === id)
+  }
+
+  /**
+   * Looks up the first field for a key which holds a value.  Relation fields
+   * match either a nested model or the URI of its subject.
+   *
+   * @param {String} key - The key of the fields to look up.
+   * @param value - The value to look for.
+   * @returns {Field|undefined} The first field holding the value.
+   */
+  findByValue (key, value) {
+    return this.fields(key).find(field => hasValue(field, value))
+  }
+
   /**
    * Filter fields and mov them to the graveyard if they don't pass a predicate
    * function.
@@ -373,32 +1398,963 @@ export class Model {
   }
 }
 
+/**
+ * Saves the changes of several models in one batch.  Their diffs are merged,
+ * so that each resource is patched once.  See `Model.save` for the options
+ * and the errors, which hold the updated models as `models` rather than one
+ * `model`.
+ *
+ * @param {Object} rdf - An RDF adapter or library.
+ * @param {Object} web - A web client library.
+ * @param {Model[]} models - The models to save.
+ * @param {Object=} options - Options for saving.  See `Model.save`.  Models
+ * aren't validated here.
+ * @returns {Promise<Model[]>} The updated models, in the same order.
+ */
+export function saveModels (rdf, web, models, options = {}) {
+  const diffMap = diffModels(rdf, models)
+  const urisToPatch = Object.keys(diffMap)
+  if (urisToPatch.length === 0) {
+    return Promise.resolve(models)
+  }
+  const policy = {...defaultSavePolicy, ...options.policy}
+  const knownVersions = models.reduce((versions, model) => ({...versions, ...model.versions}), {})
+  return patchURIs(rdf, web, diffMap, policy, knownVersions)
+    .then(({patchedURIs, attempts, versions}) => {
+      const allPatchesSucceded = patchedURIs.size === urisToPatch.length
+      if (allPatchesSucceded) {
+        return models.map(model => {
+          return trackPatchedState(rdf, model, patchedURIs, versions).fromCurrentState({attempts})
+        })
+      }
+      const unpatchedURIs = urisToPatch.filter(uri => !patchedURIs.has(uri))
+      const conflictingURIs = new Set(unpatchedURIs.filter(uri => {
+        const uriAttempts = attempts[uri]
+        return uriAttempts.length > 0 &&
+          uriAttempts[uriAttempts.length - 1].status === PreconditionFailed
+      }))
+      const createError = message => {
+        const err = conflictingURIs.size > 0
+          ? new ConflictError('Some resources have changed since the model was loaded')
+          : new Error(message)
+        err.diffMap = diffMap
+        err.failedURIs = new Set(unpatchedURIs.filter(uri => !conflictingURIs.has(uri)))
+        err.attempts = attempts
+        err.aborted = Boolean(policy.signal && policy.signal.aborted)
+        if (conflictingURIs.size > 0) {
+          err.conflictingURIs = conflictingURIs
+          err.conflicts = Array.from(conflictingURIs).reduce((conflicts, uri) => ({
+            ...conflicts,
+            [uri]: models.reduce((fields, model) => [...fields, ...fieldsChangedIn(rdf, model, uri)], [])
+          }), {})
+        }
+        return err
+      }
+      if (!options.atomic) {
+        const err = createError('Not all patches succeeded')
+        err.models = models.map(model => trackPatchedState(rdf, model, patchedURIs, versions))
+        throw err
+      }
+      // Rollbacks can't be cancelled
+      const rollbackPolicy = {...policy, signal: undefined}
+      // The statements of cleared blank nodes aren't known, so they can't be
+      // put back, and those resources are left as they were patched
+      const revertibleURIs = new Set(
+        Array.from(patchedURIs).filter(uri => !isDefined(diffMap[uri].toClear))
+      )
+      return patchURIs(rdf, web, invertDiffMap(diffMap, revertibleURIs), rollbackPolicy, versions)
+        .then(rollback => {
+          const rolledBackURIs = rollback.patchedURIs
+          const rollbackFailedURIs = new Set(
+            Array.from(patchedURIs).filter(uri => !rolledBackURIs.has(uri))
+          )
+          const err = createError('Not all patches succeeded; the successful patches were rolled back')
+          err.models = models.map(model => {
+            return trackPatchedState(rdf, model, rollbackFailedURIs, {...versions, ...rollback.versions})
+          })
+          err.rolledBackURIs = rolledBackURIs
+          err.rollbackFailedURIs = rollbackFailedURIs
+          err.rollbackAttempts = rollback.attempts
+          throw err
+        })
+    })
+}
+
+/**
+ * Merges the diffs of several models.  Statements which several models would
+ * make, e.g. through a shared nested model, appear once.
+ *
+ * @param {Object} rdf - An RDF adapter or library.
+ * @param {Model[]} models - The models.
+ * @returns {Object} The merged diff map.  See `Model.diff`.
+ */
+export function diffModels (rdf, models) {
+  const unique = statements => statements.filter((statement, index) => statements.indexOf(statement) === index)
+  const diffMap = models.reduce((map, model) => mergeDiffMaps(map, model.diff(rdf)), {})
+  return Object.keys(diffMap).reduce((map, uri) => ({
+    ...map,
+    [uri]: Object.keys(diffMap[uri]).reduce((graphDiff, kind) => ({
+      ...graphDiff,
+      [kind]: unique(diffMap[uri][kind])
+    }), {})
+  }), {})
+}
+
 /**
  * Given a diff map (from Model.diff), patch each resource in the diff map using
  * the web client's patch method.  Return a Promise which resolves to the set of
- * URIs which were successfully patched.  Note that the Promise does not reject;
- * if some resources failed to be patched, they're not included in the URI set.
+ * URIs which were successfully patched, along with the attempts made for each
+ * URI.  Note that the Promise does not reject; if some resources failed to be
+ * patched, they're not included in the URI set.
  *
- * @param {Object} rdf - An RDF library, currently assumed to be rdflib.js.
+ * @param {Object} rdf - An RDF adapter or library.
  * @param {Object} web - A web client library, currently assumed to be
+ * solid-web-client.
  * @param {Object} diffMap - The result of running Model.diff() on a model.
- * @returns {Promise<Set<String>>} A Promise which always resolves to the set of
- * URIs for which the patches succeeded.
+ * @param {Object} policy - How to send the patches.  See `Model.save`.
+ * @param {Object} versions - The known versions (ETags) of the resources, keyed
+ * by URI.  Resources with known versions are only patched if they still have
+ * those versions.
+ * @returns {Promise<Object>} A Promise which always resolves to an object with
+ * the set of URIs for which the patches succeeded as `patchedURIs`, the
+ * attempts made for each URI as `attempts`, and the new versions of the patched
+ * resources as `versions`.  New versions are undefined if the server didn't
+ * send any.
  */
-function patchURIs (rdf, web, diffMap) {
-  const urisToPatch = Object.keys(diffMap)
-  return Promise.all(
-    urisToPatch.map(uri => {
-      return web
-        .patch(uri, diffMap[uri].toDel, diffMap[uri].toIns)
-        .then(solidResponse => ({URI: solidResponse.url, succeeded: true}))
-        .catch(solidResponse => ({URI: solidResponse.url, succeeded: false}))
+function patchURIs (rdf, web, diffMap, policy, versions) {
+  const queue = Object.keys(diffMap)
+  const attempts = queue.reduce((map, uri) => ({...map, [uri]: []}), {})
+  const newVersions = {}
+  // Each worker patches one resource at a time until the queue is empty
+  const patchNext = () => {
+    const uri = queue.shift()
+    if (!isDefined(uri)) {
+      return Promise.resolve()
+    }
+    return patchURI(web, uri, diffMap[uri], policy, versions[uri], attempts[uri])
+      .then(solidResponse => {
+        if (solidResponse) {
+          newVersions[uri] = responseETag(solidResponse)
+        }
+      })
+      .then(patchNext)
+  }
+  const workerCount = Math.max(1, Math.min(policy.concurrency, queue.length))
+  return Promise.all(Array.from({length: workerCount}, patchNext))
+    .then(() => ({
+      patchedURIs: new Set(Object.keys(attempts).filter(uri => {
+        const uriAttempts = attempts[uri]
+        return uriAttempts.length > 0 && uriAttempts[uriAttempts.length - 1].succeeded
+      })),
+      attempts,
+      versions: newVersions
     }))
-    .then(sourceResults => {
-      return new Set(
-        sourceResults
-          .filter(result => result.succeeded)
-          .map(result => result.URI)
-      )
+}
+
+/**
+ * Patches one resource, retrying according to a save policy.  Every attempt is
+ * recorded in an array of attempts.
+ *
+ * @param {Object} web - A web client library, currently assumed to be
+ * solid-web-client.
+ * @param {String} uri - The URI of the resource.
+ * @param {Object} graphDiff - The quads to delete and insert in the resource.
+ * @param {Object} policy - How to send the patch.  See `Model.save`.
+ * @param {String=} version - The known version (ETag) of the resource, sent as
+ * an If-Match header.
+ * @param {Object[]} attempts - The attempts made so far.
+ * @returns {Promise<Object=>} A Promise which resolves to the response once the
+ * resource is patched, or to undefined once no more attempts will be made.
+ */
+function patchURI (web, uri, graphDiff, policy, version, attempts) {
+  const {signal} = policy
+  if (signal && signal.aborted) {
+    return Promise.resolve()
+  }
+  const options = {
+    ...(isDefined(version) ? {headers: {'If-Match': version}} : {}),
+    // Existing blank nodes can't be named in the statements to delete, so the
+    // web client gets an update which finds them
+    ...(involvesBlankNodes(graphDiff) ? {query: sparqlUpdate(graphDiff)} : {}),
+    ...(signal ? {signal} : {})
+  }
+  const request = Object.keys(options).length > 0
+    ? web.patch(uri, graphDiff.toDel, graphDiff.toIns, options)
+    : web.patch(uri, graphDiff.toDel, graphDiff.toIns)
+  return request
+    .then(solidResponse => {
+      attempts.push({succeeded: true, status: responseStatus(solidResponse)})
+      return solidResponse
+    }, solidResponse => {
+      const status = responseStatus(solidResponse)
+      attempts.push({succeeded: false, status})
+      const isRetryable = !isDefined(status) || policy.retryStatuses.indexOf(status) >= 0
+      if (!isRetryable || attempts.length >= policy.maxAttempts) {
+        return
+      }
+      const delay = typeof policy.backoff === 'function'
+        ? policy.backoff(attempts.length)
+        : policy.backoff * Math.pow(2, attempts.length - 1)
+      return wait(delay, signal)
+        .then(() => patchURI(web, uri, graphDiff, policy, version, attempts))
+    })
+}
+
+/**
+ * Returns the HTTP status of a web client response.
+ *
+ * @param {Object=} solidResponse - The response, or whatever a failed request
+ * rejected with.
+ * @returns {Number|undefined} The HTTP status, if known.
+ */
+function responseStatus (solidResponse) {
+  const response = solidResponse || {}
+  if (isDefined(response.status)) {
+    return response.status
+  }
+  return response.xhr
+    ? response.xhr.status
+    : undefined
+}
+
+/**
+ * Returns the ETag of a web client response.
+ *
+ * @param {Object} solidResponse - The response, either from solid-web-client
+ * (with an `xhr`) or from `fetch` (with `headers`).
+ * @returns {String|undefined} The ETag, if the response has one.
+ */
+function responseETag (solidResponse) {
+  const etag = solidResponse.headers
+    ? solidResponse.headers.get('ETag')
+    : solidResponse.xhr && solidResponse.xhr.getResponseHeader('ETag')
+  return etag || undefined
+}
+
+/**
+ * Waits for some time, or until a signal is aborted.
+ *
+ * @param {Number} ms - The number of milliseconds to wait.
+ * @param {AbortSignal=} signal - A signal which ends the wait when aborted.
+ * @returns {Promise} A Promise which resolves when the wait is over.
+ */
+function wait (ms, signal) {
+  if (signal && signal.aborted) {
+    return Promise.resolve()
+  }
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timeout)
+      resolve()
+    }
+    const timeout = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+      resolve()
+    }, ms)
+    if (signal) {
+      signal.addEventListener('abort', onAbort, {once: true})
+    }
+  })
+}
+
+/**
+ * Creates a diff map which undoes the changes of another diff map for some of
+ * its URIs, by swapping the quads to insert and delete.  The `where`
+ * statements which weren't deleted still find the same blank nodes, so they're
+ * kept.  Cleared blank nodes can't be brought back, so the diffs of those URIs
+ * mustn't clear any.
+ *
+ * @param {Object} diffMap - The result of running Model.diff() on a model.
+ * @param {Set<String>} uris - The URIs whose changes should be undone.
+ * @returns {Object} The inverse diff map for those URIs.
+ */
+function invertDiffMap (diffMap, uris) {
+  return Array.from(uris).reduce((map, uri) => {
+    const {toDel, toIns, where = []} = diffMap[uri]
+    const bindings = where.filter(statement => toDel.indexOf(statement) < 0)
+    return {
+      ...map,
+      [uri]: {toDel: toIns, toIns: toDel, ...(bindings.length > 0 ? {where: bindings} : {})}
+    }
+  }, {})
+}
+
+/**
+ * Updates a model after saving so that the fields in successfully patched
+ * resources track their current state, recursing into nested models.  Removed
+ * fields stay in the graveyard until the resources they were removed from are
+ * patched.
+ *
+ * @param {Object} rdf - An RDF adapter or library.
+ * @param {Model} model - The model which was saved.
+ * @param {Set<String>} patchedURIs - The URIs which were successfully patched.
+ * @param {Object} newVersions - The new versions (ETags) of the resources
+ * which were changed on the server, keyed by URI.  Undefined versions are
+ * forgotten.
+ * @returns {Model} The updated model.
+ */
+function trackPatchedState (rdf, model, patchedURIs, newVersions) {
+  const versions = {...model.versions, ...newVersions}
+  return model.map(field => {
+    const updatedField = isNestedModel(field)
+      ? field.set({value: trackPatchedState(rdf, field.value, patchedURIs, newVersions)})
+      : field
+    return patchedURIs.has(updatedField.namedGraph.value)
+      ? updatedField.fromCurrentState(rdf, model.subject)
+      : updatedField
+  }).fromCurrentState({
+    graveyard: model.graveyard.filter(field => {
+      const quad = field.originalQuad(rdf, model.subject)
+      return quad && !patchedURIs.has(graphURI(quad))
+    }),
+    versions: Object.keys(versions)
+      .filter(uri => isDefined(versions[uri]))
+      .reduce((map, uri) => ({...map, [uri]: versions[uri]}), {})
+  })
+}
+
+/**
+ * Finds the fields of a model, including those of nested models and removed
+ * fields, whose changes affect a resource.
+ *
+ * @param {Object} rdf - An RDF adapter or library.
+ * @param {Model} model - The model.
+ * @param {String} uri - The URI of the resource.
+ * @returns {Field[]} The fields which were added to, changed in, moved to or
+ * from, or removed from the resource.
+ */
+function fieldsChangedIn (rdf, model, uri) {
+  const fields = model._fields.toArray().reduce((all, cur) => [...all, ...cur], [])
+  const changedFields = fields.filter(field => {
+    const newQuad = field.toQuad(rdf, model.subject)
+    const originalQuad = field.originalQuad(rdf, model.subject)
+    if (originalQuad && quadEquals(newQuad, originalQuad) && !(hasStructure(field) && field.isModified())) {
+      return false
+    }
+    return graphURI(newQuad) === uri ||
+      Boolean(originalQuad && graphURI(originalQuad) === uri)
+  })
+  const removedFields = model.graveyard.filter(field => {
+    const quad = field.originalQuad(rdf, model.subject)
+    return Boolean(quad && graphURI(quad) === uri)
+  })
+  return fields
+    .filter(isNestedModel)
+    .reduce((all, field) => [...all, ...fieldsChangedIn(rdf, field.value, uri)], [...changedFields, ...removedFields])
+}
+
+/**
+ * Computes the values of a computed key, or looks them up if they were already
+ * computed for the model.
+ *
+ * @param {Model} model - The model.
+ * @param {String} key - The computed key.
+ * @returns {Array} The computed values.
+ */
+function computedValues (model, key) {
+  const values = computedValueCache.get(model) || {}
+  if (!values.hasOwnProperty(key)) {
+    const computed = model.computedSpecs[key].compute(model)
+    values[key] = !isDefined(computed) || computed === null
+      ? []
+      : [].concat(computed)
+    computedValueCache.set(model, values)
+  }
+  return values[key]
+}
+
+/**
+ * Sets a computed key by setting the stored keys which its `write` function
+ * maps the value onto.
+ *
+ * @param {Model} model - The model.
+ * @param {String} key - The computed key.
+ * @param value - The new value.
+ * @param {Object=} fieldOptions - Options for the new fields.  See `setAny`.
+ * @returns {Model} The updated model.
+ * @throws {Error} If the key has no `write` function.
+ */
+function writeComputed (model, key, value, fieldOptions) {
+  const { write } = model.computedSpecs[key]
+  if (!isDefined(write)) {
+    throw new Error(`Computed key [${key}] is read-only.`)
+  }
+  const storedValues = write(value, model)
+  return Object.keys(storedValues).reduce((updated, storedKey) => {
+    return storedValues[storedKey] === null
+      ? updated.fields(storedKey).reduce((partial, field) => partial.remove(field), updated)
+      : updated.setAny(storedKey, storedValues[storedKey], fieldOptions)
+  }, model)
+}
+
+/**
+ * Edits the first list field of a key.  See `Model.insertItem`.
+ *
+ * @param {Model} model - The model.
+ * @param {String} key - The key of a list field.
+ * @param {Function(Field)} fn - A function from the list field to its new
+ * state.
+ * @returns {Model} The updated model.
+ * @throws {Error} If the key has no list.
+ */
+function mapFirstList (model, key, fn) {
+  const firstField = model.fields(key)[0]
+  if (!firstField) {
+    throw new Error(`No list for key [${key}].`)
+  }
+  return model.map(field => field.id === firstField.id ? fn(field) : field)
+}
+
+/**
+ * Rebases a nested model, collecting its conflicts.
+ *
+ * @param {Object} rdf - An RDF adapter or library.
+ * @param {Object} graph - The RDF graph holding the latest data.
+ * @param {Model} model - The nested model.
+ * @param {Object} options - Options for rebasing.  See `Model.rebase`.
+ * @param {Object[]} conflicts - The conflicts found so far, which the nested
+ * model's conflicts are added to.
+ * @returns {Model} The rebased nested model.
+ */
+function rebaseNestedModel (rdf, graph, model, options, conflicts) {
+  const rebased = model.rebase(rdf, graph, options)
+  conflicts.push(...rebased.conflicts)
+  return rebased.model
+}
+
+/**
+ * Determines whether a language tag matches a preferred language, either
+ * exactly or as one of its subtags.  Comparisons are case-insensitive.
+ *
+ * @param {String=} tag - The language tag of a field.
+ * @param {String} language - The preferred language.
+ * @returns {Boolean} true if the tag matches the language.
+ */
+function matchesLanguage (tag, language) {
+  if (!tag) {
+    return false
+  }
+  const lowerTag = tag.toLowerCase()
+  const lowerLanguage = language.toLowerCase()
+  return lowerTag === lowerLanguage || lowerTag.startsWith(`${lowerLanguage}-`)
+}
+
+/**
+ * Serializes a model as a JSON-LD node object.  See `Model.toJSONLD`.
+ *
+ * @param {Object} rdf - An RDF adapter or library.
+ * @param {Model} model - The model.
+ * @param {Object=} parentFieldSpecs - The field specs of the enclosing model,
+ * whose context also applies to this node.
+ * @returns {Object} The JSON-LD node object.
+ */
+function jsonLDNode (rdf, model, parentFieldSpecs) {
+  const node = model.fieldSpecs === parentFieldSpecs
+    ? {}
+    : {'@context': jsonLDContext(model.fieldSpecs)}
+  node['@id'] = model.subject.value
+  model._fields.forEach((fields, key) => {
+    if (fields.length === 0 || !hasJSONLDTerm(model.fieldSpecs[key])) {
+      return
+    }
+    const isType = isTypeSpec(model.fieldSpecs[key])
+    const typeMapping = isType ? '@id' : jsonLDTypeMapping(model.fieldSpecs[key])
+    if (model.fieldSpecs[key].list) {
+      // Several lists of a key can't share its container, so they're wrapped
+      const lists = fields.map(field => field.toItems(rdf).map(item => jsonLDValue(item, typeMapping)))
+      node[key] = lists.length === 1 ? lists[0] : lists.map(list => ({'@list': list}))
+      return
+    }
+    const values = fields.map(field => {
+      return isNestedModel(field)
+        ? jsonLDNode(rdf, field.value, model.fieldSpecs)
+        : jsonLDValue(field.toObject(rdf), typeMapping)
+    })
+    node[isType ? '@type' : key] = values.length === 1 ? values[0] : values
+  })
+  return node
+}
+
+/**
+ * Builds a JSON-LD context from field specs.  `rdf:type` fields are written
+ * as `@type` and property paths can't be written at all, so they have no
+ * term, and inverse fields are reverse properties.
+ *
+ * @param {Object} fieldSpecs - The field specs of a model.
+ * @returns {Object} The JSON-LD context.
+ */
+function jsonLDContext (fieldSpecs) {
+  return Object.keys(fieldSpecs)
+    .filter(key => !isTypeSpec(fieldSpecs[key]) && hasJSONLDTerm(fieldSpecs[key]))
+    .reduce((context, key) => {
+      const spec = fieldSpecs[key]
+      const typeMapping = jsonLDTypeMapping(spec)
+      const term = spec.inverse
+        ? {'@reverse': spec.predicate.value, '@type': typeMapping}
+        : isDefined(typeMapping)
+          ? {'@id': spec.predicate.value, '@type': typeMapping}
+          : spec.predicate.value
+      return spec.list
+        ? {...context, [key]: {...(typeof term === 'string' ? {'@id': term} : term), '@container': '@list'}}
+        : {...context, [key]: term}
+    }, {})
+}
+
+/**
+ * Determines whether a field key can be written as a JSON-LD term.  Property
+ * paths and compound values can't.
+ *
+ * @param {Object} spec - The field spec of the key.
+ * @returns {Boolean} true for keys with a single predicate and plain values.
+ */
+function hasJSONLDTerm (spec) {
+  return !isDefined(spec.path) && !isDefined(spec.compound)
+}
+
+/**
+ * Determines whether a field key holds the `rdf:type`s of its model.
+ *
+ * @param {Object} spec - The field spec of the key.
+ * @returns {Boolean} true for keys of `rdf:type` which aren't inverse.
+ */
+function isTypeSpec (spec) {
+  return spec.predicate.value === rdfType && !spec.inverse
+}
+
+/**
+ * Determines the JSON-LD type mapping of a field key.
+ *
+ * @param {Object} spec - The field spec of the key.
+ * @returns {String|undefined} '@id' for relations, inverse and NamedNode
+ * fields, the URI of the declared datatype, or undefined.
+ */
+function jsonLDTypeMapping (spec) {
+  if (isDefined(spec.model) || spec.namedNode || spec.inverse) {
+    return '@id'
+  }
+  return isDefined(spec.datatype)
+    ? termValue(spec.datatype)
+    : undefined
+}
+
+/**
+ * Serializes an RDF object node as a compacted JSON-LD value.
+ *
+ * @param {Object} object - The RDF object node.
+ * @param {String=} typeMapping - The type mapping of the value's term.
+ * @returns {String|Object} The value as a string if the type mapping implies
+ * its type, or else as a node or value object.
+ */
+function jsonLDValue (object, typeMapping) {
+  if (object.termType === 'NamedNode') {
+    return typeMapping === '@id'
+      ? object.value
+      : {'@id': object.value}
+  }
+  if (object.termType === 'BlankNode') {
+    return {'@id': `_:${object.value}`}
+  }
+  if (object.language) {
+    return {'@value': object.value, '@language': object.language}
+  }
+  const datatype = object.datatype ? object.datatype.value : xsdString
+  return datatype === typeMapping || (!isDefined(typeMapping) && datatype === xsdString)
+    ? object.value
+    : {'@value': object.value, '@type': datatype}
+}
+
+/**
+ * Replaces the values of a field key with the values of a JSON-LD property.
+ * See `Model.applyJSONLD`.
+ *
+ * @param {Model} model - The model.
+ * @param {String} key - The field key.
+ * @param {*} values - The JSON-LD value, array of values, or null.
+ * @returns {Model} The updated model.
+ */
+function applyJSONLDValues (model, key, values) {
+  const spec = model.fieldSpecs[key]
+  const typeMapping = isTypeSpec(spec) ? '@id' : jsonLDTypeMapping(spec)
+  // JSON-LD holds values as they're written to RDF
+  const { parse = value => value } = valueTransformers(spec)
+  const unmatched = spec.list
+    ? jsonLDLists(values).map(list => ({
+      value: list.map(item => parse(fromJSONLDValue(item, typeMapping).value))
+    }))
+    : (values === null ? [] : [].concat(values))
+      .map(value => fromJSONLDValue(value, typeMapping))
+      .map(item => ({...item, value: parse(item.value)}))
+  const staleFields = []
+  let updatedModel = model
+  model.fields(key).forEach(field => {
+    const index = unmatched.findIndex(item => {
+      return hasValue(field, item.value) && (field.lang || '') === (item.lang || '')
+    })
+    if (index < 0) {
+      staleFields.push(field)
+      return
+    }
+    const {node} = unmatched.splice(index, 1)[0]
+    if (isNestedModel(field) && isDefined(node)) {
+      const nestedModel = field.value.applyJSONLD(node)
+      if (nestedModel !== field.value) {
+        updatedModel = updatedModel.set(field, nestedModel)
+      }
+    }
+  })
+  const fieldValue = item => hasProperties(item.node) && isDefined(spec.model)
+    ? newNestedModel(model, spec, item.node)
+    : item.value
+  staleFields.forEach((field, index) => {
+    const item = unmatched[index]
+    updatedModel = isDefined(item)
+      ? updatedModel.set(field, fieldValue(item), {namedNode: item.namedNode, lang: item.lang || ''})
+      : updatedModel.remove(field)
+  })
+  return unmatched.slice(staleFields.length).reduce((addedModel, item) => {
+    return addedModel.add(key, fieldValue(item), {namedNode: item.namedNode, lang: item.lang})
+  }, updatedModel)
+}
+
+/**
+ * Reads the lists of a JSON-LD property with a list container.  The property
+ * holds either one list, as an array or a list object, or an array of list
+ * objects.
+ *
+ * @param {*} values - The JSON-LD value, or null.
+ * @returns {Array[]} The items of each list.
+ */
+function jsonLDLists (values) {
+  if (values === null) {
+    return []
+  }
+  const lists = [].concat(values)
+  return lists.length > 0 && lists.every(list => list !== null && isDefined(list['@list']))
+    ? lists.map(list => list['@list'])
+    : [lists]
+}
+
+/**
+ * Reads a compacted JSON-LD value into a field value.
+ *
+ * @param {*} value - The JSON-LD value.
+ * @param {String=} typeMapping - The type mapping of the value's term.
+ * @returns {Object} The field `value`, whether it's a `namedNode`, its `lang`,
+ * and the JSON-LD node object for values which are nodes.
+ * @throws {Error} If the value isn't a string, number, boolean, node object
+ * or value object.
+ */
+function fromJSONLDValue (value, typeMapping) {
+  const typedValue = (lexicalValue, datatype) => {
+    return typeof lexicalValue === 'string' && isDefined(datatype)
+      ? rdfToJs({value: lexicalValue, datatype: {value: datatype}})
+      : lexicalValue
+  }
+  if (typeof value === 'string') {
+    return typeMapping === '@id'
+      ? {value, namedNode: true}
+      : {value: typedValue(value, typeMapping), namedNode: false}
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return {value, namedNode: false}
+  }
+  if (value !== null && typeof value === 'object' && isDefined(value['@id'])) {
+    return {value: value['@id'], namedNode: true, node: value}
+  }
+  if (value !== null && typeof value === 'object' && isDefined(value['@value'])) {
+    return {
+      value: typedValue(value['@value'], value['@type']),
+      namedNode: false,
+      lang: value['@language']
+    }
+  }
+  throw new Error(`Cannot apply JSON-LD value [${JSON.stringify(value)}].`)
+}
+
+/**
+ * Determines whether a JSON-LD node object describes its node, rather than
+ * only referring to it.
+ *
+ * @param {Object=} node - The JSON-LD node object.
+ * @returns {Boolean} true if the node object has properties besides keywords.
+ */
+function hasProperties (node) {
+  return isDefined(node) && Object.keys(node).some(property => property.indexOf('@') !== 0)
+}
+
+/**
+ * Builds a nested model from a JSON-LD node object.
+ *
+ * @param {Model} model - The enclosing model.
+ * @param {Object} spec - The field spec of the relation.
+ * @param {Object} node - The JSON-LD node object.
+ * @returns {Model} The nested model, whose fields are all new.
+ */
+function newNestedModel (model, spec, node) {
+  const defaultNamedGraph = termValue(model.defaultNamedGraph)
+  const emptyModel = spec.model(null, defaultNamedGraph, node['@id'], {
+    snapshot: {subject: node['@id'], defaultNamedGraph, fields: {}, graveyard: [], versions: model.versions}
+  })
+  return emptyModel.applyJSONLD(node)
+}
+
+/**
+ * Determines whether a field holds a value.  Nested models are compared by
+ * subject.
+ *
+ * @param {Field} field - The field to test.
+ * @param value - The value, which may be a nested model or its subject's URI
+ * for relation fields.
+ * @returns {Boolean} true if the field holds the value.
+ */
+function hasValue (field, value) {
+  if (isNestedModel(field)) {
+    const uri = value instanceof Model ? value.subject.value : value
+    return field.value.subject.value === uri
+  }
+  return isSameValue(field.value, value)
+}
+
+/**
+ * Determines whether blank nodes belong to a field's value, i.e. whether it's
+ * a list or compound field.
+ *
+ * @param {Field} field - The field to test.
+ * @returns {Boolean} true if the field has quads of its own beyond its quad.
+ */
+function hasStructure (field) {
+  return field.list === true || isDefined(field.compound)
+}
+
+/**
+ * Determines whether a field holds a nested model.
+ *
+ * @param {Field} field - The field to test.
+ * @returns {Boolean} true if the field's value is a nested model.
+ */
+function isNestedModel (field) {
+  return field.relation === true && field.value instanceof Model
+}
+
+/**
+ * Computes the diff of a model as RDF quads rather than N-Triples statements.
+ * See `Model.diff`.
+ *
+ * @param {Object} rdf - An RDF adapter or library.
+ * @param {Model} model - The model.
+ * @returns {Object} A mapping from graph URIs to the RDF quads to delete from
+ * (`toDel`) and insert into (`toIns`) those graphs, along with the quads which
+ * find the existing blank nodes of those quads (`where`) and the blank nodes
+ * whose every quad is deleted (`toClear`), if any.
+ */
+function diffQuads (rdf, model) {
+  const fields = model._fields
+    .toArray()
+    .reduce((reduction, cur) => [...reduction, ...cur], [])
+  const diffMap = {}
+  const graphDiff = uri => {
+    if (!isDefined(diffMap[uri])) {
+      diffMap[uri] = {toDel: [], toIns: []}
+    }
+    return diffMap[uri]
+  }
+  const addQuad = (kind, quad) => {
+    const diff = graphDiff(graphURI(quad))
+    const quads = diff[kind] || []
+    if (!quads.some(other => quadEquals(other, quad))) {
+      diff[kind] = [...quads, quad]
+    }
+  }
+  const addClear = (node, graph) => {
+    const diff = graphDiff(graph ? graph.value : '')
+    const nodes = diff.toClear || []
+    if (!nodes.some(other => termToNT(other) === termToNT(node))) {
+      diff.toClear = [...nodes, node]
+    }
+  }
+  // Changes to the existing blank nodes of a field come with the quads which
+  // lead to those nodes
+  const addChanges = (field, toDel, toIns) => {
+    toDel.forEach(quad => addQuad('toDel', quad))
+    toIns.forEach(quad => addQuad('toIns', quad))
+    const bindingQuads = field.bindingQuads(rdf, model.subject)
+    const boundNodes = bindingQuads
+      .reduce((nodes, quad) => [...nodes, quad.subject, quad.object], [])
+      .filter(isBlankNode)
+      .map(termToNT)
+    const touchesBoundNodes = [...toDel, ...toIns].some(quad => {
+      return [quad.subject, quad.object].some(term => {
+        return isBlankNode(term) && boundNodes.indexOf(termToNT(term)) >= 0
+      })
     })
+    if (touchesBoundNodes) {
+      bindingQuads.forEach(quad => addQuad('where', quad))
+    }
+  }
+  fields.forEach(field => {
+    const toDel = []
+    const toIns = []
+    const newQuad = field.toQuad(rdf, model.subject)
+    const originalQuad = field.originalQuad(rdf, model.subject)
+    const fieldHasChanged = (
+      !originalQuad || !quadEquals(newQuad, originalQuad)
+    )
+    if (fieldHasChanged) {
+      if (originalQuad) {
+        toDel.push(originalQuad)
+      } else {
+        // New fields come with the intermediate nodes of their property path
+        toIns.push(...field.linkQuads(rdf, model.subject))
+      }
+      toIns.push(newQuad)
+    }
+    // Lists only change the cells whose item or successor changed, and
+    // compound values the properties which changed
+    const structureQuads = field.structureQuads(rdf)
+    const originalStructureQuads = field.originalStructureQuads(rdf)
+    toDel.push(...originalStructureQuads
+      .filter(quad => !structureQuads.some(structureQuad => quadEquals(structureQuad, quad))))
+    toIns.push(...structureQuads
+      .filter(quad => !originalStructureQuads.some(originalQuad => quadEquals(originalQuad, quad))))
+    addChanges(field, toDel, toIns)
+  })
+
+  // Removed fields take the statements leading to their blank intermediate
+  // nodes with them, unless other fields still use those statements.  Those
+  // nodes and the nodes of compound values are cleared entirely, as they may
+  // hold statements which aren't part of any field, e.g. their types.
+  const currentLinkQuads = fields.reduce((quads, field) => [...quads, ...field.linkQuads(rdf, model.subject)], [])
+  model.graveyard.forEach((field) => {
+    const quad = field.originalQuad(rdf, model.subject)
+    if (quad) {
+      const removedLinks = field.linkQuads(rdf, model.subject)
+        .map((linkQuad, index) => ({linkQuad, node: field.via[index].node}))
+        .filter(({linkQuad, node}) => {
+          return isBlankNode(node) &&
+            !currentLinkQuads.some(currentQuad => quadEquals(currentQuad, linkQuad))
+        })
+      const linkQuads = removedLinks.map(({linkQuad}) => linkQuad)
+      addChanges(field, [quad, ...linkQuads, ...field.originalStructureQuads(rdf)], [])
+      // Nodes which other fields still use are found through one of those
+      // fields too, so that they can still be found once the value is gone,
+      // e.g. to roll the patch back
+      const keptLinks = field.linkQuads(rdf, model.subject).filter(linkQuad => {
+        return !linkQuads.some(removedQuad => quadEquals(removedQuad, linkQuad))
+      })
+      const sharingField = fields.find(current => !current.isNew() && current.linkQuads(rdf, model.subject)
+        .some(currentQuad => keptLinks.some(linkQuad => quadEquals(currentQuad, linkQuad))))
+      if (isDefined(sharingField)) {
+        sharingField.bindingQuads(rdf, model.subject).forEach(bindingQuad => addQuad('where', bindingQuad))
+      }
+      removedLinks.forEach(({linkQuad, node}) => addClear(node, linkQuad.graph))
+      if (isDefined(field.compound)) {
+        addClear(field.originalObject, field.originalNamedGraph)
+      }
+    }
+  })
+
+  return fields
+    .filter(isNestedModel)
+    .reduce((map, field) => mergeDiffMaps(map, diffQuads(rdf, field.value)), diffMap)
+}
+
+/**
+ * Collects the quads of a model for serialization.  See `Model.toTurtle`.
+ *
+ * @param {Object} rdf - An RDF adapter or library.
+ * @param {Model} model - The model.
+ * @param {Boolean} changes - Whether to collect only the pending changes.
+ * @returns {Object[]} Sections with a `title` and `quads`, either one per
+ * named graph or, for changes, one for the deletions from and one for the
+ * insertions into each named graph.
+ */
+function quadSections (rdf, model, changes) {
+  const graphName = uri => uri ? `<${uri}>` : 'the default graph'
+  if (changes) {
+    const quadDiffMap = diffQuads(rdf, model)
+    return Object.keys(quadDiffMap).reduce((sections, uri) => [
+      ...sections,
+      {title: `Delete from ${graphName(uri)}`, quads: quadDiffMap[uri].toDel},
+      {title: `Insert into ${graphName(uri)}`, quads: quadDiffMap[uri].toIns}
+    ], [])
+  }
+  const statements = []
+  const graphs = currentQuads(rdf, model).reduce((graphs, quad) => {
+    // Nested models may be reached more than once
+    const statement = `${quadToNT(quad)} ${graphURI(quad)}`
+    if (statements.indexOf(statement) >= 0) {
+      return graphs
+    }
+    statements.push(statement)
+    const uri = graphURI(quad)
+    return {...graphs, [uri]: [...(graphs[uri] || []), quad]}
+  }, {})
+  return Object.keys(graphs).map(uri => ({title: graphName(uri), quads: graphs[uri]}))
+}
+
+/**
+ * Builds the quads for the current state of a model and its nested models.
+ *
+ * @param {Object} rdf - An RDF adapter or library.
+ * @param {Model} model - The model.
+ * @returns {Object[]} The RDF quads.
+ */
+function currentQuads (rdf, model) {
+  return model._fields
+    .toArray()
+    .reduce((fields, cur) => [...fields, ...cur], [])
+    .reduce((quads, field) => [
+      ...quads,
+      ...field.linkQuads(rdf, model.subject),
+      field.toQuad(rdf, model.subject),
+      ...field.structureQuads(rdf),
+      ...(isNestedModel(field) ? currentQuads(rdf, field.value) : [])
+    ], [])
+}
+
+/**
+ * Collects the predicate and datatype URIs of the field maps of a model and
+ * its nested models, from which serializations derive their prefixes.
+ *
+ * @param {Model} model - The model.
+ * @returns {String[]} The URIs.
+ */
+function fieldMapURIs (model) {
+  const uris = Object.keys(model.fieldSpecs).reduce((uris, key) => {
+    const spec = model.fieldSpecs[key]
+    const compound = spec.compound || {}
+    const predicates = spec.routes.reduce((all, route) => [...all, ...route.map(step => step.predicate.value)], [])
+      .concat(Object.keys(compound).map(name => compound[name].predicate.value))
+    return isDefined(spec.datatype)
+      ? [...uris, ...predicates, termValue(spec.datatype)]
+      : [...uris, ...predicates]
+  }, [])
+  return model._fields
+    .toArray()
+    .reduce((fields, cur) => [...fields, ...cur], [])
+    .filter(isNestedModel)
+    .reduce((allURIs, field) => [...allURIs, ...fieldMapURIs(field.value)], uris)
+}
+
+/**
+ * Combines two diff maps (from Model.diff) into one.
+ *
+ * @param {Object} diffMap - A diff map.
+ * @param {Object} otherDiffMap - Another diff map.
+ * @returns {Object} A diff map containing the quads of both diff maps.
+ */
+function mergeDiffMaps (diffMap, otherDiffMap) {
+  return Object.keys(otherDiffMap).reduce((map, uri) => {
+    const graphDiff = map[uri] || {toDel: [], toIns: []}
+    const otherGraphDiff = otherDiffMap[uri]
+    return {
+      ...map,
+      [uri]: Object.keys(otherGraphDiff).reduce((merged, kind) => ({
+        ...merged,
+        [kind]: [...(graphDiff[kind] || []), ...otherGraphDiff[kind]]
+      }), graphDiff)
+    }
+  }, diffMap)
 }
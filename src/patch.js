@@ -0,0 +1,288 @@
+const solidTerms = 'http://www.w3.org/ns/solid/terms#'
+
+/**
+ * Serializes the diff for one named graph as a SPARQL 1.1 Update document.
+ * Deletions come first, as a `DELETE DATA` operation, followed by insertions
+ * as an `INSERT DATA` operation.  Empty operations are left out.
+ *
+ * Blank nodes can't be named in `DELETE DATA`, so diffs which involve existing
+ * blank nodes become a `DELETE { ... } INSERT { ... } WHERE { ... }` operation
+ * instead, in which those nodes are variables found through the `where`
+ * statements of the diff, and every statement of the `toClear` nodes is
+ * deleted.  New blank nodes are only inserted once, so when nodes are cleared
+ * the insertions go first, as an `INSERT { ... } WHERE { ... }` operation.
+ *
+ * @param {Object} graphDiff - The diff for one named graph, i.e. one of the
+ * values of a diff map from `Model.diff`.
+ * @param {String[]} graphDiff.toDel - N-Triples statements to delete.
+ * @param {String[]} graphDiff.toIns - N-Triples statements to insert.
+ * @param {String[]=} graphDiff.where - N-Triples statements which find the
+ * existing blank nodes of the other statements.
+ * @param {String[]=} graphDiff.toClear - Blank nodes (as N-Triples terms)
+ * whose every statement is deleted.
+ * @returns {String} The SPARQL Update document, which is empty if there is
+ * nothing to change.
+ */
+export function sparqlUpdate ({ toDel = [], toIns = [], where = [], toClear = [] }) {
+  const variables = blankNodeVariables([...where, ...toDel], toClear)
+  if (variables.size === 0) {
+    return joinOperations([
+      dataOperation('DELETE DATA', toDel),
+      dataOperation('INSERT DATA', toIns)
+    ])
+  }
+  const bind = statement => bindStatement(statement, variables)
+  const patterns = unique([...where, ...toDel.filter(hasBlankNode)].map(bind))
+  const clears = toClear.map((node, index) => `${variables.get(node)} ?p${index} ?o${index} .`)
+  const deletes = [...toDel.map(bind), ...clears]
+  const inserts = toIns.map(bind)
+  if (clears.length > 0 && inserts.some(hasBlankNode)) {
+    return joinOperations([
+      patternOperation({INSERT: inserts}, patterns),
+      patternOperation({DELETE: deletes}, [...patterns, ...clears])
+    ])
+  }
+  return patternOperation({DELETE: deletes, INSERT: inserts}, [...patterns, ...clears])
+}
+
+/**
+ * Determines whether the diff for one named graph involves existing blank
+ * nodes, which have to be found through patterns rather than named.
+ *
+ * @param {Object} graphDiff - The diff for one named graph.  See
+ * `sparqlUpdate`.
+ * @returns {Boolean} true if the diff involves existing blank nodes.
+ */
+export function involvesBlankNodes ({ toDel = [], where = [], toClear = [] }) {
+  return blankNodeVariables([...where, ...toDel], toClear).size > 0
+}
+
+/**
+ * Serializes every named graph of a diff map as a SPARQL 1.1 Update document.
+ *
+ * @param {Object} diffMap - The result of running Model.diff() on a model.
+ * @returns {Object} A mapping from graph URIs to SPARQL Update documents.  For
+ * example:
+ *   {
+ *     'https://example.com/profile': 'DELETE DATA {\n  ...\n} ;\nINSERT DATA {\n  ...\n}'
+ *   }
+ */
+export function sparqlUpdates (diffMap) {
+  return Object.keys(diffMap).reduce(
+    (updates, uri) => ({...updates, [uri]: sparqlUpdate(diffMap[uri])}), {}
+  )
+}
+
+/**
+ * Serializes the diff for one named graph as an N3 Patch document, i.e. a
+ * `solid:InsertDeletePatch` with `solid:deletes` and `solid:inserts` formulae.
+ * Empty formulae are left out.
+ *
+ * With the `where` option, the original statements of the changed fields (the
+ * statements which are deleted) also go into a `solid:where` formula.  Servers
+ * only apply the patch if they still hold those statements, so the patch fails
+ * rather than overwriting changes made since the model was loaded.
+ *
+ * Existing blank nodes are variables found through a `solid:where` formula
+ * holding the `where` statements of the diff and the deleted statements which
+ * involve them.  The `solid:where` formula of an N3 Patch must match exactly
+ * once, so diffs which clear blank nodes can't be serialized as N3 Patches.
+ *
+ * @param {Object} graphDiff - The diff for one named graph, i.e. one of the
+ * values of a diff map from `Model.diff`.
+ * @param {String[]} graphDiff.toDel - N-Triples statements to delete.
+ * @param {String[]} graphDiff.toIns - N-Triples statements to insert.
+ * @param {String[]=} graphDiff.where - N-Triples statements which find the
+ * existing blank nodes of the other statements.
+ * @param {Object=} options - Options for serializing the patch.
+ * @param {Boolean=} options.where - Whether to guard the patch with the
+ * original statements of the changed fields.
+ * @returns {String} The N3 Patch document, which is empty if there is nothing
+ * to change.
+ * @throws {Error} If the diff clears blank nodes.
+ */
+export function n3Patch ({ toDel = [], toIns = [], where: bindings = [], toClear = [] }, { where = false } = {}) {
+  if (toClear.length > 0) {
+    throw new Error('N3 Patches can\'t clear blank nodes.  Use SPARQL Update instead.')
+  }
+  const variables = blankNodeVariables([...bindings, ...toDel], [])
+  const bind = statement => bindStatement(statement, variables)
+  const conditions = [...bindings, ...(where ? toDel : toDel.filter(hasBlankNode))]
+  const formulae = [
+    formula('solid:where', unique(conditions.map(bind))),
+    formula('solid:deletes', toDel.map(bind)),
+    formula('solid:inserts', toIns.map(bind))
+  ].filter(text => text.length > 0)
+  if (formulae.length === 0) {
+    return ''
+  }
+  return `@prefix solid: <${solidTerms}> .\n\n` +
+    `_:patch a solid:InsertDeletePatch ;\n${formulae.join(' ;\n')} .\n`
+}
+
+/**
+ * Serializes every named graph of a diff map as an N3 Patch document.
+ *
+ * @param {Object} diffMap - The result of running Model.diff() on a model.
+ * @param {Object=} options - Options for serializing the patches.  See
+ * `n3Patch`.
+ * @returns {Object} A mapping from graph URIs to N3 Patch documents.
+ */
+export function n3Patches (diffMap, options) {
+  return Object.keys(diffMap).reduce(
+    (patches, uri) => ({...patches, [uri]: n3Patch(diffMap[uri], options)}), {}
+  )
+}
+
+/**
+ * Serializes a SPARQL Update data operation.
+ *
+ * @param {String} keywords - The operation keywords, e.g. 'INSERT DATA'.
+ * @param {String[]} statements - The N-Triples statements of the operation.
+ * @returns {String} The operation, or an empty string if there are no
+ * statements.
+ */
+function dataOperation (keywords, statements) {
+  if (statements.length === 0) {
+    return ''
+  }
+  return `${keywords} {\n${indent(statements, '  ')}}`
+}
+
+/**
+ * Serializes a SPARQL Update operation made of templates and patterns, e.g.
+ * `DELETE { ... } WHERE { ... }`.  Empty templates are left out.
+ *
+ * @param {Object} templates - The statements of each template, keyed by its
+ * keyword, in order.
+ * @param {String[]} patterns - The statement patterns of the `WHERE` clause.
+ * @returns {String} The operation.
+ */
+function patternOperation (templates, patterns) {
+  return [
+    ...Object.keys(templates).map(keyword => dataOperation(keyword, templates[keyword])),
+    `WHERE {\n${indent(patterns, '  ')}}`
+  ]
+    .filter(clause => clause.length > 0)
+    .join('\n')
+}
+
+/**
+ * Joins SPARQL Update operations into one document.  Empty operations are left
+ * out.
+ *
+ * @param {String[]} operations - The operations.
+ * @returns {String} The document.
+ */
+function joinOperations (operations) {
+  return operations
+    .filter(operation => operation.length > 0)
+    .join(' ;\n')
+}
+
+/**
+ * Assigns a variable to each existing blank node of a diff, in order of
+ * appearance.
+ *
+ * @param {String[]} statements - The N-Triples statements which involve
+ * existing blank nodes.
+ * @param {String[]} nodes - Other existing blank nodes, as N-Triples terms.
+ * @returns {Map} A mapping from N-Triples blank nodes to variables.
+ */
+function blankNodeVariables (statements, nodes) {
+  return statements
+    .reduce((terms, statement) => [...terms, ...statementTerms(statement)], [])
+    .concat(nodes)
+    .filter(isBlankNodeNT)
+    .reduce((variables, node) => {
+      return variables.has(node)
+        ? variables
+        : new Map([...variables, [node, `?b${variables.size}`]])
+    }, new Map())
+}
+
+/**
+ * Replaces the existing blank nodes of an N-Triples statement with their
+ * variables.  Other blank nodes are new, and kept.
+ *
+ * @param {String} statement - The N-Triples statement.
+ * @param {Map} variables - The variables of the existing blank nodes.
+ * @returns {String} The statement pattern.
+ */
+function bindStatement (statement, variables) {
+  const terms = statementTerms(statement).map(term => variables.get(term) || term)
+  return `${terms.join(' ')} .`
+}
+
+/**
+ * Determines whether an N-Triples statement involves blank nodes.
+ *
+ * @param {String} statement - The N-Triples statement.
+ * @returns {Boolean} true if its subject or object is a blank node.
+ */
+function hasBlankNode (statement) {
+  return statementTerms(statement).some(isBlankNodeNT)
+}
+
+/**
+ * Splits an N-Triples statement into its subject, predicate and object.
+ * Subjects and predicates never contain spaces, whereas literal objects may.
+ *
+ * @param {String} statement - The N-Triples statement, ending in ' .'.
+ * @returns {String[]} The three terms.
+ */
+function statementTerms (statement) {
+  const subjectEnd = statement.indexOf(' ')
+  const predicateEnd = statement.indexOf(' ', subjectEnd + 1)
+  return [
+    statement.slice(0, subjectEnd),
+    statement.slice(subjectEnd + 1, predicateEnd),
+    statement.slice(predicateEnd + 1, statement.lastIndexOf(' .'))
+  ]
+}
+
+/**
+ * Determines whether an N-Triples term is a blank node.
+ *
+ * @param {String} term - The N-Triples term.
+ * @returns {Boolean} true if the term is a blank node.
+ */
+function isBlankNodeNT (term) {
+  return term.startsWith('_:')
+}
+
+/**
+ * Removes repeated statements.
+ *
+ * @param {String[]} statements - The statements.
+ * @returns {String[]} The statements, each once.
+ */
+function unique (statements) {
+  return statements.filter((statement, index) => statements.indexOf(statement) === index)
+}
+
+/**
+ * Serializes an N3 Patch formula as a property of the patch resource.
+ *
+ * @param {String} property - The patch property, e.g. 'solid:inserts'.
+ * @param {String[]} statements - The N-Triples statements of the formula.
+ * @returns {String} The property and formula, or an empty string if there are
+ * no statements.
+ */
+function formula (property, statements) {
+  if (statements.length === 0) {
+    return ''
+  }
+  return `  ${property} {\n${indent(statements, '    ')}  }`
+}
+
+/**
+ * Puts statements on indented lines of their own.
+ *
+ * @param {String[]} statements - The statements.
+ * @param {String} indentation - The indentation of each line.
+ * @returns {String} The lines, each ending in a newline.
+ */
+function indent (statements, indentation) {
+  return statements.map(statement => `${indentation}${statement}\n`).join('')
+}
@@ -0,0 +1,204 @@
+import { graphURI, termToNT } from './adapter'
+
+const rdfType = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type'
+
+// Conventional prefixes for common vocabularies.  Other namespaces get a
+// prefix derived from their URI.
+const wellKnownPrefixes = {
+  'http://www.w3.org/1999/02/22-rdf-syntax-ns#': 'rdf',
+  'http://www.w3.org/2000/01/rdf-schema#': 'rdfs',
+  'http://www.w3.org/2001/XMLSchema#': 'xsd',
+  'http://www.w3.org/2002/07/owl#': 'owl',
+  'http://xmlns.com/foaf/0.1/': 'foaf',
+  'http://purl.org/dc/terms/': 'dcterms',
+  'http://www.w3.org/2006/vcard/ns#': 'vcard',
+  'http://www.w3.org/ns/ldp#': 'ldp',
+  'http://www.w3.org/ns/pim/space#': 'pim',
+  'http://www.w3.org/ns/solid/terms#': 'solid',
+  'http://schema.org/': 'schema'
+}
+
+/**
+ * Chooses prefixes for the namespaces of some URIs, e.g. the predicates and
+ * datatypes of a field map.  Common vocabularies get their conventional
+ * prefixes, and other namespaces get the last word of their URI, e.g. 'space'
+ * for 'http://www.w3.org/ns/pim/space#'.
+ *
+ * @param {String[]} uris - The URIs.
+ * @returns {Object} A mapping from prefixes to namespace URIs.
+ */
+export function derivePrefixes (uris) {
+  return uris
+    .map(namespaceOf)
+    .filter((namespace, index, namespaces) => {
+      return namespace.length > 0 && namespaces.indexOf(namespace) === index
+    })
+    .reduce((prefixes, namespace) => {
+      const name = wellKnownPrefixes[namespace] || prefixNameFor(namespace)
+      let prefix = name
+      for (let suffix = 1; prefixes.hasOwnProperty(prefix); suffix++) {
+        prefix = `${name}${suffix}`
+      }
+      return {...prefixes, [prefix]: namespace}
+    }, {})
+}
+
+/**
+ * Serializes sections of RDF quads as a Turtle document.  Each section starts
+ * with a comment holding its title, and its statements are grouped by
+ * subject.  Graphs aren't part of Turtle, so sections are how callers tell
+ * named graphs apart.
+ *
+ * @param {Object[]} sections - The sections, each with a `title` and `quads`.
+ * @param {Object} prefixes - A mapping from prefixes to namespace URIs.
+ * @returns {String} The Turtle document, or an empty string if there are no
+ * quads.
+ */
+export function turtle (sections, prefixes) {
+  const nonEmptySections = sections.filter(section => section.quads.length > 0)
+  if (nonEmptySections.length === 0) {
+    return ''
+  }
+  const namespaces = Object.keys(prefixes)
+    .sort()
+    .map(prefix => `@prefix ${prefix}: <${prefixes[prefix]}> .\n`)
+    .join('')
+  const body = nonEmptySections
+    .map(section => `# ${section.title}\n${turtleStatements(section.quads, prefixes)}`)
+    .join('\n')
+  return namespaces.length > 0
+    ? `${namespaces}\n${body}`
+    : body
+}
+
+/**
+ * Serializes sections of RDF quads as an N-Quads document.  Each section
+ * starts with a comment holding its title, if it has one.
+ *
+ * @param {Object[]} sections - The sections, each with an optional `title`
+ * and `quads`.
+ * @returns {String} The N-Quads document, or an empty string if there are no
+ * quads.
+ */
+export function nQuads (sections) {
+  return sections
+    .filter(section => section.quads.length > 0)
+    .map(section => {
+      const lines = section.quads.map(quad => `${nQuad(quad)}\n`).join('')
+      return section.title
+        ? `# ${section.title}\n${lines}`
+        : lines
+    })
+    .join('')
+}
+
+/**
+ * Serializes RDF quads as Turtle statements grouped by subject, in the order
+ * in which their subjects first appear.
+ *
+ * @param {Object[]} quads - The RDF quads.
+ * @param {Object} prefixes - A mapping from prefixes to namespace URIs.
+ * @returns {String} The statements, each ending in a newline.
+ */
+function turtleStatements (quads, prefixes) {
+  const subjects = []
+  const predicateObjects = {}
+  quads.forEach(quad => {
+    const subject = turtleTerm(quad.subject, prefixes)
+    if (!predicateObjects.hasOwnProperty(subject)) {
+      subjects.push(subject)
+      predicateObjects[subject] = []
+    }
+    const predicate = quad.predicate.value === rdfType
+      ? 'a'
+      : turtleTerm(quad.predicate, prefixes)
+    predicateObjects[subject].push(`    ${predicate} ${turtleTerm(quad.object, prefixes)}`)
+  })
+  return subjects
+    .map(subject => `${subject}\n${predicateObjects[subject].join(' ;\n')} .\n`)
+    .join('')
+}
+
+/**
+ * Serializes an RDF term in Turtle syntax, using a prefixed name for named
+ * nodes and datatypes when one of the prefixes matches.
+ *
+ * @param {Object} term - The RDF term.
+ * @param {Object} prefixes - A mapping from prefixes to namespace URIs.
+ * @returns {String} The Turtle representation of the term.
+ */
+function turtleTerm (term, prefixes) {
+  if (term.termType === 'NamedNode') {
+    return prefixedName(term.value, prefixes) || termToNT(term)
+  }
+  const nt = termToNT(term)
+  if (term.termType !== 'Literal' || term.language || !term.datatype) {
+    return nt
+  }
+  const datatypeNT = termToNT(term.datatype)
+  const datatype = prefixedName(term.datatype.value, prefixes)
+  return datatype && nt.endsWith(`^^${datatypeNT}`)
+    ? `${nt.slice(0, nt.length - datatypeNT.length)}${datatype}`
+    : nt
+}
+
+/**
+ * Abbreviates a URI as a prefixed name.
+ *
+ * @param {String} uri - The URI.
+ * @param {Object} prefixes - A mapping from prefixes to namespace URIs.
+ * @returns {String|null} The prefixed name, or null if no prefix matches or
+ * the rest of the URI can't be written as a local name.
+ */
+function prefixedName (uri, prefixes) {
+  const prefix = Object.keys(prefixes).find(prefix => {
+    const namespace = prefixes[prefix]
+    return uri.startsWith(namespace) &&
+      /^[A-Za-z_][A-Za-z0-9_-]*$/.test(uri.slice(namespace.length))
+  })
+  return prefix
+    ? `${prefix}:${uri.slice(prefixes[prefix].length)}`
+    : null
+}
+
+/**
+ * Serializes an RDF quad as an N-Quads statement.  Quads in the default graph
+ * are written as triples.
+ *
+ * @param {Object} quad - The RDF quad.
+ * @returns {String} The N-Quads statement.
+ */
+function nQuad (quad) {
+  const terms = [quad.subject, quad.predicate, quad.object].map(termToNT)
+  const graph = graphURI(quad)
+  return graph
+    ? `${terms.join(' ')} ${termToNT(quad.graph)} .`
+    : `${terms.join(' ')} .`
+}
+
+/**
+ * Splits the namespace off a URI, i.e. everything up to its last '#' or '/'.
+ *
+ * @param {String} uri - The URI.
+ * @returns {String} The namespace, or an empty string if there is none.
+ */
+function namespaceOf (uri) {
+  return uri.slice(0, Math.max(uri.lastIndexOf('#'), uri.lastIndexOf('/')) + 1)
+}
+
+/**
+ * Derives a prefix from the last word of a namespace URI's path, or else from
+ * its host name.
+ *
+ * @param {String} namespace - The namespace URI.
+ * @returns {String} The prefix.
+ */
+function prefixNameFor (namespace) {
+  const [, host = '', path = ''] = /^[a-z][a-z0-9+.-]*:\/\/([^/]*)(.*)$/i.exec(namespace) || []
+  const words = [
+    ...path.split(/[/#]/).reverse(),
+    ...host.split('.').slice(0, -1).reverse().filter(label => label !== 'www')
+  ]
+  const word = words.find(word => /^[A-Za-z][A-Za-z0-9_-]*$/.test(word))
+  return word ? word.toLowerCase() : 'ns'
+}
@@ -0,0 +1,112 @@
+import { toAdapter } from './adapter'
+import { modelFactory } from './model'
+
+const SHACL = 'http://www.w3.org/ns/shacl#'
+
+// Maps SHACL node kinds to the RDF term types allowed by them
+const nodeKinds = {
+  [`${SHACL}IRI`]: 'NamedNode',
+  [`${SHACL}Literal`]: 'Literal',
+  [`${SHACL}BlankNode`]: 'BlankNode',
+  [`${SHACL}BlankNodeOrIRI`]: ['BlankNode', 'NamedNode'],
+  [`${SHACL}BlankNodeOrLiteral`]: ['BlankNode', 'Literal'],
+  [`${SHACL}IRIOrLiteral`]: ['NamedNode', 'Literal']
+}
+
+/**
+ * Generates a model factory from a SHACL node shape.
+ *
+ * @param {Object} rdf - An RDF adapter or library.
+ * @param {Object} graph - An RDF graph containing the shape.
+ * @param {String|NamedNode} shape - The node shape.
+ * @returns {Function} A model factory, as returned by `modelFactory`.
+ */
+export function shapeModelFactory (rdf, graph, shape) {
+  return modelFactory(rdf, shapeFieldMap(rdf, graph, shape))
+}
+
+/**
+ * Reads the property shapes of a SHACL node shape into a field map which can
+ * be passed to `modelFactory`.  Each property shape becomes a field spec keyed
+ * by the local name of its `sh:path`:
+ *   - `sh:path` becomes the predicate.
+ *   - `sh:datatype` becomes the datatype.
+ *   - `sh:nodeKind` becomes the node kind, and `sh:IRI` fields are NamedNodes.
+ *   - `sh:minCount`, `sh:maxCount` and `sh:pattern` (with `sh:flags`) become
+ *     the corresponding constraints.
+ *
+ * @param {Object} rdf - An RDF adapter or library.
+ * @param {Object} graph - An RDF graph containing the shape.
+ * @param {String|NamedNode} shape - The node shape.
+ * @returns {Object} The field map.
+ * @throws {Error} If a property shape's path isn't a single predicate, or two
+ * property shapes would share a key.
+ */
+export function shapeFieldMap (rdf, graph, shape) {
+  const adapter = toAdapter(rdf)
+  const sh = name => adapter.namedNode(`${SHACL}${name}`)
+  const shapeNode = adapter.namedNode(shape)
+  return adapter
+    .match(graph, shapeNode, sh('property'))
+    .map(quad => quad.object)
+    .reduce((fieldMap, propertyShape) => {
+      const value = name => objectOf(adapter, graph, propertyShape, sh(name))
+      const path = value('path')
+      if (!path || path.termType !== 'NamedNode') {
+        throw new Error(`Unsupported sh:path for property shape of [${shapeNode.value}].`)
+      }
+      const key = localName(path.value)
+      if (fieldMap[key]) {
+        throw new Error(`Duplicate key [${key}] in shape [${shapeNode.value}].`)
+      }
+      const spec = {predicate: path}
+      const datatype = value('datatype')
+      if (datatype) {
+        spec.datatype = datatype
+      }
+      const nodeKind = value('nodeKind')
+      if (nodeKind) {
+        spec.nodeKind = nodeKinds[nodeKind.value]
+        spec.namedNode = spec.nodeKind === 'NamedNode'
+      }
+      const minCount = value('minCount')
+      if (minCount) {
+        spec.minCount = Number.parseInt(minCount.value)
+      }
+      const maxCount = value('maxCount')
+      if (maxCount) {
+        spec.maxCount = Number.parseInt(maxCount.value)
+      }
+      const pattern = value('pattern')
+      if (pattern) {
+        const flags = value('flags')
+        spec.pattern = new RegExp(pattern.value, flags ? flags.value : '')
+      }
+      return {...fieldMap, [key]: spec}
+    }, {})
+}
+
+/**
+ * Finds the object of the first quad matching a subject and predicate.
+ *
+ * @param {Adapter} adapter - The RDF adapter.
+ * @param {Object} graph - An RDF graph.
+ * @param {Object} subject - The subject node.
+ * @param {Object} predicate - The predicate node.
+ * @returns {Object|undefined} The object node, or undefined if there's none.
+ */
+function objectOf (adapter, graph, subject, predicate) {
+  const quad = adapter.match(graph, subject, predicate)[0]
+  return quad ? quad.object : undefined
+}
+
+/**
+ * Extracts the local name of a URI, which is the part after the last '#' or
+ * '/'.
+ *
+ * @param {String} uri - The URI.
+ * @returns {String} The local name.
+ */
+function localName (uri) {
+  return uri.split(/[#/]/).pop()
+}
@@ -7,3 +7,58 @@
 export function isDefined (value) {
   return typeof value !== 'undefined'
 }
+
+/**
+ * Determines whether two native JS field values are the same.  Dates are
+ * compared by their time values, the arrays of list fields item by item and
+ * the objects of compound fields property by property.
+ *
+ * @param a - A value.
+ * @param b - Another value.
+ * @returns {Boolean} true if the values are the same, false otherwise.
+ */
+export function isSameValue (a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isSameValue(item, b[index]))
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a)
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => b.hasOwnProperty(key) && isSameValue(a[key], b[key]))
+  }
+  return a instanceof Date && b instanceof Date
+    ? a.getTime() === b.getTime()
+    : a === b
+}
+
+/**
+ * Returns the value of an RDF term, or the string itself for strings.
+ *
+ * @param {String|Object} term - An RDF term or a string.
+ * @returns {String} The value.
+ */
+export function termValue (term) {
+  return typeof term === 'string' ? term : term.value
+}
+
+/**
+ * Determines whether a value is a plain object, e.g. the value of a compound
+ * field, rather than an array, a date or another class instance.
+ *
+ * @param value - The value to test.
+ * @returns {Boolean} true if the value is a plain object.
+ */
+export function isPlainObject (value) {
+  return value !== null && typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype
+}
+
+/**
+ * Determines whether a value is an RDF blank node.
+ *
+ * @param value - The value to test.
+ * @returns {Boolean} true if the value is a blank node.
+ */
+export function isBlankNode (value) {
+  return Boolean(value) && value.termType === 'BlankNode'
+}
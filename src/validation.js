@@ -0,0 +1,96 @@
+import { isDefined } from './util'
+
+/**
+ * A validation error describes a way in which the fields for a key break the
+ * constraints declared in that key's field spec.
+ *
+ * @typedef {Object} ValidationError
+ * @property {String} rule - The name of the broken constraint, e.g. 'maxCount'.
+ * @property {String} message - A human-readable description of the error.
+ * @property {Field=} field - The offending field, for constraints on
+ * individual values.
+ * @property {Object=} errors - The validation errors of a nested model, for
+ * errors with the 'model' rule.
+ */
+
+/**
+ * Checks the fields for one key against the constraints declared in its field
+ * spec.  The following spec properties are constraints:
+ *   - `required`: whether at least one value must exist.
+ *   - `minCount` / `maxCount`: the minimum and maximum number of values.
+ *   - `nodeKind`: the RDF term type of every value ('NamedNode' or 'Literal'),
+ *     or an array of allowed term types.
+ *   - `pattern`: a RegExp (or source string) which every value must match, as
+ *     it's written to RDF.
+ *   - `validate`: a function of a value and its field returning `true` for
+ *     valid values, and either `false` or an error message otherwise.
+ *
+ * @param {Field[]} fields - The fields for a key.
+ * @param {Object} spec - The field spec for that key.
+ * @returns {ValidationError[]} The validation errors, which is empty if the
+ * fields are valid.
+ */
+export function validateFields (fields, spec) {
+  const minCount = isDefined(spec.minCount)
+    ? spec.minCount
+    : spec.required ? 1 : 0
+  const errors = []
+  if (fields.length < minCount) {
+    errors.push({
+      rule: spec.required && !isDefined(spec.minCount) ? 'required' : 'minCount',
+      message: `Expected at least ${minCount} value(s) but found ${fields.length}.`
+    })
+  }
+  if (isDefined(spec.maxCount) && fields.length > spec.maxCount) {
+    errors.push({
+      rule: 'maxCount',
+      message: `Expected at most ${spec.maxCount} value(s) but found ${fields.length}.`
+    })
+  }
+  return fields.reduce(
+    (errors, field) => [...errors, ...validateField(field, spec)], errors
+  )
+}
+
+/**
+ * Checks a single field against the value constraints in a field spec.
+ *
+ * @param {Field} field - The field to check.
+ * @param {Object} spec - The field spec.
+ * @returns {ValidationError[]} The validation errors for the field.
+ */
+function validateField (field, spec) {
+  const errors = []
+  const value = field.value
+  const lexicalValue = field.relation && isDefined(value.subject)
+    ? value.subject.value
+    : `${isDefined(field.serialize) ? field.serialize(value) : value}`
+  const nodeKinds = [].concat(spec.nodeKind)
+  if (isDefined(spec.nodeKind) && nodeKinds.indexOf(field.termType()) < 0) {
+    errors.push({
+      rule: 'nodeKind',
+      message: `Expected a ${nodeKinds.join(' or ')} but found a ${field.termType()} for value [${lexicalValue}].`,
+      field
+    })
+  }
+  if (isDefined(spec.pattern) && !new RegExp(spec.pattern).test(lexicalValue)) {
+    errors.push({
+      rule: 'pattern',
+      message: `Value [${lexicalValue}] does not match pattern ${new RegExp(spec.pattern)}.`,
+      field
+    })
+  }
+  if (isDefined(spec.validate)) {
+    const result = spec.validate(value, field)
+    if (result !== true) {
+      errors.push({
+        rule: 'validate',
+        message: typeof result === 'string'
+          ? result
+          : `Value [${lexicalValue}] is invalid.`,
+        field
+      })
+    }
+  }
+  return errors
+}
@@ -0,0 +1,126 @@
+/* global describe, it */
+import expect from 'expect'
+import { DataFactory, Parser, Store } from 'n3'
+import rdflib from 'rdflib'
+
+import { graphURI, quadEquals, quadToNT, termToNT, toAdapter } from '../src/adapter'
+import { RDF, rdfLibraries, XSD } from './rdf'
+
+describe('Adapters', () => {
+  describe('toAdapter', () => {
+    it('returns adapters as-is', () => {
+      const [{ rdf }] = rdfLibraries
+      expect(toAdapter(rdf)).toBe(rdf)
+    })
+
+    it('creates one adapter per RDF library', () => {
+      const rdflibAdapter = toAdapter(rdflib)
+      expect(toAdapter(rdflib)).toBe(rdflibAdapter)
+      expect(rdflibAdapter.namedNode('https://example.com/#me'))
+        .toEqual(rdflib.NamedNode.fromValue('https://example.com/#me'))
+      const rdfjsAdapter = toAdapter(DataFactory)
+      expect(toAdapter(DataFactory)).toBe(rdfjsAdapter)
+      expect(rdfjsAdapter).toNotBe(rdflibAdapter)
+      expect(rdfjsAdapter.namedNode('https://example.com/#me'))
+        .toEqual(DataFactory.namedNode('https://example.com/#me'))
+    })
+  })
+
+  rdfLibraries.forEach(({name, rdf, graph, parse}) => describe(`for ${name}`, () => {
+    const subject = rdf.namedNode('https://example.com/#me')
+    const predicate = rdf.namedNode('http://xmlns.com/foaf/0.1/name')
+    const namedGraph = rdf.namedNode('https://example.com/')
+
+    it('passes RDF terms through namedNode', () => {
+      expect(rdf.namedNode(subject)).toBe(subject)
+    })
+
+    it('treats xsd:string literals as plain literals', () => {
+      expect(rdf.literal('dan', rdf.namedNode(`${XSD}string`))).toEqual(rdf.literal('dan'))
+    })
+
+    it('creates quads in the default graph', () => {
+      const quad = rdf.quad(subject, predicate, rdf.literal('dan'))
+      expect(graphURI(quad)).toEqual('')
+      expect(graphURI(rdf.quad(subject, predicate, rdf.literal('dan'), namedGraph)))
+        .toEqual('https://example.com/')
+    })
+
+    it('matches quads in a graph', () => {
+      const g = graph()
+      const quad = rdf.quad(subject, predicate, rdf.literal('dan'), namedGraph)
+      const other = rdf.quad(
+        rdf.blankNode(), predicate, rdf.literal('alice'), namedGraph
+      )
+      g.add(quad)
+      g.add(other)
+      const matches = rdf.match(g, subject, predicate, undefined, undefined)
+      expect(matches.length).toBe(1)
+      expect(quadEquals(matches[0], quad)).toBe(true)
+    })
+
+    it('compares quads including their graphs', () => {
+      const quad = rdf.quad(subject, predicate, rdf.literal('dan'), namedGraph)
+      expect(quadEquals(quad, rdf.quad(subject, predicate, rdf.literal('dan'), namedGraph)))
+        .toBe(true)
+      expect(quadEquals(quad, rdf.quad(subject, predicate, rdf.literal('dan'))))
+        .toBe(false)
+      expect(quadEquals(quad, rdf.quad(subject, predicate, rdf.literal('dan', 'en'), namedGraph)))
+        .toBe(false)
+    })
+
+    it('serializes quads as N-Triples', () => {
+      const quad = rdf.quad(subject, predicate, rdf.literal('dan'), namedGraph)
+      expect(quadToNT(quad))
+        .toEqual('<https://example.com/#me> <http://xmlns.com/foaf/0.1/name> "dan" .')
+    })
+
+    it('serializes terms as N-Triples', () => {
+      expect(termToNT(subject)).toEqual('<https://example.com/#me>')
+      expect(termToNT(rdf.namedNode('https://example.com/a b>')))
+        .toEqual('<https://example.com/a\\u0020b\\u003E>')
+      expect(termToNT(rdf.blankNode('b0'))).toEqual('_:b0')
+      expect(termToNT(rdf.literal('Daniel', 'de'))).toEqual('"Daniel"@de')
+      expect(termToNT(rdf.literal('24', rdf.namedNode(`${XSD}integer`))))
+        .toEqual(`"24"^^<${XSD}integer>`)
+      expect(termToNT(rdf.literal('say "hi"\\\n\r')))
+        .toEqual('"say \\"hi\\"\\\\\\n\\r"')
+    })
+
+    it('serializes parsed blank nodes with valid labels', () => {
+      const store = parse('<#me> <#home> [ <#city> "Paris" ] .', 'https://example.com/')
+      const [quad] = rdf.match(store, undefined, rdf.namedNode('https://example.com/#city'))
+      const node = termToNT(quad.subject)
+      expect(node).toMatch(/^_:[A-Za-z0-9_]([A-Za-z0-9_.-]*[A-Za-z0-9_-])?$/)
+      expect(new Parser().parse(`${node} <https://example.com/#city> "Paris" .`).length)
+        .toEqual(1)
+    })
+  }))
+
+  it('expands rdflib.js collections into RDF lists', () => {
+    const rdf = toAdapter(rdflib)
+    const graph = rdflib.graph()
+    rdflib.parse('<#me> <#likes> ( "tea" ( "cake" ) ) .', graph, 'https://example.com/', 'text/turtle')
+    const [quad] = rdf.match(graph, undefined, rdf.namedNode('https://example.com/#likes'))
+    const head = quad.object
+    expect(head.termType).toEqual('BlankNode')
+    expect(rdf.match(graph).length).toEqual(7)
+    const [first, rest] = rdf.match(graph, head)
+    expect(quadToNT(first)).toEqual(`${termToNT(head)} <${RDF}first> "tea" .`)
+    expect(rdf.match(graph, rest.object, rdf.namedNode(`${RDF}first`))[0].object.termType)
+      .toEqual('BlankNode')
+    expect(rdf.match(graph, undefined, undefined, head)).toEqual([quad])
+    expect(rdf.match(graph, undefined, rdf.namedNode('https://example.com/#likes'))[0].object).toBe(head)
+  })
+
+  it('works with RDFJS datasets', () => {
+    const rdf = toAdapter(DataFactory)
+    const store = new Store()
+    store.addQuad(DataFactory.quad(
+      DataFactory.namedNode('https://example.com/#me'),
+      DataFactory.namedNode('http://xmlns.com/foaf/0.1/name'),
+      DataFactory.literal('dan')
+    ))
+    expect(rdf.match(store).map(graphURI)).toEqual([''])
+  })
+})
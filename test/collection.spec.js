@@ -0,0 +1,164 @@
+/* global beforeEach, describe, it */
+import expect from 'expect'
+import { spy } from 'sinon'
+
+import { Collection } from '../src/collection'
+import { modelFactory } from '../src/model'
+import { FOAF, rdfLibraries, VCARD, vocabulary } from './rdf'
+
+rdfLibraries.forEach(({name, rdf, parse}) => describe(`Collection with ${name}`, () => {
+  const vocab = vocabulary(rdf)
+  const bookURI = 'https://example.com/contacts/book'
+  const otherURI = 'https://example.com/contacts/other'
+  const uri = fragment => `${bookURI}#${fragment}`
+
+  let graph
+  let contactModel
+
+  beforeEach(() => {
+    const book = `
+      @prefix vcard: <http://www.w3.org/2006/vcard/ns#> .
+      <#carol> a vcard:Individual ;
+          <http://xmlns.com/foaf/0.1/name> "Carol" ;
+          <http://xmlns.com/foaf/0.1/knows> <#alice> .
+      <#alice> a vcard:Individual ;
+          <http://xmlns.com/foaf/0.1/name> "Alice" .
+      <#bob> a vcard:Individual ;
+          <http://xmlns.com/foaf/0.1/name> "Bob" ;
+          <http://xmlns.com/foaf/0.1/knows> <#alice> .
+      <#team> a vcard:Group ;
+          <http://xmlns.com/foaf/0.1/name> "Team" .
+      [] a vcard:Individual .
+    `
+    graph = parse(book, bookURI)
+    contactModel = modelFactory(rdf, {
+      name: vocab.foaf('name'),
+      friends: vocab.foaf('knows')
+    })
+  })
+
+  it('builds models for every subject of a type', () => {
+    const contacts = contactModel.all(graph, bookURI, {type: `${VCARD}Individual`})
+    expect(contacts).toBeA(Collection)
+    expect(contacts.length).toBe(3)
+    expect(contacts.models.map(model => model.any('name'))).toEqual(['Alice', 'Bob', 'Carol'])
+    expect(contacts.get(1).subject.value).toEqual(uri('bob'))
+    expect(contacts.get(3)).toBe(undefined)
+    expect(contacts.toArray()).toEqual(contacts.models)
+    expect(contactModel.all(graph, bookURI, {type: rdf.namedNode(`${VCARD}Group`)}).length).toBe(1)
+  })
+
+  it('builds models for every subject matching a pattern', () => {
+    const knowsAlice = contactModel.all(graph, bookURI, {
+      predicate: vocab.foaf('knows'),
+      object: uri('alice')
+    })
+    expect(knowsAlice.models.map(model => model.any('name'))).toEqual(['Bob', 'Carol'])
+    const named = contactModel.all(graph, bookURI, {predicate: `${FOAF}name`, object: rdf.literal('Team')})
+    expect(named.models.map(model => model.subject.value)).toEqual([uri('team')])
+    expect(contactModel.all(graph, bookURI).length).toBe(4)
+  })
+
+  it('passes versions on to every model', () => {
+    const versions = {[bookURI]: '"v1"'}
+    const contacts = contactModel.all(graph, bookURI, {type: `${VCARD}Individual`, versions})
+    expect(contacts.models.every(model => model.versions === versions)).toBe(true)
+  })
+
+  it('filters, sorts and finds models', () => {
+    const contacts = contactModel.all(graph, bookURI, {type: `${VCARD}Individual`})
+    const byNameDescending = (a, b) => b.any('name').localeCompare(a.any('name'))
+    expect(contacts.sort(byNameDescending).models.map(model => model.any('name')))
+      .toEqual(['Carol', 'Bob', 'Alice'])
+    expect(contacts.models.map(model => model.any('name'))).toEqual(['Alice', 'Bob', 'Carol'])
+    expect(contacts.filter(model => model.get('friends').length > 0).length).toBe(2)
+    expect(contacts.find(model => model.any('name') === 'Bob')).toBe(contacts.get(1))
+    expect(contacts.bySubject(uri('carol'))).toBe(contacts.get(2))
+    expect(contacts.bySubject(uri('dave'))).toBe(undefined)
+    expect(() => { contacts.models = [] }).toThrow()
+  })
+
+  it('edits and replaces models', () => {
+    const contacts = contactModel.all(graph, bookURI, {type: `${VCARD}Individual`})
+    const renamed = contacts.map(model => model.setAny('name', model.any('name').toUpperCase()))
+    expect(renamed.models.map(model => model.any('name'))).toEqual(['ALICE', 'BOB', 'CAROL'])
+    const bob = contacts.get(1)
+    const replaced = contacts.replace(bob, bob.setAny('name', 'Robert'))
+    expect(replaced.models.map(model => model.any('name'))).toEqual(['Alice', 'Robert', 'Carol'])
+    expect(contacts.replace(renamed.get(0), bob)).toBe(contacts)
+  })
+
+  it('combines the diffs of every model', () => {
+    const contacts = contactModel.all(graph, bookURI, {type: `${VCARD}Individual`})
+    const befriended = contacts.map(model => model.add('friends', uri('team'), {namedNode: true}))
+    const alice = befriended.get(0)
+    const updated = befriended.replace(alice, alice.add('name', 'Al', {namedGraph: otherURI}))
+    expect(contacts.diff(rdf)).toEqual({})
+    expect(updated.diff(rdf)).toEqual({
+      [bookURI]: {
+        toDel: [],
+        toIns: [
+          `<${uri('alice')}> <${FOAF}knows> <${uri('team')}> .`,
+          `<${uri('bob')}> <${FOAF}knows> <${uri('team')}> .`,
+          `<${uri('carol')}> <${FOAF}knows> <${uri('team')}> .`
+        ]
+      },
+      [otherURI]: {toDel: [], toIns: [`<${uri('alice')}> <${FOAF}name> "Al" .`]}
+    })
+  })
+
+  describe('saving', () => {
+    it('patches each resource once', () => {
+      const patch = spy(url => Promise.resolve({url}))
+      const contacts = contactModel.all(graph, bookURI, {type: `${VCARD}Individual`})
+      return contacts
+        .map(model => model.setAny('name', `${model.any('name')}!`))
+        .save(rdf, {patch})
+        .then(saved => {
+          expect(patch.callCount).toBe(1)
+          expect(patch.args[0][0]).toEqual(bookURI)
+          expect(patch.args[0][1].length).toBe(3)
+          expect(patch.args[0][2].length).toBe(3)
+          expect(saved).toBeA(Collection)
+          expect(saved.diff(rdf)).toEqual({})
+          expect(saved.models.map(model => model.any('name'))).toEqual(['Alice!', 'Bob!', 'Carol!'])
+          expect(saved.get(0).attempts).toEqual({[bookURI]: [{succeeded: true, status: undefined}]})
+        })
+    })
+
+    it('reports failures with the updated collection', () => {
+      const patch = url => url === otherURI ? Promise.reject({status: 500}) : Promise.resolve({url})
+      const contacts = contactModel.all(graph, bookURI, {type: `${VCARD}Individual`})
+      return contacts
+        .replace(contacts.get(0), contacts.get(0).add('name', 'Al', {namedGraph: otherURI}))
+        .replace(contacts.get(1), contacts.get(1).setAny('name', 'Robert'))
+        .save(rdf, {patch})
+        .then(() => { throw new Error('Expected the save to fail') }, err => {
+          expect(err.failedURIs).toEqual(new Set([otherURI]))
+          expect(err.collection).toBeA(Collection)
+          expect(err.models).toBe(undefined)
+          expect(err.collection.diff(rdf)).toEqual({
+            [otherURI]: {toDel: [], toIns: [`<${uri('alice')}> <${FOAF}name> "Al" .`]}
+          })
+        })
+    })
+
+    it('can refuse to save invalid collections', () => {
+      const patch = spy(url => Promise.resolve({url}))
+      const strictModel = modelFactory(rdf, {name: {predicate: vocab.foaf('name'), maxCount: 1}})
+      const contacts = strictModel.all(graph, bookURI, {type: `${VCARD}Individual`})
+      const invalid = contacts.map(model => model.any('name') === 'Bob' ? model.add('name', 'Robert') : model)
+      return invalid
+        .save(rdf, {patch}, {validate: true})
+        .then(() => { throw new Error('Expected the save to fail') }, err => {
+          expect(patch.called).toBe(false)
+          expect(err.collection).toBe(invalid)
+          expect(Object.keys(err.validationErrors)).toEqual([uri('bob')])
+          return contacts.save(rdf, {patch}, {validate: true})
+        })
+        .then(saved => {
+          expect(saved.models).toEqual(contacts.models)
+        })
+    })
+  })
+}))
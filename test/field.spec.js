@@ -1,18 +1,16 @@
 /* global describe, it */
 import expect from 'expect'
-import rdf from 'rdflib'
-import solidNs from 'solid-namespace'
 
 import { fieldFactory, Field } from '../src/field'
+import { rdfLibraries, vocabulary } from './rdf'
 
-const vocab = solidNs(rdf)
-
-describe('Field', () => {
+rdfLibraries.forEach(({name: libraryName, rdf}) => describe(`Field with ${libraryName}`, () => {
+  const vocab = vocabulary(rdf)
   const namedGraph = 'https://example.com/resource'
   const name = fieldFactory(vocab.foaf('name'))
   const age = fieldFactory(vocab.foaf('age'))
-  const hasRead = fieldFactory(rdf.NamedNode.fromValue('http://www.w3.org/ns/solid/terms#read'))
-  const date = fieldFactory(rdf.NamedNode.fromValue('http://purl.org/dc/terms/date'))
+  const hasRead = fieldFactory(rdf.namedNode('http://www.w3.org/ns/solid/terms#read'))
+  const date = fieldFactory(rdf.namedNode('http://purl.org/dc/terms/date'))
 
   describe('raw constructor', () => {
     it('requires a predicate, source config, and either a value or an originalObject', () => {
@@ -29,7 +27,7 @@ describe('Field', () => {
           predicate,
           originalNamedGraph: namedGraph,
           originalObject:
-          rdf.Literal.fromValue('dan')
+          rdf.literal('dan')
         })
       ).toNotThrow()
     })
@@ -41,9 +39,9 @@ describe('Field', () => {
 
   it('can track the original RDF object property', () => {
     const originalQuad = rdf.quad(
-      rdf.NamedNode.fromValue('https://example.com/profile#me'),
+      rdf.namedNode('https://example.com/profile#me'),
       vocab.foaf('name'),
-      rdf.Literal.fromValue('dan')
+      rdf.literal('dan')
     )
     const originalName = name.fromQuad(originalQuad)
     expect(originalName.value).toEqual('dan')
@@ -62,49 +60,172 @@ describe('Field', () => {
 
   it('can create a new field from its current state', () => {
     const quad = rdf.quad(
-      rdf.NamedNode.fromValue('https://example.com/profile#me'),
+      rdf.namedNode('https://example.com/profile#me'),
       vocab.foaf('name'),
-      rdf.Literal.fromValue('dan'),
-      rdf.NamedNode.fromValue(namedGraph)
+      rdf.literal('dan'),
+      rdf.namedNode(namedGraph)
     )
-    const newNamedGraph = rdf.NamedNode.fromValue('https://example.com/other-resource')
+    const newNamedGraph = rdf.namedNode('https://example.com/other-resource')
     const field = name.fromQuad(quad)
     const updatedField = field.set({value: 'bob', namedGraph: newNamedGraph})
     const fieldTrackingCurrentState = updatedField.fromCurrentState(rdf, quad.subject)
     expect(fieldTrackingCurrentState.originalObject).toEqual(
-      rdf.Literal.fromValue('bob')
+      rdf.literal('bob')
     )
     expect(fieldTrackingCurrentState.namedGraph).toEqual(newNamedGraph)
   })
 
+  it('keeps its id across edits', () => {
+    const quad = rdf.quad(
+      rdf.namedNode('https://example.com/profile#me'),
+      vocab.foaf('name'),
+      rdf.literal('dan'),
+      rdf.namedNode(namedGraph)
+    )
+    const field = name.fromQuad(quad)
+    const updatedField = field.set({value: 'bob'})
+    expect(updatedField.id).toEqual(field.id)
+    expect(updatedField.revert().id).toEqual(field.id)
+    expect(updatedField.fromCurrentState(rdf, quad.subject).id).toEqual(field.id)
+    expect(name.fromQuad(quad).id).toNotEqual(field.id)
+  })
+
+  describe('JSON', () => {
+    const subject = rdf.namedNode('https://example.com/profile#me')
+    const roundTrip = (fieldCreator, field) => {
+      return fieldCreator.fromJSON(JSON.parse(JSON.stringify(field)))
+    }
+
+    it('round-trips fields tracking an original quad', () => {
+      const jsonName = fieldFactory(vocab.foaf('name'), {rdf})
+      const quad = rdf.quad(subject, vocab.foaf('name'), rdf.literal('dan', 'en'), rdf.namedNode(namedGraph))
+      const field = jsonName.fromQuad(quad).set({value: 'bob', lang: ''})
+      const json = field.toJSON()
+      expect(json).toEqual({
+        id: field.id,
+        predicate: vocab.foaf('name').value,
+        namedGraph,
+        originalObject: {termType: 'Literal', value: 'dan', language: 'en'},
+        originalNamedGraph: namedGraph,
+        value: 'bob',
+        namedNode: false,
+        lang: ''
+      })
+      const hydratedField = roundTrip(jsonName, field)
+      expect(hydratedField.id).toEqual(field.id)
+      expect(hydratedField.originalQuad(rdf, subject)).toEqual(quad)
+      expect(hydratedField.toQuad(rdf, subject)).toEqual(field.toQuad(rdf, subject))
+    })
+
+    it('round-trips new fields, dates and datatypes', () => {
+      const jsonAge = fieldFactory(vocab.foaf('age'), {rdf, datatype: vocab.xsd('integer')})
+      const jsonDate = fieldFactory(rdf.namedNode('http://purl.org/dc/terms/date'), {rdf})
+      const ageQuad = rdf.quad(subject, vocab.foaf('age'), rdf.literal('24', vocab.xsd('integer')), rdf.namedNode(namedGraph))
+      const ageField = roundTrip(jsonAge, jsonAge.fromQuad(ageQuad))
+      expect(ageField.value).toBe(24)
+      expect(ageField.originalQuad(rdf, subject)).toEqual(ageQuad)
+      const dateField = roundTrip(jsonDate, jsonDate(new Date('2016-01-01T00:00:00Z'), namedGraph))
+      expect(dateField.isNew()).toBe(true)
+      expect(dateField.value).toBeA(Date)
+      expect(dateField.value.toISOString()).toEqual('2016-01-01T00:00:00.000Z')
+      const jsonKnows = fieldFactory(vocab.foaf('knows'), {rdf})
+      const knowsQuad = rdf.quad(subject, vocab.foaf('knows'), rdf.blankNode('friend'), rdf.namedNode(namedGraph))
+      const {termType, value} = roundTrip(jsonKnows, jsonKnows.fromQuad(knowsQuad)).originalObject
+      expect({termType, value}).toEqual({termType: 'BlankNode', value: 'friend'})
+    })
+
+    it('round-trips dates in list items and compound properties', () => {
+      const me = rdf.namedNode('https://example.com/profile#me')
+      const first = new Date('2016-01-01T00:00:00Z')
+      const second = new Date('2017-06-15T12:30:00Z')
+      const dates = fieldFactory(rdf.namedNode('https://example.com/terms#dates'), {list: true, rdf})
+      const list = dates([first, 'soon', second], namedGraph)
+      expect(list.toJSON().valueType).toEqual(['date', null, 'date'])
+      const listField = roundTrip(dates, list)
+      expect(listField.value).toEqual([first, 'soon', second])
+      expect(listField.value[0]).toBeA(Date)
+      expect(listField.toItems(rdf)).toEqual(list.toItems(rdf))
+      const compound = {
+        title: {predicate: rdf.namedNode('http://purl.org/dc/terms/title')},
+        dates: {predicate: rdf.namedNode('http://purl.org/dc/terms/date')}
+      }
+      const event = fieldFactory(rdf.namedNode('https://example.com/terms#event'), {compound, rdf})
+      const eventValue = {title: 'Launch', dates: [first, second]}
+      const compoundField = roundTrip(event, event(eventValue, namedGraph))
+      expect(compoundField.value).toEqual(eventValue)
+      expect(compoundField.value.dates[1]).toBeA(Date)
+      expect(compoundField.compoundQuads(rdf).map(quad => quad.object))
+        .toEqual(event(eventValue, namedGraph).compoundQuads(rdf).map(quad => quad.object))
+      expect(compoundField.toQuad(rdf, me).object.termType).toEqual('BlankNode')
+    })
+  })
+
+  describe('change tracking', () => {
+    const quad = rdf.quad(
+      rdf.namedNode('https://example.com/profile#me'),
+      vocab.foaf('name'),
+      rdf.literal('dan'),
+      rdf.namedNode(namedGraph)
+    )
+
+    it('knows whether it is new', () => {
+      expect(name('dan', namedGraph).isNew()).toBe(true)
+      expect(name.fromQuad(quad).isNew()).toBe(false)
+      expect(name.fromQuad(quad).set({value: 'bob'}).isNew()).toBe(false)
+    })
+
+    it('knows whether it has been modified', () => {
+      const field = name.fromQuad(quad)
+      expect(name('dan', namedGraph).isModified()).toBe(false)
+      expect(field.isModified()).toBe(false)
+      expect(field.set({value: 'bob'}).isModified()).toBe(true)
+      expect(field.set({value: 'bob'}).set({value: 'dan'}).isModified()).toBe(false)
+      expect(field.set({lang: 'en'}).isModified()).toBe(true)
+      expect(field.set({namedGraph: 'https://example.com/other-resource'}).isModified()).toBe(true)
+      expect(field.set({namedGraph: rdf.namedNode(namedGraph)}).isModified()).toBe(false)
+    })
+
+    it('can revert to its original state', () => {
+      const field = name.fromQuad(quad)
+      const revertedField = field
+        .set({value: 'bob', namedGraph: 'https://example.com/other-resource'})
+        .revert()
+      expect(revertedField.value).toEqual('dan')
+      expect(revertedField.isModified()).toBe(false)
+      expect(revertedField.toQuad(rdf, quad.subject)).toEqual(quad)
+      const newField = name('dan', namedGraph)
+      expect(newField.revert()).toBe(newField)
+    })
+  })
+
   describe('originalQuad', () => {
     it('returns the original quad that the field represents', () => {
       const quad = rdf.quad(
-        rdf.NamedNode.fromValue('https://example.com/profile#me'),
+        rdf.namedNode('https://example.com/profile#me'),
         vocab.foaf('name'),
-        rdf.Literal.fromValue('dan'),
-        rdf.NamedNode.fromValue(namedGraph)
+        rdf.literal('dan'),
+        rdf.namedNode(namedGraph)
       )
       expect(name.fromQuad(quad).originalQuad(rdf, quad.subject)).toEqual(quad)
     })
 
     it('returns a quad with no graph URI for quads without a source', () => {
       const quad = rdf.quad(
-        rdf.NamedNode.fromValue('https://example.com/profile#me'),
+        rdf.namedNode('https://example.com/profile#me'),
         vocab.foaf('name'),
-        rdf.Literal.fromValue('dan')
+        rdf.literal('dan')
       )
       expect(name.fromQuad(quad).originalQuad(rdf, quad.subject)).toEqual(
         rdf.quad(
-          rdf.NamedNode.fromValue('https://example.com/profile#me'),
+          rdf.namedNode('https://example.com/profile#me'),
           vocab.foaf('name'),
-          rdf.Literal.fromValue('dan')
+          rdf.literal('dan')
         )
       )
     })
 
     it('returns null for fields which do not track an original quad', () => {
-      expect(name('dan', namedGraph).originalQuad(rdf, rdf.NamedNode.fromValue('https://example.com/profile#me'))).toBe(null)
+      expect(name('dan', namedGraph).originalQuad(rdf, rdf.namedNode('https://example.com/profile#me'))).toBe(null)
     })
   })
 
@@ -112,10 +233,10 @@ describe('Field', () => {
     describe('for unfamiliar sources', () => {
       it('returns the original quad for a quad-constructed field', () => {
         const quad = rdf.quad(
-          rdf.NamedNode.fromValue('https://example.com/profile#me'),
+          rdf.namedNode('https://example.com/profile#me'),
           vocab.foaf('name'),
-          rdf.Literal.fromValue('dan'),
-          rdf.NamedNode.fromValue('https://unknown-server.com/resource')
+          rdf.literal('dan'),
+          rdf.namedNode('https://unknown-server.com/resource')
         )
         expect(name.fromQuad(quad).toQuad(rdf, quad.subject)).toEqual(quad)
       })
@@ -123,31 +244,31 @@ describe('Field', () => {
 
     it('returns the original quad for a quad-constructed field', () => {
       const quad = rdf.quad(
-        rdf.NamedNode.fromValue('https://example.com/profile#me'),
+        rdf.namedNode('https://example.com/profile#me'),
         vocab.foaf('name'),
-        rdf.Literal.fromValue('dan'),
-        rdf.NamedNode.fromValue(namedGraph)
+        rdf.literal('dan'),
+        rdf.namedNode(namedGraph)
       )
       expect(name.fromQuad(quad).toQuad(rdf, quad.subject)).toEqual(quad)
     })
 
     it('returns appropriate subject, predicate, value, and graph for value-constructed fields', () => {
-      expect(name('dan', namedGraph).toQuad(rdf, rdf.NamedNode.fromValue('https://example.com/profile#me')))
+      expect(name('dan', namedGraph).toQuad(rdf, rdf.namedNode('https://example.com/profile#me')))
         .toEqual(
           rdf.quad(
-            rdf.NamedNode.fromValue('https://example.com/profile#me'),
+            rdf.namedNode('https://example.com/profile#me'),
             vocab.foaf('name'),
-            rdf.Literal.fromValue('dan'),
-            rdf.NamedNode.fromValue(namedGraph)
+            rdf.literal('dan'),
+            rdf.namedNode(namedGraph)
           )
         )
-      expect(name('dan', namedGraph).toQuad(rdf, rdf.NamedNode.fromValue('https://example.com/profile#me')))
+      expect(name('dan', namedGraph).toQuad(rdf, rdf.namedNode('https://example.com/profile#me')))
         .toEqual(
           rdf.quad(
-            rdf.NamedNode.fromValue('https://example.com/profile#me'),
+            rdf.namedNode('https://example.com/profile#me'),
             vocab.foaf('name'),
-            rdf.Literal.fromValue('dan'),
-            rdf.NamedNode.fromValue(namedGraph)
+            rdf.literal('dan'),
+            rdf.namedNode(namedGraph)
           )
         )
     })
@@ -155,29 +276,123 @@ describe('Field', () => {
     it('constructs a namedNode when the field is specified as a NamedNode', () => {
       const storage = fieldFactory(vocab.pim('storage'))
       const storageField = storage('https://example.databox.me/storage/', namedGraph, {namedNode: true})
-      expect(storageField.toQuad(rdf, rdf.NamedNode.fromValue('https://example.com/storage#this')))
+      expect(storageField.toQuad(rdf, rdf.namedNode('https://example.com/storage#this')))
         .toEqual(
           rdf.quad(
-            rdf.NamedNode.fromValue('https://example.com/storage#this'),
+            rdf.namedNode('https://example.com/storage#this'),
             vocab.pim('storage'),
-            rdf.NamedNode.fromValue('https://example.databox.me/storage/'),
-            rdf.NamedNode.fromValue(namedGraph)
+            rdf.namedNode('https://example.databox.me/storage/'),
+            rdf.namedNode(namedGraph)
           )
         )
     })
+
+    it('puts the implicit subject in object position for inverse fields', () => {
+      const me = rdf.namedNode('https://example.com/profile#me')
+      const alice = rdf.namedNode('https://example.com/profile#alice')
+      const knownBy = fieldFactory(vocab.foaf('knows'), {inverse: true, rdf})
+      const quad = rdf.quad(alice, vocab.foaf('knows'), me, rdf.namedNode(namedGraph))
+      const field = knownBy.fromQuad(quad)
+      expect(field.value).toEqual(alice.value)
+      expect(field.originalQuad(rdf, me)).toEqual(quad)
+      expect(field.toQuad(rdf, me)).toEqual(quad)
+      expect(field.set({value: 'https://example.com/profile#bob'}).toQuad(rdf, me).subject)
+        .toEqual(rdf.namedNode('https://example.com/profile#bob'))
+      expect(knownBy('https://example.com/profile#bob', namedGraph).toQuad(rdf, me))
+        .toEqual(rdf.quad(rdf.namedNode('https://example.com/profile#bob'), vocab.foaf('knows'), me, rdf.namedNode(namedGraph)))
+      expect(field.fromCurrentState(rdf, me).originalObject).toEqual(alice)
+      expect(() => knownBy('Bob', namedGraph)).toThrow(/NamedNode URI/)
+    })
+
+    it('points to the first cell of list fields', () => {
+      const me = rdf.namedNode('https://example.com/profile#me')
+      const nil = rdf.namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#nil')
+      const favorites = fieldFactory(rdf.namedNode('https://example.com/terms#favorites'), {list: true, rdf})
+      const field = favorites(['tea', 42], namedGraph)
+      const [teaCell, numberCell] = field.cells
+      expect(field.value).toEqual(['tea', 42])
+      expect(field.toQuad(rdf, me).object).toEqual(teaCell)
+      expect(field.toItems(rdf)).toEqual([rdf.literal('tea'), rdf.literal('42', vocab.xsd('integer'))])
+      expect(field.listQuads(rdf).map(quad => [quad.subject, quad.object])).toEqual([
+        [teaCell, rdf.literal('tea')],
+        [teaCell, numberCell],
+        [numberCell, rdf.literal('42', vocab.xsd('integer'))],
+        [numberCell, nil]
+      ])
+      expect(field.originalListQuads(rdf)).toEqual([])
+      const saved = field.fromCurrentState(rdf, me)
+      expect(saved.originalCells.map(cell => cell.node)).toEqual([teaCell, numberCell])
+      expect(saved.isModified()).toBe(false)
+      expect(saved.moveItem(1, 0).isModified()).toBe(true)
+      expect(saved.moveItem(1, 0).toQuad(rdf, me).object).toEqual(numberCell)
+      expect(saved.removeItem(0).removeItem(0).toQuad(rdf, me).object).toEqual(nil)
+      expect(saved.insertItem(2, 'jam').revert().value).toEqual(['tea', 42])
+      expect(name('Dan', namedGraph).listQuads(rdf)).toEqual([])
+      expect(() => favorites('tea', namedGraph)).toThrow(/List fields hold arrays/)
+      expect(() => saved.removeItem(2)).toThrow(/List index out of range/)
+      expect(() => name('Dan', namedGraph).insertItem(0, 'Dan')).toThrow(/Only list fields/)
+    })
+
+    it('points to the node of compound fields', () => {
+      const me = rdf.namedNode('https://example.com/profile#me')
+      const node = rdf.blankNode()
+      const compound = {
+        street: {predicate: vocab.vcard('street-address')},
+        floor: {predicate: rdf.namedNode('https://example.com/terms#floor'), datatype: vocab.xsd('integer')}
+      }
+      const address = fieldFactory(vocab.vcard('hasAddress'), {compound, rdf})
+      const field = address.fromQuad(rdf.quad(me, vocab.vcard('hasAddress'), node, rdf.namedNode(namedGraph)), undefined, {
+        properties: [{name: 'street', object: rdf.literal('Hauptstraße 1', 'de')}]
+      })
+      expect(field.value).toEqual({street: 'Hauptstraße 1'})
+      expect(field.toQuad(rdf, me).object).toEqual(node)
+      expect(field.isModified()).toBe(false)
+      const edited = field.set({value: {street: 'Hauptstraße 2', floor: 3}})
+      expect(edited.isModified()).toBe(true)
+      expect(edited.compoundQuads(rdf).map(quad => [quad.subject, quad.object])).toEqual([
+        [node, rdf.literal('Hauptstraße 2', 'de')],
+        [node, rdf.literal('3', vocab.xsd('integer'))]
+      ])
+      expect(edited.originalCompoundQuads(rdf).length).toBe(1)
+      expect(edited.revert().value).toEqual({street: 'Hauptstraße 1'})
+      expect(edited.fromCurrentState(rdf, me).isModified()).toBe(false)
+      expect(address({}, namedGraph).toQuad(rdf, me).object.termType).toEqual('BlankNode')
+      expect(name('Dan', namedGraph).compoundQuads(rdf)).toEqual([])
+      expect(() => address(['Hauptstraße 1'], namedGraph)).toThrow(/Compound fields hold objects/)
+      expect(() => address({floor: 'third'}, namedGraph)).toThrow(Error)
+    })
+  })
+
+  describe('with value transformers', () => {
+    it('parses values read from RDF and serializes values written to RDF', () => {
+      const me = rdf.namedNode('https://example.com/profile#me')
+      const options = {parse: value => value.toUpperCase(), serialize: value => value.toLowerCase(), rdf}
+      const nick = fieldFactory(vocab.foaf('nick'), options)
+      const field = nick.fromQuad(rdf.quad(me, vocab.foaf('nick'), rdf.literal('dan'), rdf.namedNode(namedGraph)))
+      expect(field.value).toEqual('DAN')
+      expect(field.isModified()).toBe(false)
+      expect(field.set({value: 'DANNY'}).toQuad(rdf, me).object).toEqual(rdf.literal('danny'))
+      expect(field.toJSON().value).toEqual('dan')
+      expect(nick.fromJSON(JSON.parse(JSON.stringify(field))).value).toEqual('DAN')
+      const favorites = fieldFactory(rdf.namedNode('https://example.com/terms#favorites'), {...options, list: true})
+      const list = favorites(['TEA', 'CAKE'], namedGraph)
+      expect(list.toItems(rdf)).toEqual([rdf.literal('tea'), rdf.literal('cake')])
+      expect(list.fromCurrentState(rdf, me).value).toEqual(['TEA', 'CAKE'])
+      expect(favorites.fromJSON(list.toJSON()).value).toEqual(['TEA', 'CAKE'])
+    })
   })
 
   describe('converting between RDF and JS values/types', () => {
     it('converts booleans both ways', () => {
-      const subject = rdf.NamedNode.fromValue('https://example.com/profile#me')
-      const predicate = rdf.NamedNode.fromValue('http://www.w3.org/ns/solid/terms#read')
-      const originalResource = rdf.NamedNode.fromValue(
+      const subject = rdf.namedNode('https://example.com/profile#me')
+      const predicate = rdf.namedNode('http://www.w3.org/ns/solid/terms#read')
+      const originalResource = rdf.namedNode(
         'https://example.com/other-resource'
       )
       const quad = rdf.quad(
         subject,
         predicate,
-        rdf.Literal.fromValue(true),
+        rdf.literal('1', vocab.xsd('boolean')),
         originalResource
       )
       const trueField = hasRead.fromQuad(quad)
@@ -190,7 +405,7 @@ describe('Field', () => {
           rdf.quad(
             subject,
             predicate,
-            rdf.Literal.fromValue(false),
+            rdf.literal('0', vocab.xsd('boolean')),
             originalResource
           )
         )
@@ -198,19 +413,19 @@ describe('Field', () => {
 
     describe('numeric types', () => {
       const data = [
-        {type: 'integers', firstVal: 24, nextVal: 25},
-        {type: 'doubles', firstVal: 0.5, nextVal: 1.5}
+        {type: 'integers', datatype: 'integer', firstVal: 24, nextVal: 25},
+        {type: 'doubles', datatype: 'decimal', firstVal: 0.5, nextVal: 1.5}
       ]
-      data.forEach(({type, firstVal, nextVal}) => {
+      data.forEach(({type, datatype, firstVal, nextVal}) => {
         it(`converts ${type} both ways`, () => {
-          const subject = rdf.NamedNode.fromValue('https://example.com/profile#me')
-          const originalResource = rdf.NamedNode.fromValue(
+          const subject = rdf.namedNode('https://example.com/profile#me')
+          const originalResource = rdf.namedNode(
             'https://example.com/another-private-resource'
           )
           const quad = rdf.quad(
             subject,
             vocab.foaf('age'),
-            rdf.Literal.fromValue(firstVal),
+            rdf.literal(`${firstVal}`, vocab.xsd(datatype)),
             originalResource
           )
           const firstField = age.fromQuad(quad)
@@ -223,7 +438,7 @@ describe('Field', () => {
               rdf.quad(
                 subject,
                 vocab.foaf('age'),
-                rdf.Literal.fromValue(nextVal),
+                rdf.literal(`${nextVal}`, vocab.xsd(datatype)),
                 originalResource
               )
             )
@@ -232,16 +447,19 @@ describe('Field', () => {
     })
 
     it('converts datetimes both ways', () => {
-      const subject = rdf.NamedNode.fromValue('https://example.com/profile#me')
-      const predicate = rdf.NamedNode.fromValue('http://purl.org/dc/terms/date')
-      const originalResource = rdf.NamedNode.fromValue(
+      const dateTime = d => rdf.literal(
+        d.toISOString().replace('.000Z', 'Z'), vocab.xsd('dateTime')
+      )
+      const subject = rdf.namedNode('https://example.com/profile#me')
+      const predicate = rdf.namedNode('http://purl.org/dc/terms/date')
+      const originalResource = rdf.namedNode(
         'https://example.com/another-private-resource'
       )
       const d = new Date('2016-1-1')
       const quad = rdf.quad(
         subject,
         predicate,
-        rdf.Literal.fromValue(d),
+        dateTime(d),
         originalResource
       )
       const firstField = date.fromQuad(quad)
@@ -255,29 +473,254 @@ describe('Field', () => {
           rdf.quad(
             subject,
             predicate,
-            rdf.Literal.fromValue(d2),
+            dateTime(d2),
             originalResource
           )
         )
     })
 
+    it('checks updated values against the datatype of the original object', () => {
+      const subject = rdf.namedNode('https://example.com/profile#me')
+      const quad = rdf.quad(subject, vocab.foaf('age'), rdf.literal('30', vocab.xsd('integer')))
+      const field = age.fromQuad(quad)
+      expect(field.set({value: 31}).toQuad(rdf, subject).object)
+        .toEqual(rdf.literal('31', vocab.xsd('integer')))
+      expect(() => field.set({value: 'abc'})).toThrow(/Cannot serialize/)
+      expect(() => field.set({value: 30.5})).toThrow(/Cannot serialize/)
+    })
+
+    it('infers the datatypes of new values', () => {
+      const subject = rdf.namedNode('https://example.com/profile#me')
+      expect(age(true, namedGraph).toQuad(rdf, subject).object)
+        .toEqual(rdf.literal('1', vocab.xsd('boolean')))
+      expect(age(new Date('2016-01-01T00:00:00Z'), namedGraph).toQuad(rdf, subject).object)
+        .toEqual(rdf.literal('2016-01-01T00:00:00Z', vocab.xsd('dateTime')))
+      expect(age(0.5, namedGraph).toQuad(rdf, subject).object)
+        .toEqual(rdf.literal('0.5', vocab.xsd('decimal')))
+      expect(age(1e21, namedGraph).toQuad(rdf, subject).object)
+        .toEqual(rdf.literal('1e+21', vocab.xsd('float')))
+    })
+
     it('rejects values that are mis-matched with their type', () => {
-      const subject = rdf.NamedNode.fromValue('https://example.com/profile#me')
-      const predicate = rdf.NamedNode.fromValue('http://www.w3.org/ns/solid/terms#read')
-      const datatype = rdf.NamedNode.fromValue('http://www.w3.org/2001/XMLSchema#boolean')
-      const object = new rdf.Literal('foo', null, datatype)
+      const subject = rdf.namedNode('https://example.com/profile#me')
+      const predicate = rdf.namedNode('http://www.w3.org/ns/solid/terms#read')
+      const datatype = rdf.namedNode('http://www.w3.org/2001/XMLSchema#boolean')
+      const object = rdf.literal('foo', datatype)
       const quad = rdf.quad(subject, predicate, object)
       expect(() => {
         hasRead.fromQuad(quad)
       }).toThrow(/Cannot parse/)
     })
 
+    describe('with declared datatypes', () => {
+      const subject = rdf.namedNode('https://example.com/profile#me')
+      const { xsd } = vocab
+      const declaredAge = fieldFactory(vocab.foaf('age'), {datatype: xsd('integer')})
+      const declaredDate = fieldFactory(
+        rdf.namedNode('http://purl.org/dc/terms/date'),
+        {datatype: xsd('dateTime')}
+      )
+
+      it('serializes new values with the declared datatype', () => {
+        expect(declaredAge(24, namedGraph).toQuad(rdf, subject).object)
+          .toEqual(rdf.literal('24', xsd('integer')))
+        expect(declaredAge('25', namedGraph).toQuad(rdf, subject).object)
+          .toEqual(rdf.literal('25', xsd('integer')))
+        expect(declaredDate(new Date('2016-01-01T00:00:00Z'), namedGraph).toQuad(rdf, subject).object)
+          .toEqual(rdf.literal('2016-01-01T00:00:00Z', xsd('dateTime')))
+      })
+
+      it('serializes updated values with the declared datatype', () => {
+        const quad = rdf.quad(subject, vocab.foaf('age'), rdf.literal('24'))
+        const field = declaredAge.fromQuad(quad).set({value: 25})
+        expect(field.toQuad(rdf, subject).object)
+          .toEqual(rdf.literal('25', xsd('integer')))
+      })
+
+      it('coerces values to string and decimal datatypes', () => {
+        const label = fieldFactory(vocab.foaf('name'), {datatype: xsd('string')})
+        const weight = fieldFactory(vocab.foaf('weight'), {datatype: xsd('decimal')})
+        expect(label(24, namedGraph).toQuad(rdf, subject).object)
+          .toEqual(rdf.literal('24'))
+        expect(weight('70.5', namedGraph).toQuad(rdf, subject).object)
+          .toEqual(rdf.literal('70.5', xsd('decimal')))
+        expect(() => label(new Date(), namedGraph)).toThrow(/Cannot serialize/)
+        expect(() => weight('heavy', namedGraph)).toThrow(/Cannot serialize/)
+      })
+
+      it('keeps the original lexical form of unchanged values', () => {
+        const quad = rdf.quad(
+          subject,
+          vocab.foaf('age'),
+          rdf.literal('024', xsd('integer')),
+          rdf.namedNode(namedGraph)
+        )
+        expect(declaredAge.fromQuad(quad).toQuad(rdf, subject)).toEqual(quad)
+      })
+
+      it('rejects values which cannot be coerced to the declared datatype', () => {
+        expect(() => declaredAge('twenty four', namedGraph)).toThrow(/Cannot serialize/)
+        expect(() => declaredAge(24.5, namedGraph)).toThrow(/Cannot serialize/)
+        expect(() => declaredDate('not a date', namedGraph)).toThrow(/Cannot serialize/)
+        expect(() => declaredAge(24, namedGraph).set({value: {}})).toThrow(/Cannot serialize/)
+        const bool = fieldFactory(vocab.foaf('age'), {datatype: xsd('boolean')})
+        expect(() => bool('yes', namedGraph)).toThrow(/Cannot serialize/)
+        expect(bool(false, namedGraph).toQuad(rdf, subject).object)
+          .toEqual(rdf.literal('0', xsd('boolean')))
+      })
+
+      const typed = (datatype, value) => fieldFactory(vocab.foaf('name'), {datatype: xsd(datatype)})(value, namedGraph)
+      const lexicalForm = (datatype, value) => typed(datatype, value).toQuad(rdf, subject).object.value
+
+      it('formats dates for the datatypes which hold their parts', () => {
+        const date = new Date('2016-03-04T05:06:07Z')
+        expect(lexicalForm('date', date)).toEqual('2016-03-04')
+        expect(lexicalForm('time', date)).toEqual('05:06:07Z')
+        expect(lexicalForm('time', new Date('2016-03-04T05:06:07.5Z'))).toEqual('05:06:07.500Z')
+        expect(lexicalForm('gYear', date)).toEqual('2016')
+        expect(lexicalForm('gYearMonth', date)).toEqual('2016-03')
+        expect(lexicalForm('gMonth', date)).toEqual('--03')
+        expect(lexicalForm('gMonthDay', date)).toEqual('--03-04')
+        expect(lexicalForm('gDay', date)).toEqual('---04')
+        expect(typed('date', date).toQuad(rdf, subject).object.datatype).toEqual(xsd('date'))
+        expect(() => typed('date', new Date('not a date'))).toThrow(/Cannot serialize/)
+        expect(() => typed('duration', date)).toThrow(/Cannot serialize/)
+      })
+
+      it('checks integers against the ranges of the integer datatypes', () => {
+        expect(lexicalForm('int', 2147483647)).toEqual('2147483647')
+        expect(lexicalForm('int', '-2147483648')).toEqual('-2147483648')
+        expect(lexicalForm('long', '+009223372036854775807')).toEqual('9223372036854775807')
+        expect(lexicalForm('unsignedLong', '18446744073709551615')).toEqual('18446744073709551615')
+        expect(lexicalForm('nonNegativeInteger', '-0')).toEqual('0')
+        expect(lexicalForm('negativeInteger', -1)).toEqual('-1')
+        expect(lexicalForm('byte', '1e2')).toEqual('100')
+        expect(lexicalForm('integer', '123456789012345678901234567890')).toEqual('123456789012345678901234567890')
+        const outOfRange = [
+          ['int', 2147483648],
+          ['long', '-9223372036854775809'],
+          ['unsignedLong', '18446744073709551616'],
+          ['short', 32768],
+          ['byte', -129],
+          ['unsignedInt', -1],
+          ['unsignedShort', 65536],
+          ['unsignedByte', 256],
+          ['nonNegativeInteger', -1],
+          ['positiveInteger', 0],
+          ['nonPositiveInteger', 1],
+          ['negativeInteger', '0'],
+          ['integer', 1e21],
+          ['int', 1.5],
+          ['int', ''],
+          ['int', 'twelve']
+        ]
+        outOfRange.forEach(([datatype, value]) => {
+          expect(() => typed(datatype, value)).toThrow(/Cannot serialize/)
+        })
+      })
+
+      it('checks values against the lexical forms of other datatypes', () => {
+        const valid = [
+          ['date', '2016-02-29'],
+          ['date', '-0044-03-15Z'],
+          ['time', '23:59:59.5+01:00'],
+          ['gYear', 2016],
+          ['gYear', '12016'],
+          ['gYearMonth', '2016-12'],
+          ['gMonth', '--12'],
+          ['gMonthDay', '--02-29'],
+          ['gDay', '---31'],
+          ['duration', 'P1Y2MT3H4.5S'],
+          ['anyURI', 'https://example.com/profile#me'],
+          ['language', 'en-GB'],
+          ['normalizedString', ' a  b '],
+          ['token', 'a b'],
+          ['hexBinary', '0fA3'],
+          ['base64Binary', 'aGk=']
+        ]
+        valid.forEach(([datatype, value]) => {
+          expect(lexicalForm(datatype, value)).toEqual(`${value}`)
+        })
+        const invalid = [
+          ['date', 'not a date'],
+          ['date', '2015-02-29'],
+          ['date', '2016-04-31'],
+          ['date', '2016-13-01'],
+          ['time', '24:01:00'],
+          ['time', '12:00'],
+          ['gYear', 16],
+          ['gYear', '02016'],
+          ['gYearMonth', '2016-1'],
+          ['gMonth', '12'],
+          ['gMonthDay', '--02-30x'],
+          ['gDay', '--31'],
+          ['duration', 'P'],
+          ['duration', 'PT'],
+          ['anyURI', 'not a uri'],
+          ['language', 'english language'],
+          ['normalizedString', 'a\nb'],
+          ['token', ' a'],
+          ['hexBinary', '0fA'],
+          ['base64Binary', 'aGk'],
+          ['token', {}]
+        ]
+        invalid.forEach(([datatype, value]) => {
+          expect(() => typed(datatype, value)).toThrow(/Cannot serialize/)
+        })
+        expect(lexicalForm('string', 'any text')).toEqual('any text')
+        const custom = fieldFactory(vocab.foaf('name'), {datatype: 'https://example.com/datatypes#custom'})
+        expect(custom('anything', namedGraph).toQuad(rdf, subject).object.value).toEqual('anything')
+      })
+
+      it('rejects values which are not URIs for NamedNode fields', () => {
+        const storage = fieldFactory(vocab.pim('storage'), {namedNode: true})
+        expect(() => storage(24, namedGraph)).toThrow(/NamedNode/)
+        expect(storage('https://example.com/storage/', namedGraph).toQuad(rdf, subject).object)
+          .toEqual(rdf.namedNode('https://example.com/storage/'))
+      })
+    })
+
+    describe('with language tags', () => {
+      const subject = rdf.namedNode('https://example.com/profile#me')
+      const quad = rdf.quad(
+        subject,
+        vocab.foaf('name'),
+        rdf.literal('Daniel', 'de'),
+        rdf.namedNode(namedGraph)
+      )
+
+      it('tracks the language tag of the original object', () => {
+        const field = name.fromQuad(quad)
+        expect(field.value).toBe('Daniel')
+        expect(field.lang).toBe('de')
+        expect(field.toQuad(rdf, subject)).toEqual(quad)
+      })
+
+      it('preserves the language tag when the value changes', () => {
+        expect(name.fromQuad(quad).set({value: 'Dani'}).toQuad(rdf, subject).object)
+          .toEqual(rdf.literal('Dani', 'de'))
+      })
+
+      it('can change or remove the language tag', () => {
+        const field = name.fromQuad(quad)
+        expect(field.set({lang: 'en'}).toQuad(rdf, subject).object)
+          .toEqual(rdf.literal('Daniel', 'en'))
+        expect(field.set({lang: ''}).toQuad(rdf, subject).object)
+          .toEqual(rdf.literal('Daniel'))
+      })
+
+      it('emits language tags for new fields', () => {
+        expect(name('Dan', namedGraph, {lang: 'en'}).toQuad(rdf, subject).object)
+          .toEqual(rdf.literal('Dan', 'en'))
+      })
+    })
+
     it('parses unknown datatypes as strings', () => {
-      const object = new rdf.Literal(
-        'foo', null, rdf.NamedNode.fromValue('https://example.com/datatypes#unknown')
+      const object = rdf.literal(
+        'foo', rdf.namedNode('https://example.com/datatypes#unknown')
       )
       const quad = rdf.quad(
-        rdf.NamedNode.fromValue('https://example.com/profile/#me'),
+        rdf.namedNode('https://example.com/profile/#me'),
         vocab.foaf('name'),
         object
       )
@@ -285,4 +728,4 @@ describe('Field', () => {
       expect(field.value).toBe('foo')
     })
   })
-})
+}))
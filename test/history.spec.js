@@ -0,0 +1,144 @@
+/* global beforeEach, describe, it */
+import expect from 'expect'
+import { spy } from 'sinon'
+
+import { History } from '../src/history'
+import { modelFactory } from '../src/model'
+import { FOAF, rdfLibraries, vocabulary } from './rdf'
+
+rdfLibraries.forEach(({name, rdf, parse}) => describe(`History with ${name}`, () => {
+  const vocab = vocabulary(rdf)
+  const profileURI = 'https://example.com/profile/card'
+  const webId = `${profileURI}#me`
+
+  let model
+  let history
+
+  beforeEach(() => {
+    const profile = `
+      <#me>
+          <http://xmlns.com/foaf/0.1/name> "Mr. Cool" ;
+          <http://xmlns.com/foaf/0.1/phone> <tel:123-456-7890> .
+    `
+    const profileModel = modelFactory(rdf, {
+      name: vocab.foaf('name'),
+      nick: vocab.foaf('nick'),
+      phone: vocab.foaf('phone')
+    })
+    model = profileModel(parse(profile, profileURI), profileURI, webId)
+    history = new History(model)
+  })
+
+  it('wraps a model', () => {
+    expect(history.model).toBe(model)
+    expect(history.canUndo()).toBe(false)
+    expect(history.canRedo()).toBe(false)
+    expect(history.undo()).toBe(history)
+    expect(history.redo()).toBe(history)
+    expect(() => { history.model = null }).toThrow()
+  })
+
+  it('records labelled edits', () => {
+    const edited = history
+      .add('nick', 'cool')
+      .setAny('name', 'Dan')
+      .set(model.fields('phone')[0], 'tel:000-000-0000')
+      .apply('clear nicks', model => model.filterToGraveyard(field => field.value !== 'cool'))
+    expect(edited.past.map(step => step.label))
+      .toEqual(['add nick', 'set name', 'set phone', 'clear nicks'])
+    expect(edited.model.any('name')).toEqual('Dan')
+    const removed = edited.remove(edited.model.fields('phone')[0])
+    expect(removed.past[4].label).toEqual('remove phone')
+    expect(removed.model.get('phone')).toEqual([])
+  })
+
+  it('labels edits of inverse keys and keys with property paths', () => {
+    const card = `
+      @prefix vcard: <http://www.w3.org/2006/vcard/ns#> .
+      <#alice> <http://xmlns.com/foaf/0.1/knows> <#me> .
+      <#me> vcard:hasTelephone [ vcard:value <tel:123-456-7890> ] .
+    `
+    const contactModel = modelFactory(rdf, {
+      knownBy: {predicate: vocab.foaf('knows'), inverse: true},
+      phones: {path: [vocab.vcard('hasTelephone'), vocab.vcard('value')], namedNode: true}
+    })
+    const contact = contactModel(parse(card, profileURI), profileURI, webId)
+    const edited = new History(contact)
+      .remove(contact.fields('knownBy')[0])
+      .set(contact.fields('phones')[0], 'tel:000-000-0000')
+    expect(edited.past.map(step => step.label)).toEqual(['remove knownBy', 'set phones'])
+  })
+
+  it('does not record edits which change nothing', () => {
+    const notOwnedPhone = model.fieldCreators.phone('tel:444-444-4444', profileURI)
+    expect(history.remove(notOwnedPhone)).toBe(history)
+  })
+
+  it('undoes and redoes edits', () => {
+    const edited = history.add('nick', 'cool').setAny('name', 'Dan')
+    const undone = edited.undo()
+    expect(undone.model.any('name')).toEqual('Mr. Cool')
+    expect(undone.model.get('nick')).toEqual(['cool'])
+    expect(undone.canRedo()).toBe(true)
+    expect(undone.future.map(step => step.label)).toEqual(['set name'])
+    const twiceUndone = undone.undo()
+    expect(twiceUndone.model).toBe(model)
+    expect(twiceUndone.canUndo()).toBe(false)
+    const redone = twiceUndone.redo().redo()
+    expect(redone.model).toBe(edited.model)
+    expect(redone.past.map(step => step.label)).toEqual(['add nick', 'set name'])
+    expect(redone.canRedo()).toBe(false)
+  })
+
+  it('forgets undone edits after a new edit', () => {
+    const edited = history.add('nick', 'cool').undo().add('nick', 'dude')
+    expect(edited.canRedo()).toBe(false)
+    expect(edited.model.get('nick')).toEqual(['dude'])
+  })
+
+  it('groups several edits into one step', () => {
+    const edited = history.group('rename', h => h.setAny('name', 'Dan').add('nick', 'dan'))
+    expect(edited.past.map(step => step.label)).toEqual(['rename'])
+    expect(edited.model.get('nick')).toEqual(['dan'])
+    expect(edited.undo().model).toBe(model)
+  })
+
+  it('limits the number of steps', () => {
+    const edited = new History(model, {limit: 2})
+      .add('nick', 'a')
+      .add('nick', 'b')
+      .add('nick', 'c')
+    expect(edited.past.length).toBe(2)
+    expect(edited.undo().undo().model.get('nick')).toEqual(['a'])
+    expect(edited.undo().undo().canUndo()).toBe(false)
+  })
+
+  it('computes the diff at any point', () => {
+    const edited = history.setAny('name', 'Dan').add('nick', 'cool')
+    const nameQuad = name => `<${webId}> <${FOAF}name> "${name}" .`
+    expect(edited.diff(rdf)).toEqual({
+      [profileURI]: {
+        toDel: [nameQuad('Mr. Cool')],
+        toIns: [nameQuad('Dan'), `<${webId}> <${FOAF}nick> "cool" .`]
+      }
+    })
+    expect(edited.undo().diff(rdf)).toEqual({
+      [profileURI]: {toDel: [nameQuad('Mr. Cool')], toIns: [nameQuad('Dan')]}
+    })
+    expect(edited.undo().undo().diff(rdf)).toEqual({})
+  })
+
+  it('starts a new history after saving', () => {
+    const patch = spy(url => Promise.resolve({url}))
+    return history
+      .setAny('name', 'Dan')
+      .save(rdf, {patch})
+      .then(saved => {
+        expect(patch.callCount).toBe(1)
+        expect(saved).toBeA(History)
+        expect(saved.canUndo()).toBe(false)
+        expect(saved.model.any('name')).toEqual('Dan')
+        expect(saved.diff(rdf)).toEqual({})
+      })
+  })
+}))
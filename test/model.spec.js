@@ -1,14 +1,17 @@
 /* global beforeEach, describe, it */
 import expect from 'expect'
-import rdf from 'rdflib'
+import { Parser } from 'n3'
 import { spy } from 'sinon'
-import solidNs from 'solid-namespace'
 
+import { termToNT } from '../src/adapter'
+import { ConflictError } from '../src/errors'
 import { modelFactory } from '../src/model'
+import { sparqlUpdate } from '../src/patch'
+import { FOAF, PIM, rdfLibraries, VCARD, vocabulary, XSD } from './rdf'
 
-const vocab = solidNs(rdf)
+rdfLibraries.forEach(({name, rdf, graph: emptyGraph, graphOf, parse}) => describe(`Model with ${name}`, () => {
+  const vocab = vocabulary(rdf)
 
-describe('Model', () => {
   // Constants available for use within describe() blocks
   const profileURI = 'http://mr-cool.example.com/profile/card'
   const webId = `${profileURI}#me`
@@ -17,6 +20,8 @@ describe('Model', () => {
   // within it() blocks.
   let subject
   let model
+  let loadModel
+  let profileModel
 
   beforeEach(() => {
     const profile = `
@@ -40,17 +45,17 @@ describe('Model', () => {
           <http://xmlns.com/foaf/0.1/phone> <tel:123-456-7890> ;
           <http://xmlns.com/foaf/0.1/phone> <tel:098-765-4321> .
     `
-    subject = rdf.NamedNode.fromValue(webId)
-    const graph = rdf.graph()
-    rdf.parse(profile, graph, profileURI, 'text/turtle')
+    subject = rdf.namedNode(webId)
+    const graph = parse(profile, profileURI)
 
-    const profileModel = modelFactory(rdf, {
+    profileModel = modelFactory(rdf, {
       age: vocab.foaf('age'),
       name: vocab.foaf('name'),
       phone: vocab.foaf('phone'),
       prefs: vocab.pim('preferencesFile')
     })
-    model = profileModel(graph, profileURI, webId)
+    loadModel = options => profileModel(graph, profileURI, webId, options)
+    model = loadModel()
   })
 
   it('can get fields by name', () => {
@@ -88,6 +93,8 @@ describe('Model', () => {
     const secondPhone = model.fields('phone')[1]
     const updatedModel = model.remove(firstPhone)
     expect(updatedModel.fields('phone')).toEqual([secondPhone])
+    expect(updatedModel.graveyard).toEqual([firstPhone])
+    expect(updatedModel.clearGraveyard().graveyard).toEqual([])
   })
 
   it('can not remove fields which do not belong to the model', () => {
@@ -105,6 +112,23 @@ describe('Model', () => {
     expect(phones[1]).toEqual(secondPhone)
   })
 
+  it('keeps track of fields across edits', () => {
+    const [firstPhone] = model.fields('phone')
+    const updatedModel = model.set(firstPhone, 'tel:000-000-0000')
+    expect(updatedModel.fieldById(firstPhone.id).value).toEqual('tel:000-000-0000')
+    expect(updatedModel.remove(firstPhone).get('phone')).toEqual(['tel:098-765-4321'])
+    expect(updatedModel.remove(firstPhone).fieldById(firstPhone.id)).toBe(undefined)
+  })
+
+  it('can find fields by value', () => {
+    const [firstPhone, secondPhone] = model.fields('phone')
+    expect(model.findByValue('phone', 'tel:098-765-4321')).toBe(secondPhone)
+    expect(model.findByValue('phone', 'tel:000-000-0000')).toBe(undefined)
+    expect(model.findByValue('unknown-field', 'tel:123-456-7890')).toBe(undefined)
+    expect(model.set(firstPhone, 'tel:000-000-0000').findByValue('phone', 'tel:000-000-0000').id)
+      .toEqual(firstPhone.id)
+  })
+
   it('can change the value of a field by key', () => {
     expect(model.setAny('name', 'New Name').any('name')).toEqual('New Name')
     expect(model.setAny('phone', 'tel:000-000-0000').any('phone')).toEqual('tel:000-000-0000')
@@ -115,12 +139,1667 @@ describe('Model', () => {
   it('can change the value of a field to a NamedNode', () => {
     const newPrefs = 'https://example.com/me/storage/'
     const updatedModel = model.setAny('prefs', newPrefs, {namedNode: true})
-    const subject = rdf.NamedNode.fromValue('https://example.com/profile#me')
+    const subject = rdf.namedNode('https://example.com/profile#me')
     expect(updatedModel.fields('prefs')[0].toQuad(rdf, subject).object).toEqual(
-      rdf.NamedNode.fromValue('https://example.com/me/storage/')
+      rdf.namedNode('https://example.com/me/storage/')
     )
   })
 
+  describe('declared datatypes', () => {
+    const xsdInteger = vocab.xsd('integer')
+    let typedModel
+
+    beforeEach(() => {
+      const graph = emptyGraph()
+      typedModel = modelFactory(rdf, {
+        age: {predicate: vocab.foaf('age'), datatype: xsdInteger},
+        homepage: {predicate: vocab.foaf('homepage'), namedNode: true}
+      })(graph, profileURI, webId)
+    })
+
+    it('writes new values with the declared datatype', () => {
+      expect(typedModel.add('age', '24').add('homepage', 'https://example.com/').diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [],
+          toIns: [
+            `<${webId}> <${FOAF}age> "24"^^<${XSD}integer> .`,
+            `<${webId}> <${FOAF}homepage> <https://example.com/> .`
+          ]
+        }
+      })
+    })
+
+    it('rejects values which cannot be coerced', () => {
+      expect(() => typedModel.add('age', 'old')).toThrow(/Cannot serialize/)
+      expect(() => typedModel.setAny('age', 24).setAny('age', 'old')).toThrow(/Cannot serialize/)
+    })
+  })
+
+  describe('language tags', () => {
+    let multilingualModel
+
+    beforeEach(() => {
+      const profile = `
+        <#me>
+            <http://xmlns.com/foaf/0.1/name> "Dan"@en ;
+            <http://xmlns.com/foaf/0.1/name> "Danny"@en-US ;
+            <http://xmlns.com/foaf/0.1/name> "Daniel"@de ;
+            <http://xmlns.com/foaf/0.1/name> "Dani" ;
+            <http://xmlns.com/foaf/0.1/nick> "Le Dan"@fr .
+      `
+      const graph = parse(profile, profileURI)
+      multilingualModel = modelFactory(rdf, {
+        name: vocab.foaf('name'),
+        nick: vocab.foaf('nick')
+      })(graph, profileURI, webId)
+    })
+
+    it('gets the values in the first matching preferred language', () => {
+      expect(multilingualModel.get('name', {lang: 'en'})).toEqual(['Dan', 'Danny'])
+      expect(multilingualModel.get('name', {lang: ['fr', 'DE', 'en']})).toEqual(['Daniel'])
+      expect(multilingualModel.any('name', {lang: ['en-us']})).toEqual('Danny')
+    })
+
+    it('falls back to untagged values and then to any value', () => {
+      expect(multilingualModel.get('name', {lang: ['fr']})).toEqual(['Dani'])
+      expect(multilingualModel.get('nick', {lang: 'en'})).toEqual(['Le Dan'])
+    })
+
+    it('adds and sets language-tagged values', () => {
+      const [, , german] = multilingualModel.fields('name')
+      const updatedModel = multilingualModel
+        .add('name', 'Daniele', {lang: 'it'})
+        .set(german, 'Dani')
+      expect(updatedModel.any('name', {lang: 'it'})).toEqual('Daniele')
+      expect(updatedModel.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [`<${webId}> <${FOAF}name> "Daniel"@de .`],
+          toIns: [
+            `<${webId}> <${FOAF}name> "Dani"@de .`,
+            `<${webId}> <${FOAF}name> "Daniele"@it .`
+          ]
+        }
+      })
+    })
+  })
+
+  describe('validation', () => {
+    let validatedModel
+
+    beforeEach(() => {
+      const profile = `
+        <#me>
+            <http://xmlns.com/foaf/0.1/name> "Mr. Cool" ;
+            <http://xmlns.com/foaf/0.1/phone> <tel:123-456-7890> .
+      `
+      const graph = parse(profile, profileURI)
+      validatedModel = modelFactory(rdf, {
+        name: {predicate: vocab.foaf('name'), required: true, maxCount: 1},
+        phone: {predicate: vocab.foaf('phone'), nodeKind: 'NamedNode', pattern: /^tel:/}
+      })(graph, profileURI, webId)
+    })
+
+    it('reports no errors for valid models', () => {
+      expect(validatedModel.validate()).toEqual({})
+    })
+
+    it('reports errors per key', () => {
+      const invalidModel = validatedModel
+        .add('name', 'Mrs. Cool')
+        .add('phone', 'mailto:mr_cool@example.com', {namedNode: true})
+      const errors = invalidModel.validate()
+      expect(Object.keys(errors)).toEqual(['name', 'phone'])
+      expect(errors.name.map(error => error.rule)).toEqual(['maxCount'])
+      expect(errors.phone.map(error => error.rule)).toEqual(['pattern'])
+      expect(errors.phone[0].field).toBe(invalidModel.fields('phone')[1])
+      const nameless = validatedModel.remove(validatedModel.fields('name')[0])
+      expect(nameless.validate().name.map(error => error.rule)).toEqual(['required'])
+    })
+
+    it('reports errors of nested models', () => {
+      const graph = emptyGraph()
+      const parentModel = modelFactory(rdf, {
+        friends: {
+          predicate: vocab.foaf('knows'),
+          model: modelFactory(rdf, {name: {predicate: vocab.foaf('name'), required: true}})
+        }
+      })(graph, profileURI, webId)
+      const errors = parentModel.add('friends', validatedModel.remove(
+        validatedModel.fields('name')[0]
+      )).validate()
+      expect(errors.friends[0].rule).toEqual('model')
+      expect(errors.friends[0].errors.name[0].rule).toEqual('required')
+    })
+
+    it('can refuse to save invalid models', () => {
+      const patchSpy = spy(url => Promise.resolve({url}))
+      const invalidModel = validatedModel.add('name', 'Mrs. Cool')
+      return invalidModel
+        .save(rdf, {patch: patchSpy}, {validate: true})
+        .then(() => { throw new Error('Expected save to fail') })
+        .catch(err => {
+          expect(err.message).toEqual('Model is invalid')
+          expect(err.model).toBe(invalidModel)
+          expect(err.validationErrors).toEqual(invalidModel.validate())
+          expect(patchSpy.called).toBe(false)
+        })
+    })
+
+    it('saves valid models when validating', () => {
+      const patchSpy = spy(url => Promise.resolve({url}))
+      return validatedModel
+        .setAny('name', 'Mrs. Cool')
+        .save(rdf, {patch: patchSpy}, {validate: true})
+        .then(savedModel => {
+          expect(patchSpy.calledOnce).toBe(true)
+          expect(savedModel.any('name')).toEqual('Mrs. Cool')
+        })
+    })
+  })
+
+  describe('relations', () => {
+    let friendsModel
+    let personModel
+
+    beforeEach(() => {
+      const profile = `
+        <#me>
+            <http://xmlns.com/foaf/0.1/name> "Mr. Cool" ;
+            <http://xmlns.com/foaf/0.1/knows> <#alice> ;
+            <http://xmlns.com/foaf/0.1/knows> <#bob> .
+        <#alice>
+            <http://xmlns.com/foaf/0.1/name> "Alice" ;
+            <http://xmlns.com/foaf/0.1/knows> <#me> .
+        <#bob>
+            <http://xmlns.com/foaf/0.1/name> "Bob" .
+      `
+      const graph = parse(profile, profileURI)
+      personModel = modelFactory(rdf, {
+        name: vocab.foaf('name'),
+        friends: {predicate: vocab.foaf('knows'), model: (...args) => personModel(...args)}
+      })
+      friendsModel = personModel(graph, profileURI, webId)
+    })
+
+    it('resolves relation fields into nested models', () => {
+      const [alice, bob] = friendsModel.get('friends')
+      expect(alice.subject.value).toEqual(`${profileURI}#alice`)
+      expect(alice.any('name')).toEqual('Alice')
+      expect(bob.any('name')).toEqual('Bob')
+      expect(bob.get('friends')).toEqual([])
+    })
+
+    it('leaves references back to enclosing models as URIs', () => {
+      const alice = friendsModel.any('friends')
+      expect(alice.get('friends')).toEqual([webId])
+    })
+
+    it('can add models and URIs to relation fields', () => {
+      const carolURI = `${profileURI}#carol`
+      const updatedModel = friendsModel
+        .add('friends', carolURI)
+        .add('friends', friendsModel.any('friends'))
+      expect(updatedModel.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [],
+          toIns: [
+            `<${webId}> <${FOAF}knows> <${carolURI}> .`,
+            `<${webId}> <${FOAF}knows> <${profileURI}#alice> .`
+          ]
+        }
+      })
+    })
+
+    it('includes changes to nested models in the diff', () => {
+      const aliceField = friendsModel.fields('friends')[0]
+      const alice = aliceField.value
+      const updatedModel = friendsModel.set(aliceField, alice.setAny('name', 'Alicia'))
+      expect(updatedModel.any('friends').any('name')).toEqual('Alicia')
+      expect(updatedModel.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [`<${profileURI}#alice> <${FOAF}name> "Alice" .`],
+          toIns: [`<${profileURI}#alice> <${FOAF}name> "Alicia" .`]
+        }
+      })
+    })
+
+    it('saves changes to nested models', () => {
+      const patchSpy = spy((url) => Promise.resolve({url}))
+      const aliceField = friendsModel.fields('friends')[0]
+      const updatedModel = friendsModel.set(
+        aliceField, aliceField.value.setAny('name', 'Alicia')
+      )
+      return updatedModel
+        .save(rdf, {patch: patchSpy})
+        .then(savedModel => {
+          expect(patchSpy.calledWith(
+            profileURI,
+            [`<${profileURI}#alice> <${FOAF}name> "Alice" .`],
+            [`<${profileURI}#alice> <${FOAF}name> "Alicia" .`]
+          )).toBe(true)
+          expect(savedModel.any('friends').any('name')).toEqual('Alicia')
+          expect(savedModel.diff(rdf)).toEqual({})
+        })
+    })
+
+    it('reports conflicting changes to nested models', () => {
+      const webClient = {patch: url => Promise.reject({url, status: 412})}
+      const aliceField = friendsModel.fields('friends')[0]
+      const updatedModel = friendsModel.set(
+        aliceField, aliceField.value.setAny('name', 'Alicia')
+      )
+      return updatedModel
+        .save(rdf, webClient)
+        .then(() => { throw new Error('Expected the save to fail') }, err => {
+          expect(err).toBeAn(ConflictError)
+          expect(err.conflicts[profileURI].map(field => field.value)).toEqual(['Alicia'])
+        })
+    })
+
+    it('round-trips nested models', () => {
+      const aliceField = friendsModel.fields('friends')[0]
+      const updatedModel = friendsModel.set(
+        aliceField, aliceField.value.setAny('name', 'Alicia')
+      )
+      const json = JSON.parse(JSON.stringify(updatedModel))
+      expect(json.fields.friends[0].valueType).toEqual('model')
+      expect(json.fields.friends[0].value.fields.friends[0].value).toEqual(webId)
+      const hydratedModel = personModel.fromJSON(json)
+      expect(hydratedModel.any('friends').any('name')).toEqual('Alicia')
+      expect(hydratedModel.diff(rdf)).toEqual(updatedModel.diff(rdf))
+    })
+
+    it('serializes nested models once', () => {
+      const updatedModel = friendsModel.add('friends', friendsModel.any('friends'))
+      const document = updatedModel.toNQuads(rdf)
+      expect(document.split('\n').filter(line => line.indexOf('"Alice"') >= 0).length).toBe(1)
+      expect(document).toInclude(`<${profileURI}#bob> <${FOAF}name> "Bob" <${profileURI}> .`)
+      expect(updatedModel.toTurtle(rdf)).toInclude(`<${profileURI}#alice>\n    foaf:name "Alice" ;\n    foaf:knows <${webId}> .\n`)
+    })
+
+    it('finds relation fields by nested model or URI', () => {
+      const [aliceField, bobField] = friendsModel.fields('friends')
+      expect(friendsModel.findByValue('friends', `${profileURI}#bob`)).toBe(bobField)
+      expect(friendsModel.findByValue('friends', aliceField.value)).toBe(aliceField)
+      expect(friendsModel.findByValue('friends', `${profileURI}#carol`)).toBe(undefined)
+    })
+
+    it('tracks changes to nested models', () => {
+      const aliceField = friendsModel.fields('friends')[0]
+      const updatedModel = friendsModel.set(
+        aliceField, aliceField.value.setAny('name', 'Alicia')
+      )
+      expect(updatedModel.fields('friends')[0].isModified()).toBe(false)
+      expect(updatedModel.changedKeys()).toEqual(['friends'])
+      const resetModel = updatedModel.reset()
+      expect(resetModel.isDirty()).toBe(false)
+      expect(resetModel.any('friends').any('name')).toEqual('Alice')
+      expect(resetModel.diff(rdf)).toEqual({})
+    })
+
+    it('reverts relation fields to their original nested models', () => {
+      const aliceField = friendsModel.fields('friends')[0]
+      const updatedModel = friendsModel.set(aliceField, `${profileURI}#carol`)
+      expect(updatedModel.any('friends')).toEqual(`${profileURI}#carol`)
+      const revertedModel = updatedModel.revert(aliceField)
+      const alice = revertedModel.any('friends')
+      expect(alice.subject.value).toEqual(`${profileURI}#alice`)
+      expect(alice.any('name')).toEqual('Alice')
+      expect(revertedModel.isDirty()).toBe(false)
+      expect(revertedModel.diff(rdf)).toEqual({})
+      expect(updatedModel.reset().any('friends').any('name')).toEqual('Alice')
+      // Snapshots keep the original nested model too
+      const hydratedModel = personModel.fromJSON(JSON.parse(JSON.stringify(updatedModel)))
+      expect(hydratedModel.revert(aliceField).any('friends').any('name')).toEqual('Alice')
+    })
+
+    it('rebases nested models', () => {
+      const aliceField = friendsModel.fields('friends')[0]
+      const updatedModel = friendsModel.set(
+        aliceField, aliceField.value.setAny('name', 'Alicia')
+      )
+      const graph = parse(`
+        <#me>
+            <http://xmlns.com/foaf/0.1/name> "Mr. Cool" ;
+            <http://xmlns.com/foaf/0.1/knows> <#alice> ;
+            <http://xmlns.com/foaf/0.1/knows> <#bob> ;
+            <http://xmlns.com/foaf/0.1/knows> <#carol> .
+        <#alice>
+            <http://xmlns.com/foaf/0.1/name> "Ally" .
+        <#bob>
+            <http://xmlns.com/foaf/0.1/name> "Robert" .
+        <#carol>
+            <http://xmlns.com/foaf/0.1/name> "Carol" .
+      `, profileURI)
+      const {model: rebasedModel, conflicts} = updatedModel.rebase(rdf, graph)
+      const [alice, bob, carol] = rebasedModel.get('friends')
+      expect(alice.get('name')).toEqual(['Alicia'])
+      expect(alice.get('friends')).toEqual([])
+      expect(bob.get('name')).toEqual(['Robert'])
+      expect(carol.get('name')).toEqual(['Carol'])
+      expect(conflicts.length).toBe(1)
+      expect(conflicts[0].subject.value).toEqual(`${profileURI}#alice`)
+      expect(conflicts[0].remote.value).toEqual('Ally')
+      expect(rebasedModel.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [`<${profileURI}#alice> <${FOAF}name> "Ally" .`],
+          toIns: [`<${profileURI}#alice> <${FOAF}name> "Alicia" .`]
+        }
+      })
+    })
+  })
+
+  describe('inverse fields', () => {
+    const aliceURI = `${profileURI}#alice`
+    const bobURI = `${profileURI}#bob`
+    const knows = (from, to) => `<${from}> <${FOAF}knows> <${to}> .`
+
+    let graph
+    let followerModel
+    let personModel
+
+    beforeEach(() => {
+      graph = parse(`
+        <#me>
+            <http://xmlns.com/foaf/0.1/name> "Mr. Cool" ;
+            <http://xmlns.com/foaf/0.1/knows> <#dave> .
+        <#alice>
+            <http://xmlns.com/foaf/0.1/name> "Alice" ;
+            <http://xmlns.com/foaf/0.1/knows> <#me> .
+        <#bob>
+            <http://xmlns.com/foaf/0.1/name> "Bob" ;
+            <http://xmlns.com/foaf/0.1/knows> <#me> .
+      `, profileURI)
+      personModel = modelFactory(rdf, {
+        name: vocab.foaf('name'),
+        friends: vocab.foaf('knows'),
+        knownBy: {predicate: vocab.foaf('knows'), inverse: true}
+      })
+      followerModel = personModel(graph, profileURI, webId)
+    })
+
+    it('loads the subjects of incoming edges', () => {
+      expect(followerModel.get('friends')).toEqual([`${profileURI}#dave`])
+      expect(followerModel.get('knownBy')).toEqual([aliceURI, bobURI])
+      expect(followerModel.fields('knownBy')[0].inverse).toBe(true)
+      expect(followerModel.fields('knownBy')[0].originalQuad(rdf, subject).subject.value).toEqual(aliceURI)
+    })
+
+    it('adds, removes and sets incoming edges', () => {
+      const carolURI = `${profileURI}#carol`
+      const [aliceField, bobField] = followerModel.fields('knownBy')
+      const updatedModel = followerModel
+        .add('knownBy', carolURI)
+        .remove(aliceField)
+        .set(bobField, `${profileURI}#robert`)
+      expect(updatedModel.get('knownBy')).toEqual([`${profileURI}#robert`, carolURI])
+      expect(updatedModel.changedKeys()).toEqual(['knownBy'])
+      expect(updatedModel.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [knows(bobURI, webId), knows(aliceURI, webId)],
+          toIns: [knows(`${profileURI}#robert`, webId), knows(carolURI, webId)]
+        }
+      })
+      expect(updatedModel.restore(aliceField).diff(rdf)[profileURI].toDel).toEqual([knows(bobURI, webId)])
+      expect(() => followerModel.add('knownBy', 'Carol')).toThrow(/NamedNode URI/)
+    })
+
+    it('adds incoming edges from RDF quads', () => {
+      const quad = rdf.quad(
+        rdf.namedNode(`${profileURI}#carol`),
+        vocab.foaf('knows'),
+        subject,
+        rdf.namedNode(profileURI)
+      )
+      const updatedModel = followerModel.addQuad(quad)
+      expect(updatedModel.get('knownBy')).toEqual([aliceURI, bobURI, `${profileURI}#carol`])
+      expect(updatedModel.get('friends')).toEqual([`${profileURI}#dave`])
+    })
+
+    it('saves incoming edges', () => {
+      const patch = spy(url => Promise.resolve({url}))
+      return followerModel
+        .add('knownBy', `${profileURI}#carol`)
+        .save(rdf, {patch})
+        .then(savedModel => {
+          expect(patch.calledWith(profileURI, [], [knows(`${profileURI}#carol`, webId)])).toBe(true)
+          expect(savedModel.diff(rdf)).toEqual({})
+          expect(savedModel.fields('knownBy')[2].inverse).toBe(true)
+          expect(savedModel.remove(savedModel.fields('knownBy')[2]).diff(rdf)).toEqual({
+            [profileURI]: {toDel: [knows(`${profileURI}#carol`, webId)], toIns: []}
+          })
+        })
+    })
+
+    it('resolves inverse relations into nested models', () => {
+      const nestedModel = modelFactory(rdf, {
+        name: vocab.foaf('name'),
+        knownBy: {predicate: vocab.foaf('knows'), inverse: true, model: (...args) => nestedModel(...args)}
+      })
+      const me = nestedModel(graph, profileURI, `${profileURI}#dave`).any('knownBy')
+      expect(me.any('name')).toEqual('Mr. Cool')
+      expect(me.get('knownBy').map(person => person.any('name'))).toEqual(['Alice', 'Bob'])
+    })
+
+    it('round-trips inverse fields', () => {
+      const updatedModel = followerModel.remove(followerModel.fields('knownBy')[0])
+      const json = JSON.parse(JSON.stringify(updatedModel))
+      expect(json.graveyard[0].inverse).toBe(true)
+      const hydratedModel = personModel.fromJSON(json)
+      expect(hydratedModel.graveyard[0].inverse).toBe(true)
+      expect(hydratedModel.diff(rdf)).toEqual(updatedModel.diff(rdf))
+    })
+
+    it('exports inverse fields as reverse properties', () => {
+      const doc = followerModel.toJSONLD(rdf)
+      expect(doc['@context'].knownBy).toEqual({'@reverse': `${FOAF}knows`, '@type': '@id'})
+      expect(doc.knownBy).toEqual([aliceURI, bobURI])
+      expect(followerModel.applyJSONLD({knownBy: aliceURI}).diff(rdf)).toEqual({
+        [profileURI]: {toDel: [knows(bobURI, webId)], toIns: []}
+      })
+    })
+
+    it('rebases incoming edges', () => {
+      const updatedModel = followerModel.remove(followerModel.fields('knownBy')[0])
+      const latestGraph = parse(`
+        <#alice> <http://xmlns.com/foaf/0.1/knows> <#me> .
+        <#bob> <http://xmlns.com/foaf/0.1/knows> <#me> .
+        <#carol> <http://xmlns.com/foaf/0.1/knows> <#me> .
+      `, profileURI)
+      const {model: rebasedModel, conflicts} = updatedModel.rebase(rdf, latestGraph)
+      expect(conflicts).toEqual([])
+      expect(rebasedModel.get('knownBy')).toEqual([bobURI, `${profileURI}#carol`])
+      expect(rebasedModel.graveyard.map(field => field.value)).toEqual([aliceURI])
+      expect(rebasedModel.diff(rdf)).toEqual(updatedModel.diff(rdf))
+    })
+  })
+
+  describe('property paths', () => {
+    const emailURI = `${profileURI}#email`
+    const statement = (from, predicate, to) => `${termToNT(from)} <${predicate}> ${termToNT(to)} .`
+
+    let contactModel
+    let contact
+
+    beforeEach(() => {
+      const card = `
+        @prefix vcard: <http://www.w3.org/2006/vcard/ns#> .
+        <#me>
+            vcard:fn "Mr. Cool" ;
+            vcard:hasTelephone [ a vcard:Home ; vcard:value <tel:123-456-7890> ] ;
+            vcard:hasTelephone [ a vcard:Work ; vcard:value <tel:098-765-4321>, <tel:111-111-1111> ] ;
+            vcard:hasEmail <#email> .
+        <#email> vcard:value <mailto:mr_cool@example.com> .
+        <#alice>
+            <http://xmlns.com/foaf/0.1/name> "Alice" ;
+            <http://xmlns.com/foaf/0.1/knows> <#me> .
+      `
+      contactModel = modelFactory(rdf, {
+        phones: {path: [vocab.vcard('hasTelephone'), vocab.vcard('value')], namedNode: true},
+        emails: {path: [vocab.vcard('hasEmail'), `${VCARD}value`], namedNode: true},
+        names: {path: {alternative: [vocab.foaf('name'), vocab.vcard('fn')]}},
+        knownBy: {path: [{inverse: vocab.foaf('knows')}, vocab.foaf('name')]}
+      })
+      contact = contactModel(parse(card, profileURI), profileURI, webId)
+    })
+
+    it('reads values through intermediate nodes', () => {
+      expect(contact.get('phones')).toEqual(['tel:123-456-7890', 'tel:098-765-4321', 'tel:111-111-1111'])
+      expect(contact.get('emails')).toEqual(['mailto:mr_cool@example.com'])
+      expect(contact.get('names')).toEqual(['Mr. Cool'])
+      expect(contact.get('knownBy')).toEqual(['Alice'])
+      const [homePhone] = contact.fields('phones')
+      expect(homePhone.via.length).toBe(1)
+      expect(homePhone.via[0].node.termType).toEqual('BlankNode')
+      expect(homePhone.originalQuad(rdf, subject).subject).toEqual(homePhone.via[0].node)
+      expect(contact.fields('knownBy')[0].via[0].node.value).toEqual(`${profileURI}#alice`)
+    })
+
+    it('updates values without touching the intermediate nodes', () => {
+      const [homePhone] = contact.fields('phones')
+      const phoneNode = homePhone.via[0].node
+      const updatedContact = contact.set(homePhone, 'tel:000-000-0000')
+      expect(updatedContact.get('phones')[0]).toEqual('tel:000-000-0000')
+      expect(updatedContact.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [statement(phoneNode, `${VCARD}value`, rdf.namedNode('tel:123-456-7890'))],
+          toIns: [statement(phoneNode, `${VCARD}value`, rdf.namedNode('tel:000-000-0000'))],
+          where: [
+            statement(subject, `${VCARD}hasTelephone`, phoneNode),
+            statement(phoneNode, `${VCARD}value`, rdf.namedNode('tel:123-456-7890'))
+          ]
+        }
+      })
+    })
+
+    it('creates intermediate nodes for new values', () => {
+      const updatedContact = contact
+        .add('phones', 'tel:555-555-5555')
+        .add('names', 'Dan')
+        .add('knownBy', 'Bob')
+      const newPhone = updatedContact.fields('phones')[3]
+      const newFriend = updatedContact.fields('knownBy')[1]
+      expect(newPhone.via[0].node.termType).toEqual('BlankNode')
+      expect(updatedContact.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [],
+          toIns: [
+            statement(subject, `${VCARD}hasTelephone`, newPhone.via[0].node),
+            statement(newPhone.via[0].node, `${VCARD}value`, rdf.namedNode('tel:555-555-5555')),
+            `<${webId}> <${FOAF}name> "Dan" .`,
+            statement(newFriend.via[0].node, `${FOAF}knows`, subject),
+            `${termToNT(newFriend.via[0].node)} <${FOAF}name> "Bob" .`
+          ]
+        }
+      })
+      expect(updatedContact.changedKeys()).toEqual(['phones', 'names', 'knownBy'])
+      expect(updatedContact.toNQuads(rdf)).toInclude(`${termToNT(newPhone.via[0].node)} <${VCARD}value> <tel:555-555-5555> <${profileURI}> .`)
+    })
+
+    it('removes blank intermediate nodes along with their last value', () => {
+      const [homePhone, workPhone, otherWorkPhone] = contact.fields('phones')
+      const homeNode = homePhone.via[0].node
+      const workNode = workPhone.via[0].node
+      const [email] = contact.fields('emails')
+      expect(contact.remove(homePhone).remove(email).diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [
+            statement(homeNode, `${VCARD}value`, rdf.namedNode('tel:123-456-7890')),
+            statement(subject, `${VCARD}hasTelephone`, homeNode),
+            statement(rdf.namedNode(emailURI), `${VCARD}value`, rdf.namedNode('mailto:mr_cool@example.com'))
+          ],
+          toIns: [],
+          where: [
+            statement(subject, `${VCARD}hasTelephone`, homeNode),
+            statement(homeNode, `${VCARD}value`, rdf.namedNode('tel:123-456-7890'))
+          ],
+          toClear: [termToNT(homeNode)]
+        }
+      })
+      expect(contact.remove(workPhone).diff(rdf)[profileURI]).toEqual({
+        toDel: [statement(workNode, `${VCARD}value`, rdf.namedNode('tel:098-765-4321'))],
+        toIns: [],
+        where: [
+          statement(subject, `${VCARD}hasTelephone`, workNode),
+          statement(workNode, `${VCARD}value`, rdf.namedNode('tel:098-765-4321')),
+          // The node is still found through its other value once this one is gone
+          statement(workNode, `${VCARD}value`, rdf.namedNode('tel:111-111-1111'))
+        ]
+      })
+      const workDiff = contact.remove(workPhone).remove(otherWorkPhone).diff(rdf)[profileURI]
+      expect(workDiff.toDel).toEqual([
+        statement(workNode, `${VCARD}value`, rdf.namedNode('tel:098-765-4321')),
+        statement(subject, `${VCARD}hasTelephone`, workNode),
+        statement(workNode, `${VCARD}value`, rdf.namedNode('tel:111-111-1111'))
+      ])
+      expect(workDiff.toClear).toEqual([termToNT(workNode)])
+      const restoredContact = contact.remove(homePhone).restore(homePhone)
+      expect(restoredContact.diff(rdf)).toEqual({})
+      expect(contact.remove(homePhone).changedKeys()).toEqual(['phones'])
+    })
+
+    it('keeps the paths of saved and serialized fields', () => {
+      const patch = spy(url => Promise.resolve({url}))
+      const updatedContact = contact
+        .add('phones', 'tel:555-555-5555')
+        .remove(contact.fields('phones')[0])
+      const json = JSON.parse(JSON.stringify(updatedContact))
+      expect(json.fields.phones[2].via[0].predicate).toEqual(`${VCARD}hasTelephone`)
+      expect(contactModel.fromJSON(json).diff(rdf)).toEqual(updatedContact.diff(rdf))
+      return updatedContact
+        .save(rdf, {patch})
+        .then(savedContact => {
+          expect(savedContact.diff(rdf)).toEqual({})
+          const newPhone = savedContact.fields('phones')[2]
+          expect(newPhone.via).toEqual(updatedContact.fields('phones')[2].via)
+          const savedDiff = savedContact.set(newPhone, 'tel:666-666-6666').diff(rdf)[profileURI]
+          expect(savedDiff.toDel).toEqual([
+            statement(newPhone.via[0].node, `${VCARD}value`, rdf.namedNode('tel:555-555-5555'))
+          ])
+          expect(savedDiff.where).toInclude(statement(subject, `${VCARD}hasTelephone`, newPhone.via[0].node))
+        })
+    })
+
+    it('sends updates which find blank nodes when saving', () => {
+      const patch = spy(url => Promise.resolve({url}))
+      const updatedContact = contact.set(contact.fields('phones')[0], 'tel:000-000-0000')
+      const diff = updatedContact.diff(rdf)[profileURI]
+      return updatedContact
+        .save(rdf, {patch})
+        .then(() => {
+          expect(patch.calledOnce).toBe(true)
+          expect(patch.calledWith(profileURI, diff.toDel, diff.toIns, {query: sparqlUpdate(diff)})).toBe(true)
+          expect(sparqlUpdate(diff)).toInclude(`<${webId}> <${VCARD}hasTelephone> ?b0 .`)
+        })
+    })
+
+    it('rebases fields with property paths', () => {
+      const latestGraph = parse(`
+        @prefix vcard: <http://www.w3.org/2006/vcard/ns#> .
+        <#me> vcard:hasTelephone <#phone> ; vcard:hasEmail <#email> .
+        <#phone> vcard:value <tel:222-222-2222> .
+        <#email> vcard:value <mailto:mr_cool@example.com> .
+      `, profileURI)
+      const {model: rebasedContact} = contact.rebase(rdf, latestGraph)
+      expect(rebasedContact.get('phones')).toEqual(['tel:222-222-2222'])
+      expect(rebasedContact.fields('phones')[0].via[0].node.value).toEqual(`${profileURI}#phone`)
+      expect(rebasedContact.get('emails')).toEqual(['mailto:mr_cool@example.com'])
+      expect(rebasedContact.diff(rdf)).toEqual({})
+    })
+
+    it('leaves keys with property paths out of JSON-LD documents', () => {
+      const doc = contact.toJSONLD(rdf)
+      expect(doc).toEqual({'@context': {}, '@id': webId})
+    })
+
+    it('rejects empty paths', () => {
+      expect(() => modelFactory(rdf, {phones: {path: []}})).toThrow(/Empty property path for key \[phones\]/)
+      expect(() => modelFactory(rdf, {phones: {path: {alternative: []}}})).toThrow(/Empty property path/)
+    })
+  })
+
+  describe('lists', () => {
+    const TERMS = 'https://example.com/terms#'
+    const nil = rdf.namedNode('http://www.w3.org/1999/02/22-rdf-syntax-ns#nil')
+    const first = (cell, item) => `${termToNT(cell)} <http://www.w3.org/1999/02/22-rdf-syntax-ns#first> "${item}" .`
+    const rest = (cell, next) => `${termToNT(cell)} <http://www.w3.org/1999/02/22-rdf-syntax-ns#rest> ${termToNT(next)} .`
+    const head = (key, cell) => `<${webId}> <${TERMS}${key}> ${termToNT(cell)} .`
+    const favorites = ([tea, cake, jam]) => [
+      head('favorites', tea),
+      first(tea, 'tea'),
+      rest(tea, cake),
+      first(cake, 'cake'),
+      rest(cake, jam),
+      first(jam, 'jam'),
+      rest(jam, nil)
+    ]
+
+    let listModel
+    let lists
+    let graph
+
+    beforeEach(() => {
+      const profile = `
+        @prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .
+        <#me>
+            <https://example.com/terms#favorites> [
+              rdf:first "tea" ;
+              rdf:rest [ rdf:first "cake" ; rdf:rest [ rdf:first "jam" ; rdf:rest rdf:nil ] ]
+            ] ;
+            <https://example.com/terms#friends> rdf:nil .
+      `
+      listModel = modelFactory(rdf, {
+        favorites: {predicate: `${TERMS}favorites`, list: true},
+        friends: {predicate: `${TERMS}friends`, list: true, namedNode: true}
+      })
+      graph = parse(profile, profileURI)
+      lists = listModel(graph, profileURI, webId)
+    })
+
+    it('reads lists as arrays', () => {
+      expect(lists.get('favorites')).toEqual([['tea', 'cake', 'jam']])
+      expect(lists.get('friends')).toEqual([[]])
+      expect(lists.fields('favorites')[0].cells.every(cell => cell.termType === 'BlankNode')).toBe(true)
+      expect(lists.findByValue('favorites', ['tea', 'cake', 'jam'])).toBe(lists.fields('favorites')[0])
+      expect(lists.isDirty()).toBe(false)
+    })
+
+    it('reads lists written with the collection syntax', () => {
+      const profile = `
+        <#me> <https://example.com/terms#favorites> ( "tea" "cake" "jam" ) ;
+            <https://example.com/terms#friends> ( <#alice> ) .
+      `
+      const collections = listModel(parse(profile, profileURI), profileURI, webId)
+      expect(collections.get('favorites')).toEqual([['tea', 'cake', 'jam']])
+      expect(collections.get('friends')).toEqual([[`${profileURI}#alice`]])
+      expect(collections.isDirty()).toBe(false)
+      const [tea, cake, jam] = collections.fields('favorites')[0].cells
+      expect(tea.termType).toEqual('BlankNode')
+      expect(collections.removeItem('favorites', 1).diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [rest(tea, cake), first(cake, 'cake'), rest(cake, jam)],
+          toIns: [rest(tea, jam)],
+          where: favorites([tea, cake, jam])
+        }
+      })
+    })
+
+    it('links inserted items into the list', () => {
+      const updated = lists.insertItem('favorites', 1, 'milk')
+      const [tea, milk, cake, jam] = updated.fields('favorites')[0].cells
+      expect(updated.get('favorites')).toEqual([['tea', 'milk', 'cake', 'jam']])
+      expect(milk.termType).toEqual('BlankNode')
+      expect(updated.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [rest(tea, cake)],
+          toIns: [rest(tea, milk), first(milk, 'milk'), rest(milk, cake)],
+          where: favorites([tea, cake, jam])
+        }
+      })
+      expect(updated.changedKeys()).toEqual(['favorites'])
+    })
+
+    it('relinks moved items', () => {
+      const [tea, cake, jam] = lists.fields('favorites')[0].cells
+      const updated = lists.moveItem('favorites', 0, 2)
+      expect(updated.get('favorites')).toEqual([['cake', 'jam', 'tea']])
+      expect(updated.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [head('favorites', tea), rest(tea, cake), rest(jam, nil)],
+          toIns: [head('favorites', cake), rest(jam, tea), rest(tea, nil)],
+          where: favorites([tea, cake, jam])
+        }
+      })
+      expect(updated.moveItem('favorites', 2, 0).diff(rdf)).toEqual({})
+    })
+
+    it('unlinks removed items', () => {
+      const [tea, cake, jam] = lists.fields('favorites')[0].cells
+      expect(lists.removeItem('favorites', 1).diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [rest(tea, cake), first(cake, 'cake'), rest(cake, jam)],
+          toIns: [rest(tea, jam)],
+          where: favorites([tea, cake, jam])
+        }
+      })
+    })
+
+    it('starts lists from rdf:nil', () => {
+      const updated = lists.insertItem('friends', 0, `${profileURI}#alice`)
+      const [alice] = updated.fields('friends')[0].cells
+      expect(updated.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [head('friends', nil)],
+          toIns: [
+            head('friends', alice),
+            `${termToNT(alice)} <http://www.w3.org/1999/02/22-rdf-syntax-ns#first> <${profileURI}#alice> .`,
+            rest(alice, nil)
+          ]
+        }
+      })
+      const added = listModel(emptyGraph(), profileURI, webId).insertItem('favorites', 0, 'tea')
+      expect(added.get('favorites')).toEqual([['tea']])
+      expect(added.diff(rdf)[profileURI].toIns.length).toBe(3)
+    })
+
+    it('keeps the cells of replaced items', () => {
+      const [tea, cake, jam] = lists.fields('favorites')[0].cells
+      expect(lists.setAny('favorites', ['coffee', 'cake']).diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [first(tea, 'tea'), rest(cake, jam), first(jam, 'jam'), rest(jam, nil)],
+          toIns: [first(tea, 'coffee'), rest(cake, nil)],
+          where: favorites([tea, cake, jam])
+        }
+      })
+    })
+
+    it('removes every cell along with the list', () => {
+      const [tea, cake, jam] = lists.fields('favorites')[0].cells
+      const updated = lists.insertItem('favorites', 0, 'milk').remove(lists.fields('favorites')[0])
+      expect(updated.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: favorites([tea, cake, jam]),
+          toIns: [],
+          where: favorites([tea, cake, jam])
+        }
+      })
+    })
+
+    it('rejects edits out of range', () => {
+      expect(() => lists.insertItem('favorites', 4, 'milk')).toThrow(/List index out of range/)
+      expect(() => lists.moveItem('favorites', 0, 3)).toThrow(/List index out of range/)
+      expect(() => lists.removeItem('favorites', -1)).toThrow(/List index out of range/)
+      expect(() => listModel(emptyGraph(), profileURI, webId).removeItem('favorites', 0))
+        .toThrow(/No list for key \[favorites\]/)
+      expect(() => lists.setAny('favorites', 'tea')).toThrow(/List fields hold arrays/)
+    })
+
+    it('rejects malformed lists', () => {
+      const broken = `
+        @prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .
+        <#me> <https://example.com/terms#favorites> [ rdf:first "tea", "cake" ; rdf:rest rdf:nil ] .
+      `
+      expect(() => listModel(parse(broken, profileURI), profileURI, webId)).toThrow(/Malformed RDF list/)
+    })
+
+    it('tracks the cells of saved and serialized lists', () => {
+      const patch = spy(url => Promise.resolve({url}))
+      const updated = lists.insertItem('favorites', 3, 'honey').removeItem('favorites', 0)
+      const json = JSON.parse(JSON.stringify(updated))
+      expect(listModel.fromJSON(json).diff(rdf)).toEqual(updated.diff(rdf))
+      return updated
+        .save(rdf, {patch})
+        .then(saved => {
+          expect(saved.diff(rdf)).toEqual({})
+          const [cake, jam, honey] = saved.fields('favorites')[0].cells
+          expect(saved.removeItem('favorites', 2).diff(rdf)).toEqual({
+            [profileURI]: {
+              toDel: [rest(jam, honey), first(honey, 'honey'), rest(honey, nil)],
+              toIns: [rest(jam, nil)],
+              where: [
+                head('favorites', cake),
+                first(cake, 'cake'),
+                rest(cake, jam),
+                first(jam, 'jam'),
+                rest(jam, honey),
+                first(honey, 'honey'),
+                rest(honey, nil)
+              ]
+            }
+          })
+          expect(saved.toNQuads(rdf)).toInclude(first(cake, 'cake').slice(0, -2))
+        })
+    })
+
+    it('writes lists to JSON-LD', () => {
+      expect(lists.toJSONLD(rdf)).toEqual({
+        '@context': {
+          favorites: {'@id': `${TERMS}favorites`, '@container': '@list'},
+          friends: {'@id': `${TERMS}friends`, '@type': '@id', '@container': '@list'}
+        },
+        '@id': webId,
+        favorites: ['tea', 'cake', 'jam'],
+        friends: []
+      })
+      const doubled = lists.add('favorites', ['milk'])
+      expect(doubled.toJSONLD(rdf).favorites).toEqual([{'@list': ['tea', 'cake', 'jam']}, {'@list': ['milk']}])
+    })
+
+    it('applies lists from JSON-LD', () => {
+      expect(lists.applyJSONLD({favorites: ['tea', 'cake', 'jam']}).diff(rdf)).toEqual({})
+      expect(lists.applyJSONLD({favorites: {'@list': ['tea', 'jam']}}).get('favorites')).toEqual([['tea', 'jam']])
+      expect(lists.applyJSONLD({friends: [`${profileURI}#alice`]}).get('friends')).toEqual([[`${profileURI}#alice`]])
+      const doubled = lists.applyJSONLD({favorites: [{'@list': ['tea']}, {'@list': []}]})
+      expect(doubled.get('favorites')).toEqual([['tea'], []])
+      expect(lists.applyJSONLD({favorites: null}).get('favorites')).toEqual([])
+    })
+
+    it('rebases lists whose cells changed remotely', () => {
+      const [favorites] = lists.fields('favorites')
+      const [friends] = lists.fields('friends')
+      const latestGraph = graphOf([
+        favorites.toQuad(rdf, subject),
+        ...favorites.removeItem(2).listQuads(rdf),
+        friends.toQuad(rdf, subject)
+      ])
+      expect(lists.rebase(rdf, graph).model.get('favorites')).toEqual([['tea', 'cake', 'jam']])
+      const {model: rebased, conflicts} = lists.rebase(rdf, latestGraph)
+      expect(rebased.get('favorites')).toEqual([['tea', 'cake']])
+      expect(rebased.diff(rdf)).toEqual({})
+      expect(conflicts).toEqual([])
+      const edited = lists.insertItem('favorites', 0, 'milk')
+      const local = edited.rebase(rdf, latestGraph)
+      expect(local.conflicts.map(conflict => conflict.key)).toEqual(['favorites'])
+      expect(local.model.get('favorites')).toEqual([['milk', 'tea', 'cake', 'jam']])
+      const remote = edited.rebase(rdf, latestGraph, {resolve: 'remote'})
+      expect(remote.model.get('favorites')).toEqual([['tea', 'cake']])
+    })
+  })
+
+  describe('compound fields', () => {
+    const property = (node, name, value) => `${termToNT(node)} <${VCARD}${name}> "${value}" .`
+    const link = node => `<${webId}> <${VCARD}hasAddress> ${termToNT(node)} .`
+    const address = (node, street = '1 Main St') => [
+      link(node),
+      property(node, 'street-address', street),
+      property(node, 'locality', 'Springfield'),
+      property(node, 'postal-code', '12345')
+    ]
+
+    let addressModel
+    let addresses
+    let graph
+
+    beforeEach(() => {
+      const profile = `
+        @prefix vcard: <http://www.w3.org/2006/vcard/ns#> .
+        <#me> vcard:hasAddress [
+          a vcard:Home ;
+          vcard:street-address "1 Main St" ;
+          vcard:locality "Springfield" ;
+          vcard:postal-code "12345"
+        ] .
+      `
+      addressModel = modelFactory(rdf, {
+        addresses: {
+          predicate: vocab.vcard('hasAddress'),
+          compound: {
+            street: vocab.vcard('street-address'),
+            locality: `${VCARD}locality`,
+            postalCode: {predicate: vocab.vcard('postal-code')}
+          }
+        }
+      })
+      graph = parse(profile, profileURI)
+      addresses = addressModel(graph, profileURI, webId)
+    })
+
+    it('reads the properties of blank nodes as objects', () => {
+      expect(addresses.get('addresses')).toEqual([{street: '1 Main St', locality: 'Springfield', postalCode: '12345'}])
+      expect(addresses.fields('addresses')[0].node.termType).toEqual('BlankNode')
+      expect(addresses.findByValue('addresses', {postalCode: '12345', street: '1 Main St', locality: 'Springfield'}))
+        .toBe(addresses.fields('addresses')[0])
+      expect(addresses.isDirty()).toBe(false)
+    })
+
+    it('edits values in place on the same node', () => {
+      const [field] = addresses.fields('addresses')
+      const moved = addresses.set(field, {street: '2 Elm St', locality: 'Springfield', postalCode: '12345'})
+      expect(moved.fields('addresses')[0].node).toBe(field.node)
+      expect(moved.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [property(field.node, 'street-address', '1 Main St')],
+          toIns: [property(field.node, 'street-address', '2 Elm St')],
+          where: address(field.node)
+        }
+      })
+      expect(moved.changedKeys()).toEqual(['addresses'])
+      const dropped = addresses.set(field, {street: '1 Main St', locality: 'Springfield'})
+      expect(dropped.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [property(field.node, 'postal-code', '12345')],
+          toIns: [],
+          where: address(field.node)
+        }
+      })
+      expect(moved.set(moved.fields('addresses')[0], field.value).diff(rdf)).toEqual({})
+    })
+
+    it('adds new values on new blank nodes', () => {
+      const added = addressModel(emptyGraph(), profileURI, webId)
+        .add('addresses', {street: '3 Oak St', locality: ['Shelbyville', 'Capital City']})
+      const [field] = added.fields('addresses')
+      expect(field.node.termType).toEqual('BlankNode')
+      expect(added.get('addresses')).toEqual([{street: '3 Oak St', locality: ['Shelbyville', 'Capital City']}])
+      expect(added.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [],
+          toIns: [
+            link(field.node),
+            property(field.node, 'street-address', '3 Oak St'),
+            property(field.node, 'locality', 'Shelbyville'),
+            property(field.node, 'locality', 'Capital City')
+          ]
+        }
+      })
+    })
+
+    it('removes the quads of the node along with the value', () => {
+      const [field] = addresses.fields('addresses')
+      expect(addresses.remove(field).diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: address(field.node),
+          toIns: [],
+          where: address(field.node),
+          toClear: [termToNT(field.node)]
+        }
+      })
+    })
+
+    it('reads properties with several values as arrays', () => {
+      const profile = `
+        @prefix vcard: <http://www.w3.org/2006/vcard/ns#> .
+        <#me> vcard:hasAddress [ vcard:street-address "1 Main St", "Apt 4" ] .
+      `
+      const model = addressModel(parse(profile, profileURI), profileURI, webId)
+      expect(model.get('addresses')).toEqual([{street: ['1 Main St', 'Apt 4']}])
+    })
+
+    it('rejects values which are not compound', () => {
+      expect(() => addresses.add('addresses', '1 Main St')).toThrow(/Compound fields hold objects/)
+      expect(() => addresses.add('addresses', {country: 'USA'})).toThrow(/Unknown property \[country\]/)
+      const profile = '<#me> <http://www.w3.org/2006/vcard/ns#hasAddress> <#home> .'
+      expect(() => addressModel(parse(profile, profileURI), profileURI, webId))
+        .toThrow(/Compound values must be blank nodes/)
+    })
+
+    it('tracks the nodes of saved and serialized values', () => {
+      const patch = spy(url => Promise.resolve({url}))
+      const [field] = addresses.fields('addresses')
+      const updated = addresses.set(field, {...field.value, street: '2 Elm St'})
+      const json = JSON.parse(JSON.stringify(updated))
+      expect(addressModel.fromJSON(json).diff(rdf)).toEqual(updated.diff(rdf))
+      return updated
+        .save(rdf, {patch})
+        .then(saved => {
+          expect(saved.diff(rdf)).toEqual({})
+          const [savedField] = saved.fields('addresses')
+          expect(saved.set(savedField, {street: '2 Elm St'}).diff(rdf)).toEqual({
+            [profileURI]: {
+              toDel: [property(field.node, 'locality', 'Springfield'), property(field.node, 'postal-code', '12345')],
+              toIns: [],
+              where: address(field.node, '2 Elm St')
+            }
+          })
+        })
+    })
+
+    it('leaves compound values out of JSON-LD', () => {
+      expect(addresses.toJSONLD(rdf)).toEqual({'@context': {}, '@id': webId})
+      expect(addresses.applyJSONLD({addresses: {street: '2 Elm St'}})).toBe(addresses)
+    })
+
+    it('rebases values whose nodes changed remotely', () => {
+      const [field] = addresses.fields('addresses')
+      const latestGraph = graphOf([
+        field.toQuad(rdf, subject),
+        ...field.set({value: {street: '1 Main St', locality: 'Shelbyville'}}).compoundQuads(rdf)
+      ])
+      const {model: rebased, conflicts} = addresses.rebase(rdf, latestGraph)
+      expect(rebased.get('addresses')).toEqual([{street: '1 Main St', locality: 'Shelbyville'}])
+      expect(rebased.diff(rdf)).toEqual({})
+      expect(conflicts).toEqual([])
+      const edited = addresses.set(field, {street: '2 Elm St'})
+      const local = edited.rebase(rdf, latestGraph)
+      expect(local.conflicts.map(conflict => conflict.key)).toEqual(['addresses'])
+      expect(local.model.get('addresses')).toEqual([{street: '2 Elm St'}])
+    })
+  })
+
+  describe('computed keys', () => {
+    let displayModel
+    let graph
+    let compute
+
+    beforeEach(() => {
+      const profile = `
+        @prefix foaf: <http://xmlns.com/foaf/0.1/> .
+        <#me> foaf:givenName "Mr." ; foaf:familyName "Cool" ; foaf:phone <tel:123-456-7890>, <tel:098-765-4321> .
+      `
+      compute = spy(model => model.any('name') ||
+        [model.any('givenName'), model.any('familyName')].filter(Boolean).join(' ') ||
+        model.subject.value.split('#')[1])
+      displayModel = modelFactory(rdf, {
+        name: vocab.foaf('name'),
+        givenName: vocab.foaf('givenName'),
+        familyName: vocab.foaf('familyName'),
+        phone: {predicate: vocab.foaf('phone'), namedNode: true},
+        displayName: {compute, write: name => ({name, givenName: null, familyName: null})},
+        phoneCount: {compute: model => model.get('phone').length},
+        numbers: {compute: model => model.get('phone').map(phone => phone.replace(/^tel:/, ''))}
+      })
+      graph = parse(profile, profileURI)
+    })
+
+    it('reads computed values like stored ones', () => {
+      const profile = displayModel(graph, profileURI, webId)
+      expect(profile.any('displayName')).toEqual('Mr. Cool')
+      expect(profile.get('displayName')).toEqual(['Mr. Cool'])
+      expect(profile.any('phoneCount')).toBe(2)
+      expect(profile.get('numbers')).toEqual(['123-456-7890', '098-765-4321'])
+      expect(profile.fields('displayName')).toEqual([])
+      expect(profile.setAny('name', 'Dan').any('displayName')).toEqual('Dan')
+      expect(displayModel(emptyGraph(), profileURI, webId).any('displayName')).toEqual('me')
+      const empty = modelFactory(rdf, {nothing: {compute: () => null}})(emptyGraph(), profileURI, webId)
+      expect(empty.get('nothing')).toEqual([])
+      expect(empty.any('nothing')).toBe(undefined)
+    })
+
+    it('computes values once per model', () => {
+      const profile = displayModel(graph, profileURI, webId)
+      profile.any('displayName')
+      profile.get('displayName')
+      expect(compute.callCount).toBe(1)
+      const renamed = profile.setAny('name', 'Dan')
+      expect(renamed.any('displayName')).toEqual('Dan')
+      expect(compute.callCount).toBe(2)
+      expect(profile.any('displayName')).toEqual('Mr. Cool')
+      expect(compute.callCount).toBe(2)
+    })
+
+    it('writes computed values onto stored keys', () => {
+      const profile = displayModel(graph, profileURI, webId)
+      const renamed = profile.setAny('displayName', 'Dan')
+      expect(renamed.any('displayName')).toEqual('Dan')
+      expect(renamed.get('givenName')).toEqual([])
+      expect(renamed.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [
+            `<${webId}> <${FOAF}givenName> "Mr." .`,
+            `<${webId}> <${FOAF}familyName> "Cool" .`
+          ],
+          toIns: [`<${webId}> <${FOAF}name> "Dan" .`]
+        }
+      })
+      expect(renamed.changedKeys()).toEqual(['name', 'givenName', 'familyName'])
+    })
+
+    it('leaves computed keys out of snapshots and JSON-LD', () => {
+      const profile = displayModel(graph, profileURI, webId)
+      expect(Object.keys(profile.toJSON().fields)).toEqual(['name', 'givenName', 'familyName', 'phone'])
+      expect(displayModel.fromJSON(JSON.stringify(profile)).any('displayName')).toEqual('Mr. Cool')
+      expect(Object.keys(profile.toJSONLD(rdf)['@context'])).toEqual(['name', 'givenName', 'familyName', 'phone'])
+    })
+
+    it('rejects writes to read-only computed keys', () => {
+      const profile = displayModel(graph, profileURI, webId)
+      expect(() => profile.setAny('phoneCount', 3)).toThrow(/Computed key \[phoneCount\] is read-only/)
+      expect(() => profile.add('displayName', 'Dan')).toThrow(/Cannot add fields to computed key \[displayName\]/)
+    })
+
+    it('diffs and serializes models made only of computed keys', () => {
+      const labelModel = modelFactory(rdf, {label: {compute: model => model.subject.value}})
+      const label = labelModel(graph, profileURI, webId)
+      expect(label.any('label')).toEqual(webId)
+      expect(label.diff(rdf)).toEqual({})
+      expect(label.toNQuads(rdf)).toEqual('')
+    })
+  })
+
+  describe('value transformers and defaults', () => {
+    let contactModel
+    let contact
+
+    beforeEach(() => {
+      const profile = `
+        @prefix foaf: <http://xmlns.com/foaf/0.1/> .
+        <#me> foaf:mbox <mailto:mr_cool@example.com> ; foaf:phone <tel:123-456-7890> .
+      `
+      contactModel = modelFactory(rdf, {
+        email: {
+          predicate: vocab.foaf('mbox'),
+          namedNode: true,
+          pattern: '^mailto:',
+          parse: uri => uri.replace(/^mailto:/, ''),
+          serialize: email => `mailto:${email}`
+        },
+        phones: {
+          predicate: vocab.foaf('phone'),
+          namedNode: true,
+          parse: uri => ({number: uri.replace(/^tel:/, '')}),
+          serialize: phone => `tel:${phone.number}`
+        },
+        age: {predicate: vocab.foaf('age'), datatype: vocab.xsd('integer'), default: 0},
+        nick: {predicate: vocab.foaf('nick'), default: 'anonymous'}
+      })
+      contact = contactModel(parse(profile, profileURI), profileURI, webId)
+    })
+
+    it('parses values as they are read', () => {
+      expect(contact.any('email')).toEqual('mr_cool@example.com')
+      expect(contact.get('phones')).toEqual([{number: '123-456-7890'}])
+      expect(contact.findByValue('phones', {number: '123-456-7890'})).toBe(contact.fields('phones')[0])
+      expect(contact.isDirty()).toBe(false)
+      expect(contact.diff(rdf)).toEqual({})
+    })
+
+    it('serializes values as they are written', () => {
+      const updated = contact
+        .setAny('email', 'cool@example.com')
+        .add('phones', {number: '098-765-4321'})
+      expect(updated.diff(rdf)).toEqual({
+        [profileURI]: {
+          toDel: [`<${webId}> <${FOAF}mbox> <mailto:mr_cool@example.com> .`],
+          toIns: [
+            `<${webId}> <${FOAF}mbox> <mailto:cool@example.com> .`,
+            `<${webId}> <${FOAF}phone> <tel:098-765-4321> .`
+          ]
+        }
+      })
+      expect(contact.setAny('email', 'mr_cool@example.com').diff(rdf)).toEqual({})
+      expect(updated.validate()).toEqual({})
+    })
+
+    it('keeps parsed values in JSON snapshots and JSON-LD', () => {
+      const updated = contact.add('phones', {number: '098-765-4321'})
+      const json = JSON.parse(JSON.stringify(updated))
+      expect(json.fields.email[0].value).toEqual('mailto:mr_cool@example.com')
+      const restored = contactModel.fromJSON(json)
+      expect(restored.get('phones')).toEqual([{number: '123-456-7890'}, {number: '098-765-4321'}])
+      expect(restored.diff(rdf)).toEqual(updated.diff(rdf))
+      expect(contact.toJSONLD(rdf).email).toEqual('mailto:mr_cool@example.com')
+      expect(contact.applyJSONLD({email: 'mailto:mr_cool@example.com'}).diff(rdf)).toEqual({})
+      expect(contact.applyJSONLD({phones: ['tel:123-456-7890', 'tel:555']}).get('phones'))
+        .toEqual([{number: '123-456-7890'}, {number: '555'}])
+    })
+
+    it('returns default values without writing them', () => {
+      expect(contact.any('age')).toBe(0)
+      expect(contact.get('nick')).toEqual(['anonymous'])
+      expect(contact.fields('nick')).toEqual([])
+      expect(contact.diff(rdf)).toEqual({})
+      expect(contact.toJSONLD(rdf).nick).toBe(undefined)
+      expect(contact.setAny('age', 42).get('age')).toEqual([42])
+      const saved = contact.setAny('nick', contact.any('nick'))
+      expect(saved.diff(rdf)).toEqual({
+        [profileURI]: {toDel: [], toIns: [`<${webId}> <${FOAF}nick> "anonymous" .`]}
+      })
+    })
+  })
+
+  describe('change tracking', () => {
+    it('knows when nothing has changed', () => {
+      expect(model.isDirty()).toBe(false)
+      expect(model.changedKeys()).toEqual([])
+      expect(model.setAny('name', 'Mr. Cool').isDirty()).toBe(false)
+    })
+
+    it('knows which keys have changed', () => {
+      const [firstPhone] = model.fields('phone')
+      expect(model.add('age', 24).changedKeys()).toEqual(['age'])
+      expect(model.setAny('name', 'Dan').changedKeys()).toEqual(['name'])
+      expect(model.remove(firstPhone).changedKeys()).toEqual(['phone'])
+      expect(model.remove(firstPhone).isDirty()).toBe(true)
+      // Removing a new field leaves nothing to save
+      const addedModel = model.add('age', 24)
+      expect(addedModel.remove(addedModel.fields('age')[0]).isDirty()).toBe(false)
+    })
+
+    it('can revert fields', () => {
+      const [firstPhone, secondPhone] = model.fields('phone')
+      const updatedModel = model
+        .set(firstPhone, 'tel:000-000-0000')
+        .add('age', 24)
+      const [modifiedPhone] = updatedModel.fields('phone')
+      const revertedModel = updatedModel
+        .revert(modifiedPhone)
+        .revert(updatedModel.fields('age')[0])
+      expect(revertedModel.get('phone')).toEqual(['tel:123-456-7890', 'tel:098-765-4321'])
+      expect(revertedModel.get('age')).toEqual([])
+      expect(revertedModel.graveyard).toEqual([])
+      expect(revertedModel.isDirty()).toBe(false)
+      expect(revertedModel.revert(model.fieldCreators.phone('tel:444-444-4444', profileURI)))
+        .toBe(revertedModel)
+      expect(secondPhone.isModified()).toBe(false)
+    })
+
+    it('can restore removed fields', () => {
+      const [firstPhone] = model.fields('phone')
+      const restoredModel = model.remove(firstPhone).restore(firstPhone)
+      expect(restoredModel.get('phone')).toEqual(['tel:098-765-4321', 'tel:123-456-7890'])
+      expect(restoredModel.graveyard).toEqual([])
+      expect(restoredModel.isDirty()).toBe(false)
+      expect(restoredModel.restore(firstPhone)).toBe(restoredModel)
+    })
+
+    it('can discard every pending edit', () => {
+      const [firstPhone, secondPhone] = model.fields('phone')
+      const updatedModel = model
+        .set(firstPhone, 'tel:000-000-0000')
+        .remove(secondPhone)
+        .add('age', 24)
+        .setAny('name', 'Dan')
+      expect(updatedModel.changedKeys()).toEqual(['age', 'name', 'phone'])
+      const resetModel = updatedModel.reset()
+      expect(resetModel.isDirty()).toBe(false)
+      expect(resetModel.diff(rdf)).toEqual({})
+      expect(resetModel.get('name')).toEqual(['Mr. Cool'])
+      expect(resetModel.get('phone').sort()).toEqual(['tel:098-765-4321', 'tel:123-456-7890'])
+      expect(resetModel.get('age')).toEqual([])
+    })
+  })
+
+  describe('JSON snapshots', () => {
+    it('round-trips unsaved edits', () => {
+      const loadedModel = loadModel({versions: {[profileURI]: '"v1"'}})
+      const [firstPhone, secondPhone] = loadedModel.fields('phone')
+      const updatedModel = loadedModel
+        .set(firstPhone, 'tel:000-000-0000')
+        .remove(secondPhone)
+        .add('age', 24)
+        .add('name', 'Monsieur Cool', {lang: 'fr', namedGraph: 'https://example.com/other'})
+      const snapshot = JSON.stringify(updatedModel)
+      const hydratedModel = profileModel.fromJSON(snapshot)
+      expect(hydratedModel.subject).toEqual(subject)
+      expect(hydratedModel.defaultNamedGraph).toEqual(profileURI)
+      expect(hydratedModel.diff(rdf)).toEqual(updatedModel.diff(rdf))
+      expect(hydratedModel.get('age')).toEqual([24])
+      expect(hydratedModel.graveyard.map(field => field.id)).toEqual([secondPhone.id])
+      expect(hydratedModel.fieldById(firstPhone.id).value).toEqual('tel:000-000-0000')
+      expect(hydratedModel.versions).toEqual({[profileURI]: '"v1"'})
+      expect(hydratedModel.reset().diff(rdf)).toEqual({})
+      expect(profileModel.fromJSON(JSON.parse(snapshot)).toJSON()).toEqual(JSON.parse(snapshot))
+    })
+
+    it('drops keys which are no longer in the field map', () => {
+      const json = model.remove(model.fields('phone')[0]).toJSON()
+      const otherModel = modelFactory(rdf, {name: vocab.foaf('name')}).fromJSON(json)
+      expect(otherModel.get('name')).toEqual(['Mr. Cool'])
+      expect(otherModel.graveyard).toEqual([])
+      expect(otherModel.diff(rdf)).toEqual({})
+    })
+  })
+
+  describe('JSON-LD', () => {
+    const aliceURI = `${profileURI}#alice`
+    const carolURI = `${profileURI}#carol`
+    const RDFType = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type'
+    let personModel
+    let person
+
+    beforeEach(() => {
+      const profile = `
+        <#me>
+            a <http://xmlns.com/foaf/0.1/Person> ;
+            <http://xmlns.com/foaf/0.1/name> "Mr. Cool" ;
+            <http://xmlns.com/foaf/0.1/nick> "Cool"@en ;
+            <http://xmlns.com/foaf/0.1/age> 24 ;
+            <http://example.com/height> 1.8 ;
+            <http://xmlns.com/foaf/0.1/phone> <tel:123-456-7890> ;
+            <http://xmlns.com/foaf/0.1/knows> <#alice> .
+        <#alice>
+            <http://xmlns.com/foaf/0.1/name> "Alice" .
+      `
+      personModel = modelFactory(rdf, {
+        type: rdf.namedNode(RDFType),
+        name: vocab.foaf('name'),
+        nick: vocab.foaf('nick'),
+        age: {predicate: vocab.foaf('age'), datatype: vocab.xsd('integer')},
+        height: rdf.namedNode('http://example.com/height'),
+        phone: {predicate: vocab.foaf('phone'), namedNode: true},
+        friends: {predicate: vocab.foaf('knows'), model: (...args) => personModel(...args)}
+      })
+      person = personModel(parse(profile, profileURI), profileURI, webId)
+    })
+
+    it('exports models with the field map as the context', () => {
+      expect(person.toJSONLD(rdf)).toEqual({
+        '@context': {
+          name: `${FOAF}name`,
+          nick: `${FOAF}nick`,
+          age: {'@id': `${FOAF}age`, '@type': `${XSD}integer`},
+          height: 'http://example.com/height',
+          phone: {'@id': `${FOAF}phone`, '@type': '@id'},
+          friends: {'@id': `${FOAF}knows`, '@type': '@id'}
+        },
+        '@id': webId,
+        '@type': `${FOAF}Person`,
+        name: 'Mr. Cool',
+        nick: {'@value': 'Cool', '@language': 'en'},
+        age: '24',
+        height: {'@value': '1.8', '@type': `${XSD}decimal`},
+        phone: 'tel:123-456-7890',
+        friends: {'@id': aliceURI, name: 'Alice'}
+      })
+    })
+
+    it('exports several values, edits and references', () => {
+      const updatedModel = person
+        .add('nick', 'Cooler')
+        .add('friends', webId)
+        .add('name', 'https://example.com/names/cool', {namedNode: true})
+      const doc = updatedModel.toJSONLD(rdf)
+      expect(doc.nick).toEqual([{'@value': 'Cool', '@language': 'en'}, 'Cooler'])
+      expect(doc.friends).toEqual([{'@id': aliceURI, name: 'Alice'}, webId])
+      expect(doc.name).toEqual(['Mr. Cool', {'@id': 'https://example.com/names/cool'}])
+      expect(person.remove(person.fields('phone')[0]).toJSONLD(rdf).phone).toBe(undefined)
+    })
+
+    it('embeds nested models from other factories with their own context', () => {
+      const friendModel = modelFactory(rdf, {name: vocab.foaf('name')})
+      const profileModel = modelFactory(rdf, {
+        friends: {predicate: vocab.foaf('knows'), model: friendModel}
+      })
+      const profile = `
+        <#me> <http://xmlns.com/foaf/0.1/knows> <#alice>, [] .
+        <#alice> <http://xmlns.com/foaf/0.1/name> "Alice" .
+      `
+      const doc = profileModel(parse(profile, profileURI), profileURI, webId).toJSONLD(rdf)
+      expect(doc.friends[0]).toEqual({'@context': {name: `${FOAF}name`}, '@id': aliceURI, name: 'Alice'})
+      // Blank nodes aren't nested models, so they're only referred to
+      expect(Object.keys(doc.friends[1])).toEqual(['@id'])
+      expect(doc.friends[1]['@id']).toMatch(/^_:/)
+    })
+
+    it('applies documents as edits', () => {
+      const [nameField] = person.fields('name')
+      const updatedModel = person.applyJSONLD({
+        '@context': {ignored: 'https://example.com/ignored'},
+        '@id': webId,
+        name: 'Dan',
+        nick: [{'@value': 'Cool', '@language': 'en'}, {'@value': 'Cooler', '@language': 'en'}],
+        age: '25',
+        phone: [],
+        [`${FOAF}mbox`]: 'mailto:dan@example.com',
+        ignored: true
+      })
+      expect(updatedModel.fieldById(nameField.id).value).toEqual('Dan')
+      expect(updatedModel.get('nick')).toEqual(['Cool', 'Cooler'])
+      expect(updatedModel.fields('nick')[1].lang).toEqual('en')
+      expect(updatedModel.get('age')).toEqual([25])
+      expect(updatedModel.get('phone')).toEqual([])
+      expect(updatedModel.changedKeys()).toEqual(['name', 'nick', 'age', 'phone'])
+      expect(person.applyJSONLD({[`${FOAF}name`]: 'Dan', age: 25}).get('name')).toEqual(['Dan'])
+      expect(person.applyJSONLD({phone: null}).get('phone')).toEqual([])
+      expect(person.applyJSONLD({'@type': [`${FOAF}Person`, `${FOAF}Agent`]}).get('type'))
+        .toEqual([`${FOAF}Person`, `${FOAF}Agent`])
+    })
+
+    it('applies typed values, language tags and references', () => {
+      const updatedModel = person.applyJSONLD({
+        nick: {'@value': 'Cool'},
+        height: {'@value': '1.9', '@type': `${XSD}decimal`},
+        phone: ['tel:123-456-7890', {'@id': 'tel:000-000-0000'}],
+        name: [true, 3]
+      })
+      expect(updatedModel.get('nick')).toEqual(['Cool'])
+      expect(updatedModel.fields('nick')[0].lang).toEqual('')
+      expect(updatedModel.get('height')).toEqual([1.9])
+      expect(updatedModel.get('phone')).toEqual(['tel:123-456-7890', 'tel:000-000-0000'])
+      expect(updatedModel.get('name')).toEqual([true, 3])
+      expect(updatedModel.diff(rdf)[profileURI].toIns).toInclude(
+        `<${webId}> <${FOAF}phone> <tel:000-000-0000> .`
+      )
+    })
+
+    it('applies documents to nested models', () => {
+      const [aliceField] = person.fields('friends')
+      const updatedModel = person.applyJSONLD({
+        friends: [
+          {'@id': aliceURI, name: 'Alicia'},
+          {'@id': carolURI, name: 'Carol', friends: webId},
+          {'@id': `${profileURI}#dave`}
+        ]
+      })
+      expect(updatedModel.fieldById(aliceField.id).value.any('name')).toEqual('Alicia')
+      const [, carol, dave] = updatedModel.get('friends')
+      expect(carol.subject.value).toEqual(carolURI)
+      expect(carol.get('friends')).toEqual([webId])
+      expect(dave).toEqual(`${profileURI}#dave`)
+      expect(updatedModel.diff(rdf)[profileURI].toIns.sort()).toEqual([
+        `<${aliceURI}> <${FOAF}name> "Alicia" .`,
+        `<${carolURI}> <${FOAF}knows> <${webId}> .`,
+        `<${carolURI}> <${FOAF}name> "Carol" .`,
+        `<${webId}> <${FOAF}knows> <${carolURI}> .`,
+        `<${webId}> <${FOAF}knows> <${profileURI}#dave> .`
+      ])
+      expect(person.applyJSONLD({friends: {'@id': aliceURI, name: 'Alice'}})).toBe(person)
+      expect(person.applyJSONLD({friends: {'@id': carolURI, name: 'Carol'}}).any('friends').any('name'))
+        .toEqual('Carol')
+    })
+
+    it('round-trips its own documents', () => {
+      expect(person.applyJSONLD(person.toJSONLD(rdf))).toBe(person)
+      const updatedModel = person.setAny('name', 'Dan').add('nick', 'Dude', {lang: 'en'})
+      expect(person.applyJSONLD(updatedModel.toJSONLD(rdf)).diff(rdf)).toEqual(updatedModel.diff(rdf))
+    })
+
+    it('rejects documents about other subjects and unknown values', () => {
+      expect(() => person.applyJSONLD({'@id': aliceURI, name: 'Alice'}))
+        .toThrow(/Cannot apply a JSON-LD document about/)
+      expect(() => person.applyJSONLD({name: [{'@list': []}]}))
+        .toThrow(/Cannot apply JSON-LD value/)
+    })
+  })
+
+  describe('rebasing', () => {
+    // Parses a newer version of the profile
+    const remoteGraph = ({name = '"Mr. Cool"', phones = ['<tel:123-456-7890>', '<tel:098-765-4321>']} = {}) => parse(`
+      <#me>
+          ${name ? `<http://xmlns.com/foaf/0.1/name> ${name} ;` : ''}
+          ${phones.map(phone => `<http://xmlns.com/foaf/0.1/phone> ${phone} ;`).join('\n')}
+          <http://xmlns.com/foaf/0.1/familyName> "Cool" .
+    `, profileURI)
+    const nameQuad = name => `<${webId}> <${FOAF}name> "${name}" .`
+
+    it('keeps unchanged fields in sync with the graph', () => {
+      const graph = remoteGraph({name: '"Mr. Cooler"', phones: ['<tel:098-765-4321>', '<tel:555-555-5555>']})
+      const {model: rebasedModel, conflicts} = model.rebase(rdf, graph)
+      expect(rebasedModel.get('name')).toEqual(['Mr. Cooler'])
+      expect(rebasedModel.get('phone')).toEqual(['tel:098-765-4321', 'tel:555-555-5555'])
+      expect(rebasedModel.diff(rdf)).toEqual({})
+      expect(conflicts).toEqual([])
+    })
+
+    it('keeps local additions, edits and removals', () => {
+      const [firstPhone, secondPhone] = model.fields('phone')
+      const updatedModel = model
+        .set(firstPhone, 'tel:000-000-0000')
+        .remove(secondPhone)
+        .add('age', 24)
+      const graph = remoteGraph({phones: ['<tel:123-456-7890>', '<tel:098-765-4321>', '<tel:555-555-5555>']})
+      const {model: rebasedModel, conflicts} = updatedModel.rebase(rdf, graph)
+      expect(conflicts).toEqual([])
+      expect(rebasedModel.get('phone')).toEqual(['tel:000-000-0000', 'tel:555-555-5555'])
+      expect(rebasedModel.diff(rdf)).toEqual(updatedModel.diff(rdf))
+    })
+
+    it('drops local changes which were also made remotely', () => {
+      const updatedModel = model
+        .remove(model.fields('phone')[1])
+        .add('phone', 'tel:555-555-5555', {namedNode: true})
+      const graph = remoteGraph({phones: ['<tel:123-456-7890>', '<tel:555-555-5555>']})
+      const {model: rebasedModel} = updatedModel.rebase(rdf, graph)
+      expect(rebasedModel.get('phone')).toEqual(['tel:123-456-7890', 'tel:555-555-5555'])
+      expect(rebasedModel.graveyard).toEqual([])
+      expect(rebasedModel.diff(rdf)).toEqual({})
+    })
+
+    describe('with conflicts', () => {
+      const remoteName = () => remoteGraph({name: '"Mr. Cooler"'})
+
+      it('keeps local edits by default', () => {
+        const updatedModel = model.setAny('name', 'Dan')
+        const {model: rebasedModel, conflicts} = updatedModel.rebase(rdf, remoteName())
+        expect(rebasedModel.get('name')).toEqual(['Dan'])
+        expect(rebasedModel.diff(rdf)).toEqual({
+          [profileURI]: {toDel: [nameQuad('Mr. Cooler')], toIns: [nameQuad('Dan')]}
+        })
+        expect(conflicts.length).toBe(1)
+        const [{subject: conflictSubject, key, local, remote, resolution}] = conflicts
+        expect(conflictSubject.value).toEqual(webId)
+        expect(key).toEqual('name')
+        expect(local.value).toEqual('Dan')
+        expect(remote.value).toEqual('Mr. Cooler')
+        expect(resolution).toEqual('local')
+      })
+
+      it('can take the remote data', () => {
+        const updatedModel = model.setAny('name', 'Dan')
+        const {model: rebasedModel, conflicts} = updatedModel.rebase(rdf, remoteName(), {resolve: 'remote'})
+        expect(rebasedModel.get('name')).toEqual(['Mr. Cooler'])
+        expect(rebasedModel.diff(rdf)).toEqual({})
+        expect(conflicts[0].resolution).toEqual('remote')
+      })
+
+      it('resolves conflicts with resolution functions', () => {
+        const resolve = spy(conflict => conflict.remote ? 'remote' : 'local')
+        const updatedModel = model.setAny('name', 'Dan')
+        const {model: rebasedModel} = updatedModel.rebase(rdf, remoteName(), {resolve})
+        expect(resolve.callCount).toBe(1)
+        expect(resolve.args[0][0].key).toEqual('name')
+        expect(rebasedModel.get('name')).toEqual(['Mr. Cooler'])
+        expect(() => updatedModel.rebase(rdf, remoteName(), {resolve: () => 'mine'}))
+          .toThrow(/Unknown conflict resolution \[mine\]/)
+      })
+
+      it('handles local edits of remotely removed fields', () => {
+        const updatedModel = model.setAny('name', 'Dan')
+        const graph = remoteGraph({name: null})
+        const local = updatedModel.rebase(rdf, graph)
+        expect(local.conflicts[0].remote).toBe(null)
+        expect(local.model.diff(rdf)).toEqual({
+          [profileURI]: {toDel: [], toIns: [nameQuad('Dan')]}
+        })
+        const remote = updatedModel.rebase(rdf, graph, {resolve: 'remote'})
+        expect(remote.model.get('name')).toEqual([])
+        expect(remote.model.diff(rdf)).toEqual({})
+      })
+
+      it('handles local removals of remotely edited fields', () => {
+        const updatedModel = model.remove(model.fields('name')[0])
+        const local = updatedModel.rebase(rdf, remoteName())
+        expect(local.conflicts[0].local).toBe(null)
+        expect(local.model.get('name')).toEqual([])
+        expect(local.model.diff(rdf)).toEqual({
+          [profileURI]: {toDel: [nameQuad('Mr. Cooler')], toIns: []}
+        })
+        const remote = updatedModel.rebase(rdf, remoteName(), {resolve: 'remote'})
+        expect(remote.model.get('name')).toEqual(['Mr. Cooler'])
+        expect(remote.model.diff(rdf)).toEqual({})
+      })
+    })
+
+    it('updates the versions of the named graphs', () => {
+      const loadedModel = loadModel({versions: {[profileURI]: '"v1"', 'https://example.com/other': '"v1"'}})
+      const {model: rebasedModel} = loadedModel.rebase(rdf, remoteGraph(), {versions: {[profileURI]: '"v2"'}})
+      expect(rebasedModel.versions).toEqual({[profileURI]: '"v2"', 'https://example.com/other': '"v1"'})
+    })
+  })
+
+  describe('serializing', () => {
+    const otherURI = 'https://example.com/other'
+    const prefixes = `@prefix foaf: <${FOAF}> .\n@prefix pim: <${PIM}> .\n\n`
+
+    it('writes the current state as Turtle', () => {
+      const document = model.toTurtle(rdf)
+      expect(document).toEqual(
+        prefixes +
+        `# <${profileURI}>\n` +
+        `<${webId}>\n` +
+        '    foaf:name "Mr. Cool" ;\n' +
+        '    foaf:phone <tel:123-456-7890> ;\n' +
+        '    foaf:phone <tel:098-765-4321> ;\n' +
+        '    pim:preferencesFile <http://mr-cool.example.com/Preferences/prefs.ttl> .\n'
+      )
+      expect(new Parser().parse(document).length).toBe(4)
+      const updatedModel = model.setAny('name', 'Dan', {namedGraph: otherURI})
+      expect(updatedModel.toTurtle(rdf, {prefixes: {f: FOAF}})).toInclude(
+        `@prefix f: <${FOAF}> .\n@prefix pim: <${PIM}> .\n\n`
+      )
+      expect(updatedModel.toTurtle(rdf)).toInclude(`# <${otherURI}>\n<${webId}>\n    foaf:name "Dan" .\n`)
+    })
+
+    it('writes the current state as N-Quads', () => {
+      const document = model.remove(model.fields('phone')[1]).toNQuads(rdf)
+      expect(document).toEqual(
+        `<${webId}> <${FOAF}name> "Mr. Cool" <${profileURI}> .\n` +
+        `<${webId}> <${FOAF}phone> <tel:123-456-7890> <${profileURI}> .\n` +
+        `<${webId}> <${PIM}preferencesFile> <http://mr-cool.example.com/Preferences/prefs.ttl> <${profileURI}> .\n`
+      )
+      expect(new Parser({format: 'N-Quads'}).parse(document).length).toBe(3)
+    })
+
+    it('previews pending changes', () => {
+      const updatedModel = model
+        .setAny('name', 'Dan')
+        .remove(model.fields('phone')[1])
+        .add('age', 24, {namedGraph: otherURI})
+      expect(updatedModel.toTurtle(rdf, {changes: true})).toEqual(
+        prefixes +
+        `# Insert into <${otherURI}>\n` +
+        `<${webId}>\n    foaf:age "24"^^<${XSD}integer> .\n` +
+        '\n' +
+        `# Delete from <${profileURI}>\n` +
+        `<${webId}>\n    foaf:name "Mr. Cool" ;\n    foaf:phone <tel:098-765-4321> .\n` +
+        '\n' +
+        `# Insert into <${profileURI}>\n` +
+        `<${webId}>\n    foaf:name "Dan" .\n`
+      )
+      expect(updatedModel.toNQuads(rdf, {changes: true})).toEqual(
+        `# Insert into <${otherURI}>\n` +
+        `<${webId}> <${FOAF}age> "24"^^<${XSD}integer> <${otherURI}> .\n` +
+        `# Delete from <${profileURI}>\n` +
+        `<${webId}> <${FOAF}name> "Mr. Cool" <${profileURI}> .\n` +
+        `<${webId}> <${FOAF}phone> <tel:098-765-4321> <${profileURI}> .\n` +
+        `# Insert into <${profileURI}>\n` +
+        `<${webId}> <${FOAF}name> "Dan" <${profileURI}> .\n`
+      )
+      expect(model.toTurtle(rdf, {changes: true})).toEqual('')
+      expect(model.toNQuads(rdf, {changes: true})).toEqual('')
+    })
+  })
+
   describe('diffing', () => {
     describe('for unchanged models', () => {
       it('shows no changes', () => {
@@ -136,10 +1815,10 @@ describe('Model', () => {
       testData.forEach(([type, source]) => {
         it(`does not add ${type} fields to the diff`, () => {
           const phoneQuad = rdf.quad(
-            rdf.NamedNode.fromValue(webId),
+            rdf.namedNode(webId),
             vocab.foaf('phone'),
-            rdf.Literal.fromValue('tel:444-444-4444'),
-            rdf.NamedNode.fromValue(source)
+            rdf.literal('tel:444-444-4444'),
+            rdf.namedNode(source)
           )
           expect(model.addQuad(phoneQuad).diff(rdf))
             .toEqual({})
@@ -156,11 +1835,7 @@ describe('Model', () => {
         expectedDiff[uri] = {}
         expectedDiff[uri].toDel = []
         expectedDiff[uri].toIns = [
-          rdf.st(
-            subject,
-            vocab.foaf('phone'),
-            rdf.Literal.fromValue(value)
-          ).toString()
+          `<${webId}> <${FOAF}phone> "${value}" .`
         ]
         expect(updatedModel.diff(rdf)).toEqual(expectedDiff)
       })
@@ -174,7 +1849,7 @@ describe('Model', () => {
         const expectedDiff = {}
         expectedDiff[uri] = {}
         expectedDiff[uri].toDel = [
-          removedPhone.toQuad(rdf, subject).toString()
+          `<${webId}> <${FOAF}phone> <tel:098-765-4321> .`
         ]
         expectedDiff[uri].toIns = []
         expect(updatedModel.diff(rdf)).toEqual(expectedDiff)
@@ -192,10 +1867,10 @@ describe('Model', () => {
         expectedDiff[oldPhoneURI] = {toIns: [], toDel: []}
         expectedDiff[newPhoneURI] = {toIns: [], toDel: []}
         expectedDiff[oldPhoneURI].toDel.push(
-          `<${webId}> ${vocab.foaf('phone')} <${oldPhone.value}> .`
+          `<${webId}> <${FOAF}phone> <${oldPhone.value}> .`
         )
         expectedDiff[newPhoneURI].toIns.push(
-          `<${webId}> ${vocab.foaf('phone')} <${value}> .`
+          `<${webId}> <${FOAF}phone> <${value}> .`
         )
         expect(updatedModel.diff(rdf)).toEqual(expectedDiff)
       })
@@ -207,25 +1882,28 @@ describe('Model', () => {
         namedGraph: newGraphUrl
       })
       expect(newModel.fields('name')[0].namedGraph.equals(
-        rdf.NamedNode.fromValue(newGraphUrl)
+        rdf.namedNode(newGraphUrl)
       )).toBe(true)
       expect(newModel.diff(rdf)).toEqual({
         [profileURI]: {
-          toDel: [`<${webId}> ${vocab.foaf('name')} "Mr. Cool" .`],
+          toDel: [`<${webId}> <${FOAF}name> "Mr. Cool" .`],
           toIns: []
         },
         [newGraphUrl]: {
           toDel: [],
-          toIns: [`<${webId}> ${vocab.foaf('name')} "New Name" .`]
+          toIns: [`<${webId}> <${FOAF}name> "New Name" .`]
         }
       })
     })
   })
 
   describe('saving', () => {
-    const createFakeWebClient = ({failPatchFor = null} = {}) => {
+    const createFakeWebClient = ({failPatchFor = null, failRollbackFor = null} = {}) => {
+      const patchedURLs = []
       const patchSpy = spy((url, toDel, toIns) => {
-        return failPatchFor === url
+        const isRollback = patchedURLs.indexOf(url) >= 0
+        patchedURLs.push(url)
+        return failPatchFor === url || (isRollback && failRollbackFor === url)
           ? Promise.reject({url})
           : Promise.resolve({url})
       })
@@ -260,7 +1938,7 @@ describe('Model', () => {
           [
             profileURI,
             [],
-            [`<${webId}> ${vocab.foaf('phone')} "tel:000-000-0000" .`]
+            [`<${webId}> <${FOAF}phone> "tel:000-000-0000" .`]
           ]
         ]
         const {patchSpy, webClient} = createFakeWebClient()
@@ -274,9 +1952,9 @@ describe('Model', () => {
             // The new field should now be tracking its previously "new" state
             // as its "old" state in the .quad property.
             expect(phones[2].originalObject).toEqual(
-              rdf.Literal.fromValue(value)
+              rdf.literal(value)
             )
-            expect(phones[2].namedGraph.equals(rdf.NamedNode.fromValue(profileURI))).toBe(true)
+            expect(phones[2].namedGraph.equals(rdf.namedNode(profileURI))).toBe(true)
             expect(newModel.diff(rdf)).toEqual({})
           })
       })
@@ -294,7 +1972,7 @@ describe('Model', () => {
             expectWebCalls(webClient, patchSpy, [
               [
                 uri,
-                [removedPhone.toQuad(rdf, subject).toString()],
+                [`<${webId}> <${FOAF}phone> <tel:098-765-4321> .`],
                 []
               ]
             ])
@@ -313,8 +1991,8 @@ describe('Model', () => {
             profileURI,
             // Assume that we are updating the second phone number in the
             // profile.
-            [`<${webId}> ${vocab.foaf('phone')} <tel:098-765-4321> .`],
-            [`<${webId}> ${vocab.foaf('phone')} <tel:000-000-0000> .`]
+            [`<${webId}> <${FOAF}phone> <tel:098-765-4321> .`],
+            [`<${webId}> <${FOAF}phone> <tel:000-000-0000> .`]
           ]
         ]
         const {patchSpy, webClient} = createFakeWebClient()
@@ -326,6 +2004,7 @@ describe('Model', () => {
             expectWebCalls(webClient, patchSpy, expectedPatchCalls)
             expect(newModel.fields('phone').length).toBe(2)
             expect(newModel.diff(rdf)).toEqual({})
+            expect(newModel.fieldById(removedPhone.id).value).toEqual(value)
           })
       })
     })
@@ -341,12 +2020,12 @@ describe('Model', () => {
           [
             successfulURI,
             [],
-            [`<${webId}> ${vocab.foaf('phone')} "tel:000-000-0000" .`]
+            [`<${webId}> <${FOAF}phone> "tel:000-000-0000" .`]
           ],
           [
             unsuccessfulURI,
             [],
-            [`<${webId}> ${vocab.foaf('phone')} "tel:111-111-1111" .`]
+            [`<${webId}> <${FOAF}phone> "tel:111-111-1111" .`]
           ]
         ]
         return newModel
@@ -356,8 +2035,13 @@ describe('Model', () => {
             expectWebCalls(webClient, patchSpy, expectedPatchCalls)
             const addedPhone = updatedModel.fields('phone')[2]
             expect(addedPhone.value).toBe('tel:000-000-0000')
-            expect(addedPhone.originalQuad(rdf, subject).toString()).toBe(
-              `<${webId}> ${vocab.foaf('phone')} "tel:000-000-0000" .`
+            expect(addedPhone.originalQuad(rdf, subject)).toEqual(
+              rdf.quad(
+                subject,
+                vocab.foaf('phone'),
+                rdf.literal('tel:000-000-0000'),
+                rdf.namedNode(successfulURI)
+              )
             )
             const phoneNotPatched = updatedModel.fields('phone')[3]
             expect(phoneNotPatched.value).toBe('tel:111-111-1111')
@@ -367,6 +2051,459 @@ describe('Model', () => {
             expect(err.failedURIs).toEqual(new Set([unsuccessfulURI]))
           })
       })
+
+      it('should keep removed fields from resources which were not patched', () => {
+        const unsuccessfulURI = profileURI
+        const {webClient} = createFakeWebClient({failPatchFor: unsuccessfulURI})
+        const newModel = model
+          .remove(model.fields('phone')[1])
+          .add('phone', 'tel:000-000-0000', {namedGraph: 'https://example.com/other'})
+        return newModel
+          .save(rdf, webClient)
+          .then(() => { throw new Error('Expected the save to fail') }, err => {
+            expect(err.model.graveyard.length).toBe(1)
+            expect(err.model.diff(rdf)).toEqual({
+              [unsuccessfulURI]: {
+                toDel: [`<${webId}> <${FOAF}phone> <tel:098-765-4321> .`],
+                toIns: []
+              }
+            })
+          })
+      })
+    })
+
+    describe('with a policy', () => {
+      const otherURI = 'https://example.com/other'
+      // Creates a web client whose patches fail with the given responses, one
+      // per call, before succeeding
+      const createFlakyWebClient = (...failures) => {
+        const patchSpy = spy(url => {
+          const failure = failures.shift()
+          return failure
+            ? Promise.reject({url, ...failure})
+            : Promise.resolve({url, status: 200})
+        })
+        return {patchSpy, webClient: {patch: patchSpy}}
+      }
+      // Creates a minimal stand-in for AbortController, which older versions of
+      // node don't have
+      const createAbortController = () => {
+        let listeners = []
+        const signal = {
+          aborted: false,
+          addEventListener: (type, listener) => { listeners.push(listener) },
+          removeEventListener: (type, listener) => {
+            listeners = listeners.filter(other => other !== listener)
+          }
+        }
+        const abort = () => {
+          signal.aborted = true
+          listeners.forEach(listener => listener())
+          listeners = []
+        }
+        return {signal, abort}
+      }
+
+      it('should retry patches which fail with retryable statuses', () => {
+        const {patchSpy, webClient} = createFlakyWebClient({status: 503}, {xhr: {status: 502}})
+        const backoff = spy(() => 0)
+        return model
+          .add('phone', 'tel:000-000-0000')
+          .save(rdf, webClient, {policy: {maxAttempts: 3, backoff}})
+          .then(newModel => {
+            expect(patchSpy.callCount).toBe(3)
+            expect(backoff.args).toEqual([[1], [2]])
+            expect(newModel.attempts).toEqual({
+              [profileURI]: [
+                {succeeded: false, status: 503},
+                {succeeded: false, status: 502},
+                {succeeded: true, status: 200}
+              ]
+            })
+            expect(newModel.diff(rdf)).toEqual({})
+            expect(newModel.add('phone', 'tel:111-111-1111').attempts).toEqual({})
+          })
+      })
+
+      it('should back off exponentially by default', () => {
+        const {patchSpy, webClient} = createFlakyWebClient({}, {})
+        return model
+          .add('phone', 'tel:000-000-0000')
+          .save(rdf, webClient, {policy: {maxAttempts: 3, backoff: 1}})
+          .then(newModel => {
+            expect(patchSpy.callCount).toBe(3)
+            expect(newModel.attempts[profileURI].length).toBe(3)
+          })
+      })
+
+      it('should not retry patches which fail with other statuses', () => {
+        const {patchSpy, webClient} = createFlakyWebClient({status: 409})
+        return model
+          .add('phone', 'tel:000-000-0000')
+          .save(rdf, webClient, {policy: {maxAttempts: 3, backoff: 0}})
+          .then(() => { throw new Error('Expected the save to fail') }, err => {
+            expect(patchSpy.callCount).toBe(1)
+            expect(err.failedURIs).toEqual(new Set([profileURI]))
+            expect(err.attempts).toEqual({
+              [profileURI]: [{succeeded: false, status: 409}]
+            })
+          })
+      })
+
+      it('should give up after the maximum number of attempts', () => {
+        const {patchSpy, webClient} = createFlakyWebClient({status: 503}, {status: 503}, {status: 503})
+        return model
+          .add('phone', 'tel:000-000-0000')
+          .save(rdf, webClient, {policy: {maxAttempts: 2, backoff: 0, retryStatuses: [503]}})
+          .then(() => { throw new Error('Expected the save to fail') }, err => {
+            expect(patchSpy.callCount).toBe(2)
+            expect(err.attempts[profileURI].length).toBe(2)
+            expect(err.aborted).toBe(false)
+          })
+      })
+
+      it('should limit the number of patches sent at once', () => {
+        let inFlight = 0
+        let maxInFlight = 0
+        const webClient = {
+          patch: url => {
+            inFlight++
+            maxInFlight = Math.max(inFlight, maxInFlight)
+            return new Promise(resolve => setTimeout(() => {
+              inFlight--
+              resolve({url})
+            }, 1))
+          }
+        }
+        return model
+          .add('phone', 'tel:000-000-0000')
+          .add('phone', 'tel:111-111-1111', {namedGraph: otherURI})
+          .add('phone', 'tel:222-222-2222', {namedGraph: 'https://example.com/another'})
+          .save(rdf, webClient, {policy: {concurrency: 2}})
+          .then(newModel => {
+            expect(maxInFlight).toBe(2)
+            expect(Object.keys(newModel.attempts).length).toBe(3)
+            expect(newModel.diff(rdf)).toEqual({})
+          })
+      })
+
+      it('should not send patches once aborted', () => {
+        const {patchSpy, webClient} = createFlakyWebClient()
+        const controller = createAbortController()
+        controller.abort()
+        return model
+          .add('phone', 'tel:000-000-0000')
+          .save(rdf, webClient, {policy: {signal: controller.signal}})
+          .then(() => { throw new Error('Expected the save to fail') }, err => {
+            expect(patchSpy.called).toBe(false)
+            expect(err.aborted).toBe(true)
+            expect(err.failedURIs).toEqual(new Set([profileURI]))
+            expect(err.attempts).toEqual({[profileURI]: []})
+          })
+      })
+
+      const abortTimings = [
+        ['before backing off', abort => abort()],
+        ['while backing off', abort => setTimeout(abort, 1)]
+      ]
+      abortTimings.forEach(([timing, scheduleAbort]) => {
+        it(`should stop retrying once aborted ${timing}`, () => {
+          const {patchSpy, webClient} = createFlakyWebClient({status: 503})
+          const controller = createAbortController()
+          const backoff = () => {
+            scheduleAbort(() => controller.abort())
+            return 60000
+          }
+          return model
+            .add('phone', 'tel:000-000-0000')
+            .save(rdf, webClient, {policy: {maxAttempts: 2, backoff, signal: controller.signal}})
+            .then(() => { throw new Error('Expected the save to fail') }, err => {
+              expect(patchSpy.callCount).toBe(1)
+              expect(err.aborted).toBe(true)
+              expect(err.attempts[profileURI].length).toBe(1)
+            })
+        })
+      })
+      it('should pass the signal to the web client', () => {
+        const {patchSpy, webClient} = createFlakyWebClient()
+        const controller = createAbortController()
+        return model
+          .add('phone', 'tel:000-000-0000')
+          .save(rdf, webClient, {policy: {signal: controller.signal}})
+          .then(() => {
+            expect(patchSpy.calledOnce).toBe(true)
+            expect(patchSpy.firstCall.args[3]).toEqual({signal: controller.signal})
+          })
+      })
+
+      it('should remove abort listeners once backoffs are over', () => {
+        const {patchSpy, webClient} = createFlakyWebClient({status: 503})
+        const controller = createAbortController()
+        const addSpy = spy(controller.signal, 'addEventListener')
+        const removeSpy = spy(controller.signal, 'removeEventListener')
+        return model
+          .add('phone', 'tel:000-000-0000')
+          .save(rdf, webClient, {policy: {maxAttempts: 2, backoff: 0, signal: controller.signal}})
+          .then(() => {
+            expect(patchSpy.callCount).toBe(2)
+            expect(addSpy.calledOnce).toBe(true)
+            expect(removeSpy.calledOnce).toBe(true)
+            expect(removeSpy.firstCall.args).toEqual(addSpy.firstCall.args.slice(0, 2))
+          })
+      })
+    })
+
+    describe('with versions', () => {
+      const otherURI = 'https://example.com/other'
+      const versions = {[profileURI]: '"v1"'}
+      const xhrResponse = (url, etag) => ({
+        url,
+        xhr: {status: 200, getResponseHeader: name => name === 'ETag' ? etag : null}
+      })
+
+      it('should only patch resources whose versions have not changed', () => {
+        const patchSpy = spy(url => Promise.resolve(xhrResponse(url, '"v2"')))
+        const loadedModel = loadModel({versions})
+        expect(loadedModel.versions).toEqual(versions)
+        return loadedModel
+          .add('phone', 'tel:000-000-0000')
+          .add('phone', 'tel:111-111-1111', {namedGraph: otherURI})
+          .save(rdf, {patch: patchSpy})
+          .then(newModel => {
+            expect(patchSpy.calledWith(
+              profileURI,
+              [],
+              [`<${webId}> <${FOAF}phone> "tel:000-000-0000" .`],
+              {headers: {'If-Match': '"v1"'}}
+            )).toBe(true)
+            // There's no version to check for the other resource
+            expect(patchSpy.calledWith(otherURI)).toBe(true)
+            expect(patchSpy.withArgs(otherURI).args[0].length).toBe(3)
+            expect(newModel.versions).toEqual({[profileURI]: '"v2"', [otherURI]: '"v2"'})
+            expect(newModel.add('phone', 'tel:222-222-2222').versions).toEqual(newModel.versions)
+          })
+      })
+
+      it('should forget versions which the server does not report', () => {
+        const webClient = {
+          patch: url => Promise.resolve({url, headers: {get: () => null}})
+        }
+        return loadModel({versions})
+          .add('phone', 'tel:000-000-0000')
+          .save(rdf, webClient)
+          .then(newModel => {
+            expect(newModel.versions).toEqual({})
+          })
+      })
+
+      it('should report conflicts when resources have changed', () => {
+        const webClient = {
+          patch: url => url === profileURI
+            ? Promise.reject({url, status: 412})
+            : Promise.resolve(xhrResponse(url, '"v2"'))
+        }
+        const loadedModel = loadModel({versions})
+        const [firstPhone, secondPhone] = loadedModel.fields('phone')
+        const newModel = loadedModel
+          .set(firstPhone, 'tel:000-000-0000')
+          .remove(secondPhone)
+          .add('phone', 'tel:111-111-1111', {namedGraph: otherURI})
+        return newModel
+          .save(rdf, webClient, {policy: {maxAttempts: 3, backoff: 0}})
+          .then(() => { throw new Error('Expected the save to fail') }, err => {
+            expect(err).toBeAn(ConflictError)
+            expect(err).toBeAn(Error)
+            expect(err.name).toBe('ConflictError')
+            expect(err.message).toMatch(/changed since the model was loaded/)
+            expect(err.conflictingURIs).toEqual(new Set([profileURI]))
+            expect(err.failedURIs).toEqual(new Set())
+            expect(err.attempts[profileURI]).toEqual([{succeeded: false, status: 412}])
+            expect(err.conflicts[profileURI].map(field => field.value))
+              .toEqual(['tel:000-000-0000', 'tel:098-765-4321'])
+            expect(Object.keys(err.model.diff(rdf))).toEqual([profileURI])
+            expect(err.model.versions).toEqual({[profileURI]: '"v1"', [otherURI]: '"v2"'})
+          })
+      })
+    })
+
+    describe('atomically', () => {
+      const successfulURI = profileURI
+      const unsuccessfulURI = 'https://example.com/resource-will-fail-to-patch'
+      const successfulPhone = `<${webId}> <${FOAF}phone> "tel:000-000-0000" .`
+      const unsuccessfulPhone = `<${webId}> <${FOAF}phone> "tel:111-111-1111" .`
+      const addPhones = model => model
+        .add('phone', 'tel:000-000-0000', {namedGraph: successfulURI})
+        .add('phone', 'tel:111-111-1111', {namedGraph: unsuccessfulURI})
+
+      it('should save models as usual when every patch succeeds', () => {
+        const {patchSpy, webClient} = createFakeWebClient()
+        return addPhones(model)
+          .save(rdf, webClient, {atomic: true})
+          .then(newModel => {
+            expect(patchSpy.callCount).toBe(2)
+            expect(newModel.diff(rdf)).toEqual({})
+          })
+      })
+
+      it('should roll back the successful patches when a patch fails', () => {
+        const {patchSpy, webClient} = createFakeWebClient({failPatchFor: unsuccessfulURI})
+        const newModel = addPhones(model).remove(model.fields('phone')[1])
+        return newModel
+          .save(rdf, webClient, {atomic: true})
+          .then(() => { throw new Error('Expected the save to fail') }, err => {
+            expectWebCalls(webClient, patchSpy, [
+              [
+                successfulURI,
+                [`<${webId}> <${FOAF}phone> <tel:098-765-4321> .`],
+                [successfulPhone]
+              ],
+              [unsuccessfulURI, [], [unsuccessfulPhone]],
+              [
+                successfulURI,
+                [successfulPhone],
+                [`<${webId}> <${FOAF}phone> <tel:098-765-4321> .`]
+              ]
+            ])
+            expect(err.message).toMatch(/rolled back/)
+            expect(err.failedURIs).toEqual(new Set([unsuccessfulURI]))
+            expect(err.rolledBackURIs).toEqual(new Set([successfulURI]))
+            expect(err.rollbackFailedURIs).toEqual(new Set())
+            // Nothing was saved, so every change is still pending
+            expect(err.model.diff(rdf)).toEqual(newModel.diff(rdf))
+          })
+      })
+
+      it('should report the patches which could not be rolled back', () => {
+        const {patchSpy, webClient} = createFakeWebClient({
+          failPatchFor: unsuccessfulURI,
+          failRollbackFor: successfulURI
+        })
+        return addPhones(model)
+          .save(rdf, webClient, {atomic: true})
+          .then(() => { throw new Error('Expected the save to fail') }, err => {
+            expect(patchSpy.callCount).toBe(3)
+            expect(err.rolledBackURIs).toEqual(new Set())
+            expect(err.rollbackFailedURIs).toEqual(new Set([successfulURI]))
+            expect(err.model.diff(rdf)).toEqual({
+              [unsuccessfulURI]: {toDel: [], toIns: [unsuccessfulPhone]}
+            })
+          })
+      })
+
+      describe('with blank nodes', () => {
+        let contact
+        let server
+
+        // Splits an N-Triples statement or pattern into its three terms
+        const terms = statement => {
+          const subjectEnd = statement.indexOf(' ')
+          const predicateEnd = statement.indexOf(' ', subjectEnd + 1)
+          return [
+            statement.slice(0, subjectEnd),
+            statement.slice(subjectEnd + 1, predicateEnd),
+            statement.slice(predicateEnd + 1, statement.lastIndexOf(' .'))
+          ]
+        }
+        // Applies the SPARQL Update documents written by modelld to a list of
+        // N-Triples statements, as a server would
+        const applyUpdate = (statements, update) => update.split(' ;\n').reduce((current, operation) => {
+          const clauses = {}
+          operation.replace(/(DELETE DATA|INSERT DATA|DELETE|INSERT|WHERE) \{\n([^}]*)\}/g, (match, keyword, body) => {
+            clauses[keyword] = body.split('\n').map(line => line.trim()).filter(line => line.length > 0)
+          })
+          const unify = (pattern, statement, solution) => terms(pattern).reduce((partial, term, index) => {
+            const value = terms(statement)[index]
+            if (!partial || term[0] !== '?') {
+              return partial && term === value ? partial : null
+            }
+            return partial[term] !== undefined && partial[term] !== value ? null : {...partial, [term]: value}
+          }, solution)
+          const solutions = (clauses.WHERE || []).reduce((partials, pattern) => partials.reduce((extended, partial) => [
+            ...extended,
+            ...current.map(statement => unify(pattern, statement, partial)).filter(Boolean)
+          ], []), [{}])
+          // New blank nodes are created once per solution
+          const instantiate = (template, index) => `${terms(template).map(term => {
+            return term[0] === '?' ? solutions[index][term] : term.replace(/^_:(.*)$/, `_:$1_${index}`)
+          }).join(' ')} .`
+          const deleted = [
+            ...(clauses['DELETE DATA'] || []),
+            ...solutions.reduce((all, solution, index) => [...all, ...(clauses.DELETE || []).map(t => instantiate(t, index))], [])
+          ]
+          const inserted = [
+            ...(clauses['INSERT DATA'] || []),
+            ...solutions.reduce((all, solution, index) => [...all, ...(clauses.INSERT || []).map(t => instantiate(t, index))], [])
+          ]
+          const kept = current.filter(statement => deleted.indexOf(statement) < 0)
+          return [...kept, ...inserted.filter((statement, index) => kept.indexOf(statement) < 0 && inserted.indexOf(statement) === index)]
+        }, statements)
+
+        beforeEach(() => {
+          const card = `
+            @prefix vcard: <http://www.w3.org/2006/vcard/ns#> .
+            <#me>
+                vcard:hasTelephone [ a vcard:Home ; vcard:value <tel:123-456-7890> ] ;
+                vcard:hasTelephone [ a vcard:Work ; vcard:value <tel:098-765-4321>, <tel:111-111-1111> ] ;
+                vcard:hasAddress [ a vcard:Home ; vcard:street-address "1 Main St" ] .
+          `
+          const graph = parse(card, profileURI)
+          contact = modelFactory(rdf, {
+            phones: {path: [vocab.vcard('hasTelephone'), vocab.vcard('value')], namedNode: true},
+            addresses: {predicate: vocab.vcard('hasAddress'), compound: {street: vocab.vcard('street-address')}},
+            phone: vocab.foaf('phone')
+          })(graph, profileURI, webId)
+          const statements = rdf.match(graph).map(quad => {
+            return `${termToNT(quad.subject)} ${termToNT(quad.predicate)} ${termToNT(quad.object)} .`
+          })
+          server = {statements, original: statements.slice().sort()}
+        })
+
+        const saveWithFailure = updatedContact => {
+          const patch = spy((url, toDel, toIns, options = {}) => {
+            if (url === unsuccessfulURI) {
+              return Promise.reject({url})
+            }
+            server.statements = applyUpdate(server.statements, options.query || sparqlUpdate({toDel, toIns}))
+            return Promise.resolve({url})
+          })
+          return updatedContact
+            .add('phone', 'tel:111-111-1111', {namedGraph: unsuccessfulURI})
+            .save(rdf, {patch}, {atomic: true})
+            .then(() => { throw new Error('Expected the save to fail') }, err => ({err, patch}))
+        }
+
+        it('should roll back edits of values found through blank nodes', () => {
+          const [homePhone, workPhone] = contact.fields('phones')
+          const updatedContact = contact
+            .set(homePhone, 'tel:000-000-0000')
+            .remove(workPhone)
+          return saveWithFailure(updatedContact).then(({err, patch}) => {
+            expect(patch.callCount).toBe(3)
+            expect(server.statements.length).toBe(server.original.length)
+            expect(server.statements.sort()).toEqual(server.original)
+            expect(err.rolledBackURIs).toEqual(new Set([profileURI]))
+            expect(err.model.diff(rdf)[profileURI]).toEqual(updatedContact.diff(rdf)[profileURI])
+          })
+        })
+
+        it('should not roll back patches which remove blank nodes', () => {
+          const [homePhone] = contact.fields('phones')
+          const [address] = contact.fields('addresses')
+          const updatedContact = contact
+            .remove(homePhone)
+            .remove(address)
+          return saveWithFailure(updatedContact).then(({err, patch}) => {
+            expect(patch.callCount).toBe(2)
+            expect(server.statements.some(statement => statement.indexOf(`<${VCARD}Home>`) >= 0)).toBe(false)
+            expect(err.rolledBackURIs).toEqual(new Set())
+            expect(err.rollbackFailedURIs).toEqual(new Set([profileURI]))
+            // The model tracks what the server holds
+            expect(err.model.get('addresses')).toEqual([])
+            expect(err.model.get('phones')).toEqual(['tel:098-765-4321', 'tel:111-111-1111'])
+            expect(Object.keys(err.model.diff(rdf))).toEqual([unsuccessfulURI])
+          })
+        })
+      })
     })
   })
-})
+}))
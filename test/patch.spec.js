@@ -0,0 +1,234 @@
+/* global beforeEach, describe, it */
+import expect from 'expect'
+import { Parser } from 'n3'
+
+import { termToNT } from '../src/adapter'
+import { modelFactory } from '../src/model'
+import { n3Patch, n3Patches, sparqlUpdate, sparqlUpdates } from '../src/patch'
+import { FOAF, RDF, rdfLibraries, VCARD, vocabulary, XSD } from './rdf'
+
+rdfLibraries.forEach(({name, rdf, parse}) => describe(`Patches with ${name}`, () => {
+  const vocab = vocabulary(rdf)
+  const profileURI = 'https://example.com/profile/card'
+  const otherURI = 'https://example.com/other'
+  const webId = `${profileURI}#me`
+
+  let model
+  let contact
+
+  beforeEach(() => {
+    const profile = `
+      <#me>
+          <http://xmlns.com/foaf/0.1/name> "Mr. Cool"@en ;
+          <http://xmlns.com/foaf/0.1/age> 24 ;
+          <http://xmlns.com/foaf/0.1/phone> <tel:123-456-7890> .
+    `
+    const profileModel = modelFactory(rdf, {
+      age: {predicate: vocab.foaf('age'), datatype: vocab.xsd('integer')},
+      name: vocab.foaf('name'),
+      nick: vocab.foaf('nick'),
+      phone: vocab.foaf('phone')
+    })
+    model = profileModel(parse(profile, profileURI), profileURI, webId)
+    const card = `
+      @prefix vcard: <http://www.w3.org/2006/vcard/ns#> .
+      <#me>
+          vcard:hasTelephone [ a vcard:Home ; vcard:value <tel:123-456-7890> ] ;
+          vcard:hasAddress [ vcard:locality "Springfield" ] ;
+          <https://example.com/terms#favorites> ( "tea" ) .
+    `
+    const contactModel = modelFactory(rdf, {
+      phones: {path: [vocab.vcard('hasTelephone'), vocab.vcard('value')], namedNode: true},
+      addresses: {predicate: vocab.vcard('hasAddress'), compound: {locality: vocab.vcard('locality')}},
+      favorites: {predicate: 'https://example.com/terms#favorites', list: true}
+    })
+    contact = contactModel(parse(card, profileURI), profileURI, webId)
+  })
+
+  const phone = `<${webId}> <${VCARD}hasTelephone> ?b0 .`
+  const phoneValue = number => `?b0 <${VCARD}value> <tel:${number}> .`
+
+  describe('SPARQL Update', () => {
+    it('deletes and inserts data', () => {
+      const updatedModel = model.set(model.fields('age')[0], 25)
+      expect(sparqlUpdate(updatedModel.diff(rdf)[profileURI])).toEqual(
+        'DELETE DATA {\n' +
+        `  <${webId}> <${FOAF}age> "24"^^<${XSD}integer> .\n` +
+        '} ;\n' +
+        'INSERT DATA {\n' +
+        `  <${webId}> <${FOAF}age> "25"^^<${XSD}integer> .\n` +
+        '}'
+      )
+    })
+
+    it('leaves out empty operations', () => {
+      const addedModel = model.add('nick', 'cool')
+      expect(sparqlUpdate(addedModel.diff(rdf)[profileURI])).toEqual(
+        `INSERT DATA {\n  <${webId}> <${FOAF}nick> "cool" .\n}`
+      )
+      const removedModel = model.remove(model.fields('phone')[0])
+      expect(sparqlUpdate(removedModel.diff(rdf)[profileURI])).toEqual(
+        `DELETE DATA {\n  <${webId}> <${FOAF}phone> <tel:123-456-7890> .\n}`
+      )
+      expect(sparqlUpdate({toDel: [], toIns: []})).toEqual('')
+    })
+
+    it('escapes literals and keeps language tags', () => {
+      const updatedModel = model.set(model.fields('name')[0], 'Mr. "Cool"\n\\o/')
+      expect(sparqlUpdate(updatedModel.diff(rdf)[profileURI])).toInclude(
+        `INSERT DATA {\n  <${webId}> <${FOAF}name> "Mr. \\"Cool\\"\\n\\\\o/"@en .\n}`
+      )
+    })
+
+    it('finds existing blank nodes through patterns', () => {
+      const updated = contact.set(contact.fields('phones')[0], 'tel:000-000-0000')
+      expect(sparqlUpdate(updated.diff(rdf)[profileURI])).toEqual(
+        'DELETE {\n' +
+        `  ${phoneValue('123-456-7890')}\n` +
+        '}\n' +
+        'INSERT {\n' +
+        `  ${phoneValue('000-000-0000')}\n` +
+        '}\n' +
+        'WHERE {\n' +
+        `  ${phone}\n` +
+        `  ${phoneValue('123-456-7890')}\n` +
+        '}'
+      )
+      const address = contact.set(contact.fields('addresses')[0], {locality: 'Shelbyville'})
+      expect(sparqlUpdate(address.diff(rdf)[profileURI])).toInclude(
+        `INSERT {\n  ?b0 <${VCARD}locality> "Shelbyville" .\n}\nWHERE {\n  <${webId}> <${VCARD}hasAddress> ?b0 .\n`
+      )
+    })
+
+    it('clears every statement of removed blank nodes', () => {
+      const removed = contact.remove(contact.fields('phones')[0])
+      expect(sparqlUpdate(removed.diff(rdf)[profileURI])).toEqual(
+        'DELETE {\n' +
+        `  ${phoneValue('123-456-7890')}\n` +
+        `  ${phone}\n` +
+        '  ?b0 ?p0 ?o0 .\n' +
+        '}\n' +
+        'WHERE {\n' +
+        `  ${phone}\n` +
+        `  ${phoneValue('123-456-7890')}\n` +
+        '  ?b0 ?p0 ?o0 .\n' +
+        '}'
+      )
+    })
+
+    it('inserts new blank nodes before clearing others', () => {
+      const updated = contact
+        .remove(contact.fields('addresses')[0])
+        .insertItem('favorites', 1, 'cake')
+      const [, cake] = updated.fields('favorites')[0].cells
+      const update = sparqlUpdate(updated.diff(rdf)[profileURI])
+      const [inserts, deletes] = update.split(' ;\n')
+      expect(inserts).toMatch(/^INSERT \{\n/)
+      expect(inserts).toInclude(`  ${termToNT(cake)} <${RDF}first> "cake" .\n`)
+      expect(inserts).toExclude('?p0')
+      expect(deletes).toMatch(/^DELETE \{\n/)
+      expect(deletes).toInclude('?p0 ?o0 .\n}\nWHERE {\n')
+      expect(update).toExclude('DATA')
+    })
+
+    it('serializes each named graph of a diff map', () => {
+      const updatedModel = model
+        .add('nick', 'cool')
+        .add('nick', 'dude', {namedGraph: otherURI})
+      expect(sparqlUpdates(updatedModel.diff(rdf))).toEqual({
+        [profileURI]: `INSERT DATA {\n  <${webId}> <${FOAF}nick> "cool" .\n}`,
+        [otherURI]: `INSERT DATA {\n  <${webId}> <${FOAF}nick> "dude" .\n}`
+      })
+      expect(sparqlUpdates(model.diff(rdf))).toEqual({})
+    })
+  })
+
+  describe('N3 Patch', () => {
+    const prefix = '@prefix solid: <http://www.w3.org/ns/solid/terms#> .\n\n'
+
+    it('deletes and inserts data', () => {
+      const updatedModel = model.set(model.fields('age')[0], 25)
+      const patch = n3Patch(updatedModel.diff(rdf)[profileURI])
+      expect(patch).toEqual(
+        prefix +
+        '_:patch a solid:InsertDeletePatch ;\n' +
+        '  solid:deletes {\n' +
+        `    <${webId}> <${FOAF}age> "24"^^<${XSD}integer> .\n` +
+        '  } ;\n' +
+        '  solid:inserts {\n' +
+        `    <${webId}> <${FOAF}age> "25"^^<${XSD}integer> .\n` +
+        '  } .\n'
+      )
+      expect(() => new Parser({format: 'text/n3'}).parse(patch)).toNotThrow()
+    })
+
+    it('guards changes with the original statements', () => {
+      const updatedModel = model
+        .set(model.fields('name')[0], 'Mr. "Cool"')
+        .remove(model.fields('phone')[0])
+      const patch = n3Patch(updatedModel.diff(rdf)[profileURI], {where: true})
+      expect(patch).toEqual(
+        prefix +
+        '_:patch a solid:InsertDeletePatch ;\n' +
+        '  solid:where {\n' +
+        `    <${webId}> <${FOAF}name> "Mr. Cool"@en .\n` +
+        `    <${webId}> <${FOAF}phone> <tel:123-456-7890> .\n` +
+        '  } ;\n' +
+        '  solid:deletes {\n' +
+        `    <${webId}> <${FOAF}name> "Mr. Cool"@en .\n` +
+        `    <${webId}> <${FOAF}phone> <tel:123-456-7890> .\n` +
+        '  } ;\n' +
+        '  solid:inserts {\n' +
+        `    <${webId}> <${FOAF}name> "Mr. \\"Cool\\""@en .\n` +
+        '  } .\n'
+      )
+      expect(() => new Parser({format: 'text/n3'}).parse(patch)).toNotThrow()
+    })
+
+    it('leaves out empty formulae', () => {
+      const patch = n3Patch(model.add('nick', 'cool').diff(rdf)[profileURI], {where: true})
+      expect(patch).toEqual(
+        prefix +
+        '_:patch a solid:InsertDeletePatch ;\n' +
+        `  solid:inserts {\n    <${webId}> <${FOAF}nick> "cool" .\n  } .\n`
+      )
+      expect(n3Patch({toDel: [], toIns: []})).toEqual('')
+    })
+
+    it('finds existing blank nodes through the where formula', () => {
+      const updated = contact
+        .set(contact.fields('phones')[0], 'tel:000-000-0000')
+        .insertItem('favorites', 0, 'cake')
+      const [cake] = updated.fields('favorites')[0].cells
+      const diff = updated.diff(rdf)[profileURI]
+      const patch = n3Patch(diff)
+      expect(patch).toInclude(
+        '  solid:where {\n' +
+        `    ${phone}\n` +
+        `    ${phoneValue('123-456-7890')}\n`
+      )
+      expect(patch).toInclude(`  solid:deletes {\n    ${phoneValue('123-456-7890')}\n`)
+      expect(patch).toInclude(`  solid:inserts {\n    ${phoneValue('000-000-0000')}\n`)
+      expect(patch).toInclude(`    ${termToNT(cake)} <${RDF}first> "cake" .\n`)
+      expect(patch.split('solid:where')[1].split('solid:inserts')[0]).toExclude('_:')
+      expect(() => new Parser({format: 'text/n3'}).parse(patch)).toNotThrow()
+      expect(n3Patch(diff, {where: true})).toEqual(patch)
+    })
+
+    it('rejects diffs which clear blank nodes', () => {
+      const removed = contact.remove(contact.fields('addresses')[0])
+      expect(() => n3Patch(removed.diff(rdf)[profileURI])).toThrow(/N3 Patches can't clear blank nodes/)
+    })
+
+    it('serializes each named graph of a diff map', () => {
+      const updatedModel = model
+        .remove(model.fields('phone')[0])
+        .add('nick', 'dude', {namedGraph: otherURI})
+      const patches = n3Patches(updatedModel.diff(rdf), {where: true})
+      expect(Object.keys(patches).sort()).toEqual([otherURI, profileURI])
+      expect(patches[profileURI]).toInclude('solid:where')
+      expect(patches[otherURI]).toExclude('solid:where')
+      expect(patches[otherURI]).toInclude(`<${webId}> <${FOAF}nick> "dude" .`)
+    })
+  })
+}))
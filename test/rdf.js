@@ -0,0 +1,62 @@
+import { DataFactory, Parser, Store } from 'n3'
+import rdflib from 'rdflib'
+
+import { rdflibAdapter, rdfjsAdapter } from '../src/adapter'
+
+/**
+ * The RDF libraries which the test suite runs against.  Each one has a name,
+ * an adapter, and functions for creating an empty graph, for creating a graph
+ * of some quads, and for parsing a Turtle document into a graph, with the
+ * document's URI as the named graph of every quad.
+ */
+export const rdfLibraries = [
+  {
+    name: 'rdflib.js',
+    rdf: rdflibAdapter(rdflib),
+    graph: () => rdflib.graph(),
+    graphOf: quads => {
+      const graph = rdflib.graph()
+      graph.add(quads)
+      return graph
+    },
+    parse: (turtle, uri) => {
+      const graph = rdflib.graph()
+      rdflib.parse(turtle, graph, uri, 'text/turtle')
+      return graph
+    }
+  },
+  {
+    name: 'N3.js',
+    rdf: rdfjsAdapter(DataFactory),
+    graph: () => new Store(),
+    graphOf: quads => new Store(quads),
+    parse: (turtle, uri) => {
+      const store = new Store()
+      new Parser({baseIRI: uri}).parse(turtle).forEach(quad => {
+        store.addQuad(quad.subject, quad.predicate, quad.object, DataFactory.namedNode(uri))
+      })
+      return store
+    }
+  }
+]
+
+export const FOAF = 'http://xmlns.com/foaf/0.1/'
+export const PIM = 'http://www.w3.org/ns/pim/space#'
+export const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#'
+export const VCARD = 'http://www.w3.org/2006/vcard/ns#'
+export const XSD = 'http://www.w3.org/2001/XMLSchema#'
+
+/**
+ * Creates vocabulary helpers which build NamedNodes with an adapter.
+ *
+ * @param {Object} rdf - The RDF adapter.
+ * @returns {Object} Functions from local names to NamedNodes, keyed by prefix.
+ */
+export function vocabulary (rdf) {
+  return {
+    foaf: name => rdf.namedNode(`${FOAF}${name}`),
+    pim: name => rdf.namedNode(`${PIM}${name}`),
+    vcard: name => rdf.namedNode(`${VCARD}${name}`),
+    xsd: name => rdf.namedNode(`${XSD}${name}`)
+  }
+}
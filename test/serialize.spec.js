@@ -0,0 +1,76 @@
+/* global describe, it */
+import expect from 'expect'
+import { Parser } from 'n3'
+
+import { derivePrefixes, nQuads, turtle } from '../src/serialize'
+import { FOAF, PIM, rdfLibraries, XSD } from './rdf'
+
+describe('Serializing', () => {
+  describe('prefixes', () => {
+    it('uses conventional prefixes for common vocabularies', () => {
+      expect(derivePrefixes([`${FOAF}name`, `${FOAF}nick`, `${XSD}integer`, `${PIM}storage`]))
+        .toEqual({foaf: FOAF, xsd: XSD, pim: PIM})
+    })
+
+    it('derives prefixes from other namespaces', () => {
+      expect(derivePrefixes([
+        'https://example.com/vocab/terms#name',
+        'https://example.com/vocab/0.1/name',
+        'http://www.example.org/height',
+        'urn:isbn:0451450523',
+        'https://example.com/3/#name'
+      ])).toEqual({
+        terms: 'https://example.com/vocab/terms#',
+        vocab: 'https://example.com/vocab/0.1/',
+        example: 'http://www.example.org/',
+        example1: 'https://example.com/3/#'
+      })
+      expect(derivePrefixes(['https://123.com/name'])).toEqual({ns: 'https://123.com/'})
+    })
+  })
+
+  rdfLibraries.forEach(({name, rdf}) => describe(`with ${name}`, () => {
+    const me = rdf.namedNode('https://example.com/profile#me')
+    const profile = rdf.namedNode('https://example.com/profile')
+    const quads = [
+      rdf.quad(me, rdf.namedNode(`${FOAF}name`), rdf.literal('Mr. "Cool"'), profile),
+      rdf.quad(me, rdf.namedNode(`${FOAF}age`), rdf.literal('24', rdf.namedNode(`${XSD}integer`)), profile),
+      rdf.quad(me, rdf.namedNode(`${FOAF}img`), rdf.namedNode('https://example.com/me.jpg'), profile),
+      rdf.quad(me, rdf.namedNode('https://example.com/terms#1st'), rdf.literal('1', rdf.namedNode('https://example.com/terms#1st')), profile)
+    ]
+
+    it('writes Turtle with prefixed names where possible', () => {
+      const document = turtle([{title: 'Profile', quads}], {foaf: FOAF, xsd: XSD, terms: 'https://example.com/terms#'})
+      expect(document).toEqual(
+        '@prefix foaf: <http://xmlns.com/foaf/0.1/> .\n' +
+        '@prefix terms: <https://example.com/terms#> .\n' +
+        '@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .\n' +
+        '\n' +
+        '# Profile\n' +
+        '<https://example.com/profile#me>\n' +
+        '    foaf:name "Mr. \\"Cool\\"" ;\n' +
+        '    foaf:age "24"^^xsd:integer ;\n' +
+        '    foaf:img <https://example.com/me.jpg> ;\n' +
+        '    <https://example.com/terms#1st> "1"^^<https://example.com/terms#1st> .\n'
+      )
+      expect(new Parser().parse(document).length).toBe(4)
+      expect(turtle([{title: 'Profile', quads: quads.slice(0, 1)}], {}))
+        .toEqual(`# Profile\n<https://example.com/profile#me>\n    <${FOAF}name> "Mr. \\"Cool\\"" .\n`)
+      const friendQuad = rdf.quad(me, rdf.namedNode(`${FOAF}knows`), rdf.blankNode('friend'), profile)
+      expect(turtle([{title: 'Friends', quads: [friendQuad]}], {foaf: FOAF})).toEqual(
+        `@prefix foaf: <${FOAF}> .\n\n# Friends\n<https://example.com/profile#me>\n    foaf:knows _:friend .\n`
+      )
+      expect(turtle([{title: 'Profile', quads: []}], {foaf: FOAF})).toEqual('')
+    })
+
+    it('writes N-Quads', () => {
+      const defaultGraphQuad = rdf.quad(me, rdf.namedNode(`${FOAF}name`), rdf.literal('Dan'))
+      expect(nQuads([{title: 'Profile', quads: quads.slice(0, 1)}, {quads: [defaultGraphQuad]}])).toEqual(
+        '# Profile\n' +
+        `<https://example.com/profile#me> <${FOAF}name> "Mr. \\"Cool\\"" <https://example.com/profile> .\n` +
+        `<https://example.com/profile#me> <${FOAF}name> "Dan" .\n`
+      )
+      expect(nQuads([{title: 'Profile', quads: []}])).toEqual('')
+    })
+  }))
+})
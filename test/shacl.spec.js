@@ -0,0 +1,92 @@
+/* global beforeEach, describe, it */
+import expect from 'expect'
+
+import { shapeFieldMap, shapeModelFactory } from '../src/shacl'
+import { FOAF, rdfLibraries, vocabulary } from './rdf'
+
+rdfLibraries.forEach(({name, rdf, parse}) => describe(`SHACL with ${name}`, () => {
+  const vocab = vocabulary(rdf)
+  const shapesURI = 'https://example.com/shapes'
+  const profileURI = 'https://example.com/profile/card'
+  const webId = `${profileURI}#me`
+  const { xsd } = vocab
+
+  let shapes
+
+  beforeEach(() => {
+    const shapesTurtle = `
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+      <#Person>
+          a sh:NodeShape ;
+          sh:property [
+              sh:path <http://xmlns.com/foaf/0.1/name> ;
+              sh:datatype xsd:string ;
+              sh:minCount 1 ;
+              sh:maxCount 1
+          ] , [
+              sh:path <http://xmlns.com/foaf/0.1/phone> ;
+              sh:nodeKind sh:IRI ;
+              sh:pattern "^TEL:" ;
+              sh:flags "i"
+          ] , [
+              sh:path <http://xmlns.com/foaf/0.1/age> ;
+              sh:datatype xsd:integer ;
+              sh:nodeKind sh:IRIOrLiteral
+          ] .
+      <#Broken>
+          sh:property [ sh:path ( <http://xmlns.com/foaf/0.1/knows> <http://xmlns.com/foaf/0.1/name> ) ] .
+      <#Duplicate>
+          sh:property [ sh:path <http://xmlns.com/foaf/0.1/name> ] ,
+              [ sh:path <http://example.com/vocab#name> ] .
+    `
+    shapes = parse(shapesTurtle, shapesURI)
+  })
+
+  it('reads property shapes into a field map', () => {
+    const fieldMap = shapeFieldMap(rdf, shapes, `${shapesURI}#Person`)
+    expect(Object.keys(fieldMap).sort()).toEqual(['age', 'name', 'phone'])
+    expect(fieldMap.name).toEqual({
+      predicate: vocab.foaf('name'),
+      datatype: xsd('string'),
+      minCount: 1,
+      maxCount: 1
+    })
+    expect(fieldMap.phone.predicate).toEqual(vocab.foaf('phone'))
+    expect(fieldMap.phone.nodeKind).toEqual('NamedNode')
+    expect(fieldMap.phone.namedNode).toBe(true)
+    expect(fieldMap.phone.pattern).toEqual(/^TEL:/i)
+    expect(fieldMap.age.nodeKind).toEqual(['NamedNode', 'Literal'])
+  })
+
+  it('rejects unsupported paths and duplicate keys', () => {
+    expect(() => shapeFieldMap(rdf, shapes, `${shapesURI}#Broken`)).toThrow(/Unsupported sh:path/)
+    expect(() => shapeFieldMap(rdf, shapes, `${shapesURI}#Duplicate`)).toThrow(/Duplicate key \[name\]/)
+  })
+
+  it('generates model factories which enforce the shape', () => {
+    const profile = `
+      <#me>
+          <http://xmlns.com/foaf/0.1/name> "Mr. Cool" ;
+          <http://xmlns.com/foaf/0.1/phone> <tel:123-456-7890> .
+    `
+    const graph = parse(profile, profileURI)
+    const personModel = shapeModelFactory(rdf, shapes, `${shapesURI}#Person`)
+    const person = personModel(graph, profileURI, webId)
+    expect(person.any('name')).toEqual('Mr. Cool')
+    expect(person.validate()).toEqual({})
+    const invalidPerson = person
+      .add('name', 'Mrs. Cool')
+      .add('phone', 'mailto:mr_cool@example.com')
+      .add('age', 24)
+    const errors = invalidPerson.validate()
+    expect(errors.name.map(error => error.rule)).toEqual(['maxCount'])
+    expect(errors.phone.map(error => error.rule)).toEqual(['pattern'])
+    expect(errors.age).toBe(undefined)
+    expect(invalidPerson.diff(rdf)[profileURI].toIns).toInclude(
+      `<${webId}> <${FOAF}age> "24"^^<http://www.w3.org/2001/XMLSchema#integer> .`
+    )
+    expect(person.remove(person.fields('name')[0]).validate().name[0].rule)
+      .toEqual('minCount')
+  })
+}))
@@ -1,7 +1,7 @@
 /* global describe, it */
 import expect from 'expect'
 
-import { isDefined } from '../src/util'
+import { isBlankNode, isDefined, isPlainObject, isSameValue } from '../src/util'
 
 describe('Util', () => {
   describe('isDefined', () => {
@@ -15,4 +15,34 @@ describe('Util', () => {
       expect(isDefined(NaN)).toBe(true)
     })
   })
+
+  describe('isSameValue', () => {
+    it('compares dates, lists and compound values by their contents', () => {
+      expect(isSameValue(new Date(0), new Date(0))).toBe(true)
+      expect(isSameValue(['tea', 1], ['tea', 1])).toBe(true)
+      expect(isSameValue(['tea', 1], ['tea'])).toBe(false)
+      expect(isSameValue({street: '1 Main St', locality: ['Ham']}, {locality: ['Ham'], street: '1 Main St'})).toBe(true)
+      expect(isSameValue({street: '1 Main St'}, {street: '1 Main St', locality: 'Ham'})).toBe(false)
+      expect(isSameValue({street: '1 Main St'}, {locality: '1 Main St'})).toBe(false)
+      expect(isSameValue({}, [])).toBe(false)
+    })
+  })
+
+  describe('isPlainObject', () => {
+    it('knows when a value is a plain object', () => {
+      expect(isPlainObject({street: '1 Main St'})).toBe(true)
+      expect(isPlainObject([])).toBe(false)
+      expect(isPlainObject(new Date())).toBe(false)
+      expect(isPlainObject(null)).toBe(false)
+      expect(isPlainObject('1 Main St')).toBe(false)
+    })
+  })
+
+  describe('isBlankNode', () => {
+    it('knows blank nodes from other terms', () => {
+      expect(isBlankNode({termType: 'BlankNode', value: 'b0'})).toBe(true)
+      expect(isBlankNode({termType: 'NamedNode', value: 'https://example.com/'})).toBe(false)
+      expect(isBlankNode(undefined)).toBe(false)
+    })
+  })
 })
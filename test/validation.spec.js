@@ -0,0 +1,63 @@
+/* global describe, it */
+import expect from 'expect'
+
+import { fieldFactory } from '../src/field'
+import { validateFields } from '../src/validation'
+import { rdfLibraries, vocabulary } from './rdf'
+
+rdfLibraries.forEach(({name, rdf}) => describe(`Validation with ${name}`, () => {
+  const vocab = vocabulary(rdf)
+  const namedGraph = 'https://example.com/resource'
+  const phone = fieldFactory(vocab.foaf('phone'))
+  const phones = values => values.map(value => phone(value, namedGraph, {namedNode: true}))
+  const rules = errors => errors.map(error => error.rule)
+
+  it('accepts fields which satisfy every constraint', () => {
+    const spec = {
+      required: true,
+      maxCount: 2,
+      nodeKind: 'NamedNode',
+      pattern: /^tel:/,
+      validate: value => value.length > 4
+    }
+    expect(validateFields(phones(['tel:123', 'tel:456']), spec)).toEqual([])
+  })
+
+  it('checks required fields', () => {
+    expect(rules(validateFields([], {required: true}))).toEqual(['required'])
+    expect(validateFields([], {})).toEqual([])
+  })
+
+  it('checks cardinality', () => {
+    expect(rules(validateFields(phones(['tel:1']), {minCount: 2}))).toEqual(['minCount'])
+    expect(validateFields(phones(['tel:1', 'tel:2', 'tel:3']), {maxCount: 1}))
+      .toEqual([{rule: 'maxCount', message: 'Expected at most 1 value(s) but found 3.'}])
+  })
+
+  it('checks the node kind of each value', () => {
+    const [field] = phones(['tel:123'])
+    const literal = phone('tel:456', namedGraph)
+    expect(validateFields([field, literal], {nodeKind: 'NamedNode'})).toEqual([{
+      rule: 'nodeKind',
+      message: 'Expected a NamedNode but found a Literal for value [tel:456].',
+      field: literal
+    }])
+  })
+
+  it('checks values against patterns', () => {
+    const field = phone('123-456-7890', namedGraph)
+    expect(validateFields([field], {pattern: '^tel:'})).toEqual([{
+      rule: 'pattern',
+      message: 'Value [123-456-7890] does not match pattern /^tel:/.',
+      field
+    }])
+  })
+
+  it('checks values against validation functions', () => {
+    const [field] = phones(['tel:'])
+    expect(validateFields([field], {validate: () => false})[0].message)
+      .toEqual('Value [tel:] is invalid.')
+    expect(validateFields([field], {validate: () => 'Phone number is empty.'})[0].message)
+      .toEqual('Phone number is empty.')
+  })
+}))